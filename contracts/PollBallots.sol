@@ -0,0 +1,85 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./Voting.sol";
+
+/**
+ * @title PollBallots
+ * @dev Validation and counting of multi-option ballots for Voting, deployed
+ * as a linked library to keep Voting under the contract size limit. Like
+ * PollTally it runs in Voting's storage context; Voting checks eligibility
+ * and emits the events.
+ */
+library PollBallots {
+    /**
+     * @dev Count a quadratic ballot: n votes for an option cost n*n credits
+     */
+    function castQuadratic(Voting.Poll storage poll, address voter, uint256[] calldata votes) external {
+        if (poll.config.strategy != Voting.VotingStrategy.Quadratic) revert Voting.WrongBallotType(poll.id);
+        if (votes.length != poll.options.length) revert Voting.InvalidBallot(poll.id);
+
+        uint256 cost = 0;
+        uint256 cast = 0;
+        for (uint256 i = 0; i < votes.length; i++) {
+            cost += votes[i] * votes[i];
+            cast += votes[i];
+            poll.voteCounts[i] += votes[i];
+        }
+        if (cast == 0) revert Voting.InvalidBallot(poll.id);
+        if (cost > poll.config.credits) revert Voting.NotEnoughCredits(poll.id, cost, poll.config.credits);
+
+        poll.hasVoted[voter] = true;
+        poll.voterCount++;
+    }
+
+    /**
+     * @dev Record a ranked ballot with `weight`, packed one option index per
+     * byte, and count it for the voter's first choice
+     */
+    function castRanked(Voting.Poll storage poll, address voter, uint256[] calldata ranking, uint256 weight)
+        external
+    {
+        if (poll.config.ballot != Voting.BallotType.Ranked) revert Voting.WrongBallotType(poll.id);
+        if (ranking.length != poll.options.length) revert Voting.InvalidBallot(poll.id);
+
+        uint256 packed = 0;
+        uint256 seen = 0;
+        for (uint256 i = 0; i < ranking.length; i++) {
+            if (ranking[i] >= poll.options.length) revert Voting.InvalidOption(poll.id, ranking[i]);
+            if (seen & (1 << ranking[i]) != 0) revert Voting.InvalidBallot(poll.id);
+            seen |= 1 << ranking[i];
+            packed |= ranking[i] << (8 * i);
+        }
+
+        poll.rankedBallots.push(Voting.RankedBallot({ ranking: packed, weight: weight }));
+        poll.hasVoted[voter] = true;
+        poll.voterChoice[voter] = ranking[0];
+        poll.voteCounts[ranking[0]] += weight;
+        poll.voterCount++;
+    }
+
+    /**
+     * @dev Record an approval ballot with `weight`: the selection bitmask is
+     * kept as the voter's choice and every selected option gets the weight
+     */
+    function castApproval(Voting.Poll storage poll, address voter, uint256 selection, uint256 weight) external {
+        if (poll.config.ballot != Voting.BallotType.Approval) revert Voting.WrongBallotType(poll.id);
+        uint256 optionCount = poll.options.length;
+        if (selection == 0 || selection >> optionCount != 0) revert Voting.InvalidBallot(poll.id);
+
+        uint256 selected = 0;
+        for (uint256 i = 0; i < optionCount; i++) {
+            if (selection & (1 << i) != 0) {
+                poll.voteCounts[i] += weight;
+                selected++;
+            }
+        }
+        if (selected < poll.minSelections || selected > poll.maxSelections) {
+            revert Voting.SelectionOutOfRange(poll.id, selected, poll.minSelections, poll.maxSelections);
+        }
+
+        poll.hasVoted[voter] = true;
+        poll.voterChoice[voter] = selection;
+        poll.voterCount++;
+    }
+}
@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./Voting.sol";
+
+/**
+ * @title PollDelegation
+ * @dev Delegation chains for Voting: following a voter's chain on a poll,
+ * refusing delegations that would loop or run too long, and moving delegated
+ * weight between ballots. Deployed as a linked
+ * library to keep Voting under the contract size limit; `standing` is
+ * Voting's voteDelegates.
+ */
+library PollDelegation {
+    // Voting.MAX_DELEGATION_DEPTH
+    uint256 internal constant MAX_DEPTH = 8;
+
+    /**
+     * @dev Where `voter`'s chain ends on the poll: at the first delegate who
+     * has voted themselves, else at its last link. A chain can outgrow
+     * MAX_DEPTH when links are added above it later; it is then
+     * cut at the delegate that many links along, so the vote is never lost.
+     */
+    function resolve(Voting.Poll storage poll, mapping(address => address) storage standing, address voter)
+        external
+        view
+        returns (address current)
+    {
+        current = voter;
+        for (uint256 i = 0; i < MAX_DEPTH; i++) {
+            address next = _delegateOf(poll, standing, current);
+            if (next == address(0)) break;
+            current = next;
+            if (poll.hasVoted[current]) break;
+        }
+    }
+
+    /**
+     * @dev Refuse a delegation from `delegator` to `delegate` whose chain on
+     * the poll would loop back or run too long
+     */
+    function check(
+        Voting.Poll storage poll,
+        mapping(address => address) storage standing,
+        address delegator,
+        address delegate
+    ) public view {
+        address current = delegate;
+        for (uint256 i = 0; current != address(0); i++) {
+            if (current == delegator) revert Voting.DelegationCycle(delegator, delegate);
+            if (i == MAX_DEPTH) revert Voting.DelegationTooLong(delegate);
+            current = _delegateOf(poll, standing, current);
+        }
+    }
+
+    /**
+     * @dev Set `delegator`'s delegate on the poll after checking it, noting
+     * the poll in their `delegatedPolls`
+     */
+    function setForPoll(
+        Voting.Poll storage poll,
+        mapping(address => address) storage standing,
+        uint256[] storage delegatedPolls,
+        address delegator,
+        address delegate
+    ) external {
+        check(poll, standing, delegator, delegate);
+        if (delegate != address(0) && poll.delegates[delegator] == address(0)) {
+            delegatedPolls.push(poll.id);
+        }
+        poll.delegates[delegator] = delegate;
+    }
+
+    /**
+     * @dev Refuse a standing delegation that would loop or run too long on its
+     * own, or on any open poll where the chain passes through a poll-specific
+     * delegate. `delegatedPolls` lists the polls each address has a
+     * poll-specific delegate on; polls[0] never has any.
+     */
+    function checkStanding(
+        mapping(uint256 => Voting.Poll) storage polls,
+        mapping(address => address) storage standing,
+        mapping(address => uint256[]) storage delegatedPolls,
+        address delegator,
+        address delegate
+    ) external view {
+        check(polls[0], standing, delegator, delegate);
+
+        // A poll's chain leaves the standing one at the first address with a
+        // delegate on that poll, so only those polls can differ
+        for (address current = delegate; current != address(0); current = standing[current]) {
+            uint256[] storage pollIds = delegatedPolls[current];
+            for (uint256 j = 0; j < pollIds.length; j++) {
+                Voting.Poll storage poll = polls[pollIds[j]];
+                // Closed polls no longer count delegations, and the
+                // delegator's own poll delegate overrides the standing one
+                if (!poll.active || block.timestamp >= poll.endTime || poll.delegates[delegator] != address(0)) {
+                    continue;
+                }
+                check(poll, standing, delegator, delegate);
+            }
+        }
+    }
+
+    /**
+     * @dev Count `delegator`'s weight with `delegate`'s ballot, taking it
+     * from the delegate who counted it before, if any
+     */
+    function count(Voting.Poll storage poll, address delegator, address delegate, uint256 weight) external {
+        release(poll, delegator, weight);
+        poll.representedBy[delegator] = delegate;
+        poll.carriedWeight[delegate] += weight;
+        poll.voteCounts[poll.voterChoice[delegate]] += weight;
+        poll.voterCount++;
+    }
+
+    /**
+     * @dev Take `delegator`'s weight back from the delegate whose ballot
+     * counts it, if any
+     */
+    function release(Voting.Poll storage poll, address delegator, uint256 weight) public {
+        address delegate = poll.representedBy[delegator];
+        if (delegate == address(0)) return;
+        delete poll.representedBy[delegator];
+        poll.carriedWeight[delegate] -= weight;
+        poll.voteCounts[poll.voterChoice[delegate]] -= weight;
+        poll.voterCount--;
+    }
+
+    // The poll's delegate for `voter`, else their standing delegate
+    function _delegateOf(Voting.Poll storage poll, mapping(address => address) storage standing, address voter)
+        private
+        view
+        returns (address)
+    {
+        address delegate = poll.delegates[voter];
+        return delegate != address(0) ? delegate : standing[voter];
+    }
+}
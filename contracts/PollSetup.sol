@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./Voting.sol";
+
+/**
+ * @title PollSetup
+ * @dev Poll creation for Voting: storing the question and options and
+ * validating createPollWithSettings' optional settings. Deployed as a linked
+ * library to keep Voting under the contract size limit; it runs in Voting's
+ * storage context and writes the new poll directly.
+ */
+library PollSetup {
+    /**
+     * @dev Store the question and options of a freshly created poll
+     */
+    function store(Voting.Poll storage poll, string calldata question, string[] calldata options) external {
+        poll.question = question;
+        for (uint256 i = 0; i < options.length; i++) {
+            if (bytes(options[i]).length == 0) revert Voting.EmptyOption(i);
+            poll.options.push(options[i]);
+            poll.voteCounts.push(0);
+        }
+    }
+
+    /**
+     * @dev Check `settings` and apply them to a freshly created poll
+     */
+    function configure(Voting.Poll storage poll, Voting.PollSettings calldata settings) external {
+        Voting.PollConfig storage config = poll.config;
+        config.metadataHash = settings.metadataHash;
+
+        if (settings.allowlist.length > 0 || settings.merkleRoot != bytes32(0)) {
+            config.restricted = true;
+            config.merkleRoot = settings.merkleRoot;
+            for (uint256 i = 0; i < settings.allowlist.length; i++) {
+                poll.eligible[settings.allowlist[i]] = true;
+            }
+        }
+
+        if (settings.secret) {
+            if (settings.revealDurationInMinutes == 0 || settings.revealDurationInMinutes > 10080) {
+                revert Voting.InvalidDuration(settings.revealDurationInMinutes);
+            }
+            config.secret = true;
+            config.revealEndTime = poll.endTime + (settings.revealDurationInMinutes * 1 minutes);
+        }
+
+        config.strategy = settings.strategy;
+        if (settings.strategy == Voting.VotingStrategy.TokenWeighted) {
+            if (settings.token.code.length == 0) revert Voting.InvalidToken(settings.token);
+            config.token = settings.token;
+            // Balances are read at the previous block so the snapshot is
+            // already final when voting opens
+            config.snapshotBlock = block.number - 1;
+        } else if (settings.strategy == Voting.VotingStrategy.Quadratic) {
+            if (settings.credits == 0) revert Voting.InvalidCredits();
+            if (settings.secret) revert Voting.UnsupportedSettings();
+            config.credits = settings.credits;
+        }
+
+        if (settings.ballot != Voting.BallotType.SingleChoice) {
+            if (settings.strategy == Voting.VotingStrategy.Quadratic || settings.secret) revert Voting.UnsupportedSettings();
+            config.ballot = settings.ballot;
+        }
+
+        if (settings.ballot == Voting.BallotType.Approval) {
+            uint256 min = settings.minSelections;
+            uint256 max = settings.maxSelections;
+            if (min == 0 || min > max || max > poll.options.length) revert Voting.InvalidSelectionLimits(min, max);
+            poll.minSelections = uint8(min);
+            poll.maxSelections = uint8(max);
+        }
+
+        if (settings.allowVoteChange) {
+            if (
+                settings.secret ||
+                settings.strategy == Voting.VotingStrategy.Quadratic ||
+                settings.ballot != Voting.BallotType.SingleChoice
+            ) revert Voting.UnsupportedSettings();
+            config.allowVoteChange = true;
+        }
+
+        config.quorum = settings.quorum;
+        config.tieBreak = settings.tieBreak;
+    }
+}
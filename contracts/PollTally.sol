@@ -0,0 +1,145 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./Voting.sol";
+
+/**
+ * @title PollTally
+ * @dev Result computation for Voting, deployed as a linked library to keep
+ * Voting under the contract size limit. Its functions run in Voting's
+ * storage context (delegatecall), so they read polls directly.
+ */
+library PollTally {
+    /**
+     * @dev Instant-runoff tally of a ranked poll
+     * @return rounds Votes per option in each round
+     * @return eliminated The option eliminated after each round but the last
+     * @return winner The leading option in the final round
+     */
+    function rankedTally(Voting.Poll storage poll)
+        public
+        view
+        returns (uint256[][] memory rounds, uint256[] memory eliminated, uint256 winner)
+    {
+        uint256 optionCount = poll.options.length;
+        uint256[][] memory allRounds = new uint256[][](optionCount);
+        uint256[] memory allEliminated = new uint256[](optionCount);
+        bool[] memory out = new bool[](optionCount);
+        uint256 roundCount = 0;
+
+        for (uint256 remaining = optionCount; remaining > 0; remaining--) {
+            uint256[] memory counts = new uint256[](optionCount);
+            uint256 total = 0;
+            for (uint256 b = 0; b < poll.rankedBallots.length; b++) {
+                Voting.RankedBallot storage ballot = poll.rankedBallots[b];
+                for (uint256 rank = 0; rank < optionCount; rank++) {
+                    uint256 option = (ballot.ranking >> (8 * rank)) & 0xff;
+                    if (!out[option]) {
+                        counts[option] += ballot.weight;
+                        total += ballot.weight;
+                        break;
+                    }
+                }
+            }
+            allRounds[roundCount] = counts;
+            roundCount++;
+
+            uint256 leader = optionCount;
+            uint256 trailer = optionCount;
+            for (uint256 i = 0; i < optionCount; i++) {
+                if (out[i]) continue;
+                if (leader == optionCount || counts[i] > counts[leader]) leader = i;
+                if (trailer == optionCount || counts[i] <= counts[trailer]) trailer = i;
+            }
+
+            // Stop at a majority, or when every remaining option is tied
+            winner = leader;
+            if (total == 0 || counts[leader] * 2 > total || counts[leader] == counts[trailer]) {
+                break;
+            }
+
+            out[trailer] = true;
+            allEliminated[roundCount - 1] = trailer;
+        }
+
+        rounds = new uint256[][](roundCount);
+        eliminated = new uint256[](roundCount - 1);
+        for (uint256 r = 0; r < roundCount; r++) {
+            rounds[r] = allRounds[r];
+            if (r < roundCount - 1) {
+                eliminated[r] = allEliminated[r];
+            }
+        }
+    }
+
+    /**
+     * @dev Results for a poll summary: as results(), except that ranked
+     * polls only get turnout, totals and quorum. Their instant runoff costs
+     * options × ballots × rounds, too much to run for every poll of a page.
+     */
+    function summaryResults(Voting.Poll storage poll) external view returns (Voting.PollResults memory outcome) {
+        if (poll.config.ballot != Voting.BallotType.Ranked) return _results(poll);
+        outcome.turnout = poll.voterCount;
+        outcome.totalVotes = totalVotes(poll);
+        outcome.quorumMet = poll.voterCount >= poll.config.quorum;
+    }
+
+    /**
+     * @dev Winners, tie and quorum status of a poll (see Voting.PollResults)
+     */
+    function results(Voting.Poll storage poll) external view returns (Voting.PollResults memory) {
+        return _results(poll);
+    }
+
+    function _results(Voting.Poll storage poll) private view returns (Voting.PollResults memory outcome) {
+        uint256[] memory counts = poll.voteCounts;
+        if (poll.config.ballot == Voting.BallotType.Ranked) {
+            (uint256[][] memory rounds, , ) = rankedTally(poll);
+            counts = rounds[rounds.length - 1];
+        }
+
+        outcome.turnout = poll.voterCount;
+        outcome.totalVotes = totalVotes(poll);
+        outcome.quorumMet = poll.voterCount >= poll.config.quorum;
+
+        uint256 tied = 0;
+        for (uint256 i = 0; i < counts.length; i++) {
+            if (counts[i] > outcome.winningVotes) {
+                outcome.winningVotes = counts[i];
+                tied = 1;
+            } else if (counts[i] == outcome.winningVotes && counts[i] > 0) {
+                tied++;
+            }
+        }
+
+        outcome.winners = new uint256[](tied);
+        uint256 index = 0;
+        for (uint256 i = 0; i < counts.length && tied > 0; i++) {
+            if (counts[i] == outcome.winningVotes) {
+                outcome.winners[index] = i;
+                index++;
+            }
+        }
+        if (tied == 0) {
+            return outcome;
+        }
+
+        outcome.tie = tied > 1;
+        bool decided = true;
+        outcome.winner = outcome.winners[0];
+        if (outcome.tie && poll.config.tieBreak != Voting.TieBreak.ListedFirst) {
+            decided = poll.castingVote > 0;
+            outcome.winner = decided ? poll.castingVote - 1 : 0;
+        }
+        outcome.hasWinner = decided && outcome.quorumMet && poll.moderation != Voting.ModerationStatus.Cancelled;
+    }
+
+    /**
+     * @dev Sum of a poll's (weighted) vote counts
+     */
+    function totalVotes(Voting.Poll storage poll) internal view returns (uint256 total) {
+        for (uint256 i = 0; i < poll.voteCounts.length; i++) {
+            total += poll.voteCounts[i];
+        }
+    }
+}
@@ -1,12 +1,124 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/governance/utils/IVotes.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/utils/Multicall.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./PollTally.sol";
+import "./PollBallots.sol";
+import "./PollSetup.sol";
+import "./PollDelegation.sol";
+
 /**
  * @title Voting
  * @dev A simple voting/poll smart contract
  * @notice Allows creating polls and casting votes on the blockchain
+ * @notice Votes can also be signed off-chain (EIP-712) and submitted by a
+ * relayer through voteBySig, batched with multicall
+ * @notice Voters can delegate their vote, on every poll or one; delegates
+ * count their delegators' weight with castDelegatedVotes
+ * @notice Accounts with DEFAULT_ADMIN_ROLE moderate polls (hide or cancel
+ * them, with a reason), can limit poll creation to POLL_CREATOR_ROLE and can
+ * pause poll creation and voting in an emergency
+ * @notice Admins may require a deposit in the native currency to create a
+ * poll. It is refunded to the creator once the poll closes with enough
+ * votes and forfeited to the treasury otherwise; both are withdrawn with
+ * withdraw().
+ * @notice Deployed behind an ERC1967 proxy (VotingProxy) and upgraded in
+ * place (UUPS) by accounts with DEFAULT_ADMIN_ROLE, so polls survive
+ * contract changes. Storage is append-only across versions:
+ * - never reorder, retype or remove state variables or base contracts;
+ *   new state variables go after the last one
+ * - new Poll fields go at the end of Poll. PollConfig is stored inside
+ *   Poll, so it must not grow; new per-poll settings go at the end of Poll
+ * test/Upgrade.test.js checks the layout against the deployed versions.
  */
-contract Voting {
+contract Voting is EIP712, Multicall, AccessControl, Initializable, UUPSUpgradeable {
+    /**
+     * @dev How ballots are weighted
+     * Equal: one vote per voter
+     * TokenWeighted: votes weighted by an IVotes token balance at the poll's snapshot block
+     * Quadratic: each voter spends a credit budget across options, n votes cost n*n credits
+     */
+    enum VotingStrategy { Equal, TokenWeighted, Quadratic }
+
+    /**
+     * @dev What a ballot contains
+     * SingleChoice: one option
+     * Ranked: a full ordering of the options, tallied by instant runoff
+     * Approval: any set of options, within the poll's selection limits; each
+     * selected option gets the voter's full weight
+     */
+    enum BallotType { SingleChoice, Ranked, Approval }
+
+    /**
+     * @dev How a tie for first place is resolved
+     * None: the tie is reported and there is no winner
+     * ListedFirst: the tied option listed first wins
+     * CreatorCasts: the creator picks one of the tied options once voting has closed
+     */
+    enum TieBreak { None, ListedFirst, CreatorCasts }
+
+    /**
+     * @dev Moderation state of a poll, set by admins
+     * None: shown as usual
+     * Hidden: left out of poll lists, but voting continues
+     * Cancelled: voting is stopped for good and there is no winner
+     */
+    enum ModerationStatus { None, Hidden, Cancelled }
+
+    /**
+     * @dev A ranked ballot. `ranking` packs the option at each rank into
+     * one byte, first choice in the lowest byte.
+     */
+    struct RankedBallot {
+        uint256 ranking;
+        uint256 weight;
+    }
+
+    /**
+     * @dev Per-poll settings fixed at creation
+     */
+    struct PollConfig {
+        uint256 startTime;
+        bytes32 metadataHash;
+        bool restricted;
+        bytes32 merkleRoot;
+        bool secret;
+        uint256 revealEndTime;
+        VotingStrategy strategy;
+        address token;
+        uint256 snapshotBlock;
+        uint256 credits;
+        BallotType ballot;
+        uint256 quorum;
+        TieBreak tieBreak;
+        bool allowVoteChange;
+    }
+
+    /**
+     * @dev Outcome of a poll. `winners` lists every option sharing the top
+     * count (final runoff round on ranked polls) and is empty when nobody
+     * voted. `winner` is only meaningful when `hasWinner` is set: there is a
+     * single top option or the tie was broken, the quorum was met and the
+     * poll wasn't cancelled.
+     */
+    struct PollResults {
+        uint256[] winners;
+        uint256 winningVotes;
+        bool tie;
+        bool hasWinner;
+        uint256 winner;
+        uint256 turnout;
+        uint256 totalVotes;
+        bool quorumMet;
+    }
+
     struct Poll {
         uint256 id;
         string question;
@@ -14,70 +126,320 @@ contract Voting {
         uint256[] voteCounts;
         address creator;
         uint256 endTime;
+        // Cleared when the creator ends the poll early
         bool active;
+        // Set once the creator has used the poll's one extension
+        bool extended;
         mapping(address => bool) hasVoted;
         mapping(address => uint256) voterChoice;
+        uint256 voterCount;
+        PollConfig config;
+        // Eligibility: restricted polls only accept voters marked eligible,
+        // either up front from the allowlist or by a Merkle proof at vote time
+        mapping(address => bool) eligible;
+        // Commit-reveal: ballots are committed while the poll is active and
+        // only counted once revealed, before revealEndTime
+        mapping(address => bytes32) commitments;
+        mapping(address => bool) revealed;
+        // Ranked polls keep every ballot for the runoff tally
+        RankedBallot[] rankedBallots;
+        // Option picked by the creator to break a tie, plus one (0 while unset)
+        uint256 castingVote;
+        // Delegation: this poll's delegates (overriding standing ones), the
+        // delegate whose ballot counted for each delegator, and the weight
+        // each delegate carries for others
+        mapping(address => address) delegates;
+        mapping(address => address) representedBy;
+        mapping(address => uint256) carriedWeight;
+        ModerationStatus moderation;
+        // Creation deposit still held for the poll (0 once settled), and the
+        // votes it needs for a refund, fixed at creation
+        uint256 deposit;
+        uint256 refundVotes;
+        // How many options an approval ballot may select
+        uint8 minSelections;
+        uint8 maxSelections;
+    }
+
+    /**
+     * @dev Optional settings for createPollWithSettings
+     * @param startTime When voting opens (0 to open immediately); the
+     * duration counts from here
+     * @param metadataHash keccak256 of a JSON document with the poll's
+     * description, category, tags and link (zero for none)
+     * @param allowlist Addresses allowed to vote (empty for none)
+     * @param merkleRoot Root of a Merkle tree of allowed voters (zero for none)
+     * @param secret Use commit-reveal ballots instead of public votes
+     * @param revealDurationInMinutes Length of the reveal window after voting closes
+     * @param strategy How ballots are weighted
+     * @param token IVotes token for token-weighted polls
+     * @param credits Credit budget per voter for quadratic polls
+     * @param ballot Single-choice, ranked or approval ballots
+     * @param quorum Minimum number of counted ballots for the result to stand (0 for none)
+     * @param tieBreak How a tie for first place is resolved
+     * @param allowVoteChange Let voters change or retract their vote while the
+     * poll is active (public single-choice polls only)
+     * @param minSelections Fewest options an approval ballot may select
+     * @param maxSelections Most options an approval ballot may select
+     */
+    struct PollSettings {
+        uint256 startTime;
+        bytes32 metadataHash;
+        address[] allowlist;
+        bytes32 merkleRoot;
+        bool secret;
+        uint256 revealDurationInMinutes;
+        VotingStrategy strategy;
+        address token;
+        uint256 credits;
+        BallotType ballot;
+        uint256 quorum;
+        TieBreak tieBreak;
+        bool allowVoteChange;
+        uint256 minSelections;
+        uint256 maxSelections;
+    }
+
+    /**
+     * @dev Poll details as returned by the batch views. `voteCounts` and
+     * `totalVotes` are weighted (first choices on ranked polls, every
+     * approval on approval polls); `voterCount`
+     * is the number of counted ballots. `active` is true while voting is
+     * open; `endedEarly` is set once the creator has ended the poll, so
+     * upcoming polls are those that are neither and have not reached
+     * `config.startTime`.
+     * The caller-specific fields refer to msg.sender. `voterChoice` is the
+     * caller's option (first choice on ranked polls, the selection bitmask on
+     * approval polls) and is only meaningful
+     * once they have voted on a public, non-quadratic poll or revealed.
+     * `carriedWeight` is the weight they cast for delegators and
+     * `representedBy` the delegate whose ballot counts for them, if any.
+     * `moderation` is the poll's moderation status. `deposit` is the
+     * creation deposit still held and `refundVotes` the counted ballots it
+     * needs to be refunded. `minSelections` and `maxSelections` limit
+     * approval ballots (0 on other polls). `results` leaves out the winners
+     * of ranked polls, which need the full runoff: see getResults and
+     * getRankedResults.
+     */
+    struct PollSummary {
+        uint256 id;
+        string question;
+        string[] options;
+        uint256[] voteCounts;
+        address creator;
+        uint256 endTime;
+        bool active;
+        bool endedEarly;
+        bool extended;
+        uint256 totalVotes;
+        uint256 voterCount;
+        PollConfig config;
+        bool hasVoted;
+        uint256 voterChoice;
+        bool isEligible;
+        bool hasRevealed;
+        uint256 votingPower;
+        PollResults results;
+        uint256 carriedWeight;
+        address representedBy;
+        ModerationStatus moderation;
+        uint256 deposit;
+        uint256 refundVotes;
+        uint256 minSelections;
+        uint256 maxSelections;
     }
 
+    // Longest delegation chain that is followed; longer chains are refused,
+    // or cut there if links added above them later stretch them
+    uint256 public constant MAX_DELEGATION_DEPTH = PollDelegation.MAX_DEPTH;
+
+    // May create polls while the creator allowlist is enabled
+    bytes32 public constant POLL_CREATOR_ROLE = keccak256("POLL_CREATOR_ROLE");
+
+    bytes32 public constant BALLOT_TYPEHASH =
+        keccak256("Ballot(uint256 pollId,uint256 optionIndex,address voter,uint256 nonce,uint256 deadline)");
+
     uint256 public pollCount;
     mapping(uint256 => Poll) private polls;
+    mapping(address => uint256[]) private creatorPolls;
+    // Next signed-ballot nonce for each voter
+    mapping(address => uint256) public nonces;
+    // Standing delegate of each voter, for polls without a poll-specific one
+    mapping(address => address) public voteDelegates;
+    // Emergency stop for poll creation and voting
+    bool public paused;
+    // Only POLL_CREATOR_ROLE may create polls while set
+    bool public creatorAllowlistEnabled;
+    // Deposit required to create a poll, counted ballots needed to get it
+    // back, and where forfeited deposits go
+    uint256 public creationDeposit;
+    uint256 public depositRefundVotes;
+    address public depositTreasury;
+    // Refunds and forfeited deposits waiting to be withdrawn
+    mapping(address => uint256) public pendingWithdrawals;
+    // Polls each address has set a poll-specific delegate on
+    mapping(address => uint256[]) private delegatedPolls;
     
     // Events
     event PollCreated(uint256 indexed pollId, string question, address creator, uint256 endTime);
     event VoteCast(uint256 indexed pollId, address indexed voter, uint256 optionIndex);
     event PollEnded(uint256 indexed pollId);
+    event VoteCommitted(uint256 indexed pollId, address indexed voter);
+    event QuadraticVoteCast(uint256 indexed pollId, address indexed voter, uint256[] votes);
+    event RankedVoteCast(uint256 indexed pollId, address indexed voter, uint256[] ranking);
+    event ApprovalVoteCast(uint256 indexed pollId, address indexed voter, uint256 selection);
+    event TieBroken(uint256 indexed pollId, uint256 optionIndex);
+    event VoteChanged(uint256 indexed pollId, address indexed voter, uint256 previousOption, uint256 optionIndex);
+    event VoteRetracted(uint256 indexed pollId, address indexed voter, uint256 previousOption);
+    event PollExtended(uint256 indexed pollId, uint256 endTime);
+    event VoteDelegated(address indexed delegator, address indexed delegate);
+    event PollVoteDelegated(uint256 indexed pollId, address indexed delegator, address indexed delegate);
+    event DelegatedVoteCast(uint256 indexed pollId, address indexed delegate, address indexed delegator, uint256 weight);
+    event PollModerated(uint256 indexed pollId, ModerationStatus status, string reason);
+    event PausedChanged(bool paused);
+    event CreatorAllowlistChanged(bool enabled);
+    event DepositSettingsChanged(uint256 amount, uint256 refundVotes, address treasury);
+    event DepositSettled(uint256 indexed pollId, address indexed recipient, uint256 amount, bool refunded);
+    event Withdrawal(address indexed account, uint256 amount);
+
+    // Errors
+    error PollNotFound(uint256 pollId);
+    error PollNotStarted(uint256 pollId, uint256 startTime);
+    error PollClosed(uint256 pollId);
+    error VotingStillOpen(uint256 pollId, uint256 closesAt);
+    error RevealPeriodEnded(uint256 pollId, uint256 revealEndTime);
+    error NotCreator(uint256 pollId, address creator);
+    error AlreadyVoted(uint256 pollId, address voter);
+    error NotVoted(uint256 pollId, address voter);
+    error NotEligible(uint256 pollId, address voter);
+    error InvalidProof(uint256 pollId, address voter);
+    error NoVotingPower(uint256 pollId, address voter);
+    error InvalidOption(uint256 pollId, uint256 optionIndex);
+    error SameOption(uint256 pollId, uint256 optionIndex);
+    error InvalidBallot(uint256 pollId);
+    error NotEnoughCredits(uint256 pollId, uint256 cost, uint256 credits);
+    error WrongBallotType(uint256 pollId);
+    error ActionNotAllowed(uint256 pollId);
+    error AlreadyRevealed(uint256 pollId, address voter);
+    error CommitmentMismatch(uint256 pollId, address voter);
+    error VoteNotRevealed(uint256 pollId, address voter);
+    error AlreadyExtended(uint256 pollId);
+    error TieAlreadyBroken(uint256 pollId);
+    error NotTied(uint256 pollId, uint256 optionIndex);
+    error NoVotesCast(uint256 pollId);
+    error QuorumNotMet(uint256 pollId, uint256 turnout, uint256 quorum);
+    error PollTied(uint256 pollId);
+    error SignatureExpired(uint256 deadline);
+    error InvalidSignature(address voter);
+    error EmptyQuestion();
+    error InvalidOptionCount(uint256 count);
+    error EmptyOption(uint256 index);
+    error InvalidDuration(uint256 durationInMinutes);
+    error StartTimeInPast(uint256 startTime);
+    error InvalidToken(address token);
+    error InvalidCredits();
+    error UnsupportedSettings();
+    error InvalidSelectionLimits(uint256 minSelections, uint256 maxSelections);
+    error SelectionOutOfRange(uint256 pollId, uint256 selected, uint256 minSelections, uint256 maxSelections);
+    error DelegationCycle(address delegator, address delegate);
+    error DelegationTooLong(address delegate);
+    error PollCancelled(uint256 pollId);
+    error VotingPaused();
+    error NotPollCreator(address account);
+    error EmptyReason();
+    error WrongDeposit(uint256 sent, uint256 required);
+    error NoDeposit(uint256 pollId);
+    error InvalidTreasury();
+    error NothingToWithdraw(address account);
+    error TransferFailed(address account);
 
-    // Modifiers
+    // Modifiers. The checks live in private functions so they are not
+    // inlined into every function that uses them, keeping the bytecode
+    // under the contract size limit.
     modifier pollExists(uint256 _pollId) {
-        require(_pollId > 0 && _pollId <= pollCount, "Poll does not exist");
+        _requirePollExists(_pollId);
         _;
     }
 
     modifier pollActive(uint256 _pollId) {
-        require(polls[_pollId].active, "Poll is not active");
-        require(block.timestamp < polls[_pollId].endTime, "Poll has ended");
+        _requirePollActive(_pollId);
         _;
     }
 
     modifier hasNotVoted(uint256 _pollId) {
-        require(!polls[_pollId].hasVoted[msg.sender], "Already voted");
+        _requireNotVoted(_pollId);
         _;
     }
 
+    modifier onlyEligible(uint256 _pollId) {
+        _requireEligible(_pollId);
+        _;
+    }
+
+    modifier publicBallot(uint256 _pollId) {
+        _requirePublicBallot(_pollId);
+        _;
+    }
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() EIP712("Voting", "1") {
+        // The EIP-712 name and version are immutables, so they live in the
+        // implementation's code and apply to the proxy too
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Set up a new proxy. Called once, by the proxy's constructor.
+     * @param _admin Account that may upgrade the contract and manage roles
+     */
+    function initialize(address _admin) external initializer {
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+    }
+
+    /**
+     * @dev Implementation version, bumped by every upgrade
+     */
+    function version() public pure virtual returns (uint256) {
+        return 6;
+    }
+
     /**
-     * @dev Create a new poll
+     * @dev Create a new poll. Send exactly creationDeposit with it.
      * @param _question The poll question
      * @param _options Array of voting options
      * @param _durationInMinutes How long the poll should be active
      */
     function createPoll(
-        string memory _question,
-        string[] memory _options,
+        string calldata _question,
+        string[] calldata _options,
         uint256 _durationInMinutes
-    ) external returns (uint256) {
-        require(bytes(_question).length > 0, "Question cannot be empty");
-        require(_options.length >= 2, "Need at least 2 options");
-        require(_options.length <= 10, "Maximum 10 options allowed");
-        require(_durationInMinutes > 0, "Duration must be positive");
-        require(_durationInMinutes <= 10080, "Max duration is 7 days");
+    ) external payable returns (uint256) {
+        return _createPoll(_question, _options, _durationInMinutes, block.timestamp).id;
+    }
 
-        pollCount++;
-        Poll storage newPoll = polls[pollCount];
-        
-        newPoll.id = pollCount;
-        newPoll.question = _question;
-        newPoll.creator = msg.sender;
-        newPoll.endTime = block.timestamp + (_durationInMinutes * 1 minutes);
-        newPoll.active = true;
-        
-        for (uint256 i = 0; i < _options.length; i++) {
-            require(bytes(_options[i]).length > 0, "Option cannot be empty");
-            newPoll.options.push(_options[i]);
-            newPoll.voteCounts.push(0);
+    /**
+     * @dev Create a new poll with optional settings. Send exactly
+     * creationDeposit with it.
+     * @param _question The poll question
+     * @param _options Array of voting options
+     * @param _durationInMinutes How long the poll should be active
+     * @param _settings Start time, voter eligibility and other per-poll settings
+     */
+    function createPollWithSettings(
+        string calldata _question,
+        string[] calldata _options,
+        uint256 _durationInMinutes,
+        PollSettings calldata _settings
+    ) external payable returns (uint256) {
+        uint256 startTime = _settings.startTime;
+        if (startTime == 0) {
+            startTime = block.timestamp;
         }
+        if (startTime < block.timestamp) revert StartTimeInPast(startTime);
 
-        emit PollCreated(pollCount, _question, msg.sender, newPoll.endTime);
-        return pollCount;
+        Poll storage newPoll = _createPoll(_question, _options, _durationInMinutes, startTime);
+        PollSetup.configure(newPoll, _settings);
+        return newPoll.id;
     }
 
     /**
@@ -90,15 +452,218 @@ contract Voting {
         pollExists(_pollId) 
         pollActive(_pollId) 
         hasNotVoted(_pollId) 
+        onlyEligible(_pollId)
+        publicBallot(_pollId)
+    {
+        _castVote(_pollId, msg.sender, _optionIndex);
+    }
+
+    /**
+     * @dev Cast a vote on a Merkle-restricted poll, proving eligibility
+     * @param _pollId The ID of the poll
+     * @param _optionIndex The index of the chosen option
+     * @param _proof Merkle proof that the caller is in the poll's voter tree
+     */
+    function voteWithProof(uint256 _pollId, uint256 _optionIndex, bytes32[] calldata _proof)
+        external
+        pollExists(_pollId)
+        pollActive(_pollId)
+        hasNotVoted(_pollId)
+        publicBallot(_pollId)
+    {
+        _proveEligibility(polls[_pollId], msg.sender, _proof);
+        _castVote(_pollId, msg.sender, _optionIndex);
+    }
+
+    /**
+     * @dev Cast a vote signed off-chain by the voter, so a relayer can pay
+     * the gas. The signature covers an EIP-712 Ballot with the voter's
+     * current nonce and a deadline.
+     * @param _pollId The ID of the poll
+     * @param _optionIndex The index of the chosen option
+     * @param _voter The address that signed the ballot
+     * @param _deadline Timestamp after which the signature is no longer valid
+     * @param _signature The voter's EIP-712 signature
+     * @param _proof Merkle proof of eligibility (empty if not needed)
+     */
+    function voteBySig(
+        uint256 _pollId,
+        uint256 _optionIndex,
+        address _voter,
+        uint256 _deadline,
+        bytes calldata _signature,
+        bytes32[] calldata _proof
+    )
+        external
+        pollExists(_pollId)
+        pollActive(_pollId)
+        publicBallot(_pollId)
+    {
+        if (block.timestamp > _deadline) revert SignatureExpired(_deadline);
+        bytes32 structHash = keccak256(
+            abi.encode(BALLOT_TYPEHASH, _pollId, _optionIndex, _voter, nonces[_voter], _deadline)
+        );
+        if (ECDSA.recover(_hashTypedDataV4(structHash), _signature) != _voter) revert InvalidSignature(_voter);
+        nonces[_voter]++;
+
+        Poll storage poll = polls[_pollId];
+        if (poll.hasVoted[_voter]) revert AlreadyVoted(_pollId, _voter);
+        _proveEligibility(poll, _voter, _proof);
+        _castVote(_pollId, _voter, _optionIndex);
+    }
+
+    /**
+     * @dev Spread votes across options on a quadratic poll. Casting n votes
+     * for an option costs n*n credits.
+     * @param _pollId The ID of the poll
+     * @param _votes Number of votes for each option
+     * @param _proof Merkle proof of eligibility (empty if not needed)
+     */
+    function voteQuadratic(uint256 _pollId, uint256[] calldata _votes, bytes32[] calldata _proof)
+        external
+        pollExists(_pollId)
+        pollActive(_pollId)
+        hasNotVoted(_pollId)
+    {
+        Poll storage poll = polls[_pollId];
+        _proveEligibility(poll, msg.sender, _proof);
+        PollBallots.castQuadratic(poll, msg.sender, _votes);
+
+        emit QuadraticVoteCast(_pollId, msg.sender, _votes);
+    }
+
+    /**
+     * @dev Rank every option on a ranked-choice poll
+     * @param _pollId The ID of the poll
+     * @param _ranking Option indices in order of preference, first choice first
+     * @param _proof Merkle proof of eligibility (empty if not needed)
+     */
+    function voteRanked(uint256 _pollId, uint256[] calldata _ranking, bytes32[] calldata _proof)
+        external
+        pollExists(_pollId)
+        pollActive(_pollId)
+        hasNotVoted(_pollId)
     {
         Poll storage poll = polls[_pollId];
-        require(_optionIndex < poll.options.length, "Invalid option");
+        uint256 weight = _ballotWeight(poll, _proof);
+        PollBallots.castRanked(poll, msg.sender, _ranking, weight);
+
+        emit RankedVoteCast(_pollId, msg.sender, _ranking);
+    }
+
+    /**
+     * @dev Approve a set of options on an approval poll. Each selected option
+     * is counted with the voter's full weight.
+     * @param _pollId The ID of the poll
+     * @param _selection Bitmask of the selected options: bit i selects option i
+     * @param _proof Merkle proof of eligibility (empty if not needed)
+     */
+    function voteApproval(uint256 _pollId, uint256 _selection, bytes32[] calldata _proof)
+        external
+        pollExists(_pollId)
+        pollActive(_pollId)
+        hasNotVoted(_pollId)
+    {
+        Poll storage poll = polls[_pollId];
+        uint256 weight = _ballotWeight(poll, _proof);
+        PollBallots.castApproval(poll, msg.sender, _selection, weight);
+
+        emit ApprovalVoteCast(_pollId, msg.sender, _selection);
+    }
+
+    /**
+     * @dev Commit a sealed ballot on a commit-reveal poll
+     * @param _pollId The ID of the poll
+     * @param _commitment keccak256(abi.encode(pollId, voter, optionIndex, salt))
+     * @param _proof Merkle proof of eligibility (empty if not needed)
+     */
+    function commitVote(uint256 _pollId, bytes32 _commitment, bytes32[] calldata _proof)
+        external
+        pollExists(_pollId)
+        pollActive(_pollId)
+        hasNotVoted(_pollId)
+    {
+        Poll storage poll = polls[_pollId];
+        if (!poll.config.secret) revert WrongBallotType(_pollId);
+        if (_commitment == bytes32(0)) revert InvalidBallot(_pollId);
+        if (_votingPower(poll, msg.sender) == 0) revert NoVotingPower(_pollId, msg.sender);
+        _proveEligibility(poll, msg.sender, _proof);
 
         poll.hasVoted[msg.sender] = true;
+        poll.commitments[msg.sender] = _commitment;
+
+        emit VoteCommitted(_pollId, msg.sender);
+    }
+
+    /**
+     * @dev Reveal a committed ballot once voting has closed. Only revealed
+     * ballots are counted.
+     * @param _pollId The ID of the poll
+     * @param _optionIndex The option that was committed to
+     * @param _salt The salt used in the commitment
+     */
+    function revealVote(uint256 _pollId, uint256 _optionIndex, bytes32 _salt)
+        external
+        pollExists(_pollId)
+    {
+        Poll storage poll = polls[_pollId];
+        if (!poll.config.secret) revert WrongBallotType(_pollId);
+        if (!_isClosed(poll)) revert VotingStillOpen(_pollId, poll.endTime);
+        if (block.timestamp >= poll.config.revealEndTime) revert RevealPeriodEnded(_pollId, poll.config.revealEndTime);
+        if (poll.commitments[msg.sender] == bytes32(0)) revert NotVoted(_pollId, msg.sender);
+        if (poll.revealed[msg.sender]) revert AlreadyRevealed(_pollId, msg.sender);
+        if (keccak256(abi.encode(_pollId, msg.sender, _optionIndex, _salt)) != poll.commitments[msg.sender]) {
+            revert CommitmentMismatch(_pollId, msg.sender);
+        }
+
+        poll.revealed[msg.sender] = true;
+        _castVote(_pollId, msg.sender, _optionIndex);
+    }
+
+    /**
+     * @dev Move the caller's vote to another option, on polls created with
+     * allowVoteChange. Both counts are updated in the same transaction.
+     * @param _pollId The ID of the poll
+     * @param _optionIndex The index of the new option
+     */
+    function changeVote(uint256 _pollId, uint256 _optionIndex)
+        external
+        pollExists(_pollId)
+        pollActive(_pollId)
+    {
+        Poll storage poll = _revisableBallot(_pollId);
+        uint256 previous = poll.voterChoice[msg.sender];
+        if (_optionIndex >= poll.options.length) revert InvalidOption(_pollId, _optionIndex);
+        if (_optionIndex == previous) revert SameOption(_pollId, _optionIndex);
+
+        // Token weights come from the poll's snapshot, so the weight removed
+        // is the weight that was added. Delegators' weight moves along.
+        uint256 weight = _votingPower(poll, msg.sender) + poll.carriedWeight[msg.sender];
+        poll.voteCounts[previous] -= weight;
+        poll.voteCounts[_optionIndex] += weight;
         poll.voterChoice[msg.sender] = _optionIndex;
-        poll.voteCounts[_optionIndex]++;
 
-        emit VoteCast(_pollId, msg.sender, _optionIndex);
+        emit VoteChanged(_pollId, msg.sender, previous, _optionIndex);
+    }
+
+    /**
+     * @dev Withdraw the caller's vote, on polls created with allowVoteChange.
+     * The caller may vote again while the poll is active. Not possible while
+     * carrying delegated votes.
+     * @param _pollId The ID of the poll
+     */
+    function retractVote(uint256 _pollId) external pollExists(_pollId) pollActive(_pollId) {
+        Poll storage poll = _revisableBallot(_pollId);
+        uint256 previous = poll.voterChoice[msg.sender];
+        // Delegators would be left without a ballot
+        if (poll.carriedWeight[msg.sender] > 0) revert ActionNotAllowed(_pollId);
+
+        poll.voteCounts[previous] -= _votingPower(poll, msg.sender);
+        poll.hasVoted[msg.sender] = false;
+        delete poll.voterChoice[msg.sender];
+        poll.voterCount--;
+
+        emit VoteRetracted(_pollId, msg.sender, previous);
     }
 
     /**
@@ -107,13 +672,238 @@ contract Voting {
      */
     function endPoll(uint256 _pollId) external pollExists(_pollId) {
         Poll storage poll = polls[_pollId];
-        require(msg.sender == poll.creator, "Only creator can end poll");
-        require(poll.active, "Poll already ended");
+        if (msg.sender != poll.creator) revert NotCreator(_pollId, poll.creator);
+        if (!poll.active) revert PollClosed(_pollId);
         
         poll.active = false;
         emit PollEnded(_pollId);
     }
 
+    /**
+     * @dev Push back the end of a poll (only creator, once per poll). The
+     * poll may not run longer than 7 days in total. Secret polls keep the
+     * same reveal window after the new end time.
+     * @param _pollId The ID of the poll to extend
+     * @param _additionalMinutes How many minutes to add
+     */
+    function extendPoll(uint256 _pollId, uint256 _additionalMinutes) external pollExists(_pollId) {
+        Poll storage poll = polls[_pollId];
+        if (msg.sender != poll.creator) revert NotCreator(_pollId, poll.creator);
+        if (_isClosed(poll)) revert PollClosed(_pollId);
+        if (poll.extended) revert AlreadyExtended(_pollId);
+        if (_additionalMinutes == 0) revert InvalidDuration(_additionalMinutes);
+
+        uint256 added = _additionalMinutes * 1 minutes;
+        uint256 duration = poll.endTime + added - poll.config.startTime;
+        if (duration > 7 days) revert InvalidDuration(duration / 1 minutes);
+
+        poll.extended = true;
+        poll.endTime += added;
+        if (poll.config.secret) {
+            poll.config.revealEndTime += added;
+        }
+
+        emit PollExtended(_pollId, poll.endTime);
+    }
+
+    /**
+     * @dev Break a tie for first place with the creator's casting vote, on
+     * polls created with TieBreak.CreatorCasts. Only allowed once voting
+     * (and any reveal window) has closed.
+     * @param _pollId The ID of the poll
+     * @param _optionIndex One of the tied options
+     */
+    function breakTie(uint256 _pollId, uint256 _optionIndex) external pollExists(_pollId) {
+        Poll storage poll = polls[_pollId];
+        if (msg.sender != poll.creator) revert NotCreator(_pollId, poll.creator);
+        if (poll.config.tieBreak != TieBreak.CreatorCasts) revert ActionNotAllowed(_pollId);
+        if (!_isClosed(poll)) revert VotingStillOpen(_pollId, poll.endTime);
+        if (block.timestamp < poll.config.revealEndTime) revert VotingStillOpen(_pollId, poll.config.revealEndTime);
+        if (poll.castingVote != 0) revert TieAlreadyBroken(_pollId);
+
+        PollResults memory results = PollTally.results(poll);
+        bool isTied = false;
+        for (uint256 i = 0; i < results.winners.length; i++) {
+            if (results.winners[i] == _optionIndex) {
+                isTied = true;
+            }
+        }
+        if (!results.tie || !isTied) revert NotTied(_pollId, _optionIndex);
+
+        poll.castingVote = _optionIndex + 1;
+        emit TieBroken(_pollId, _optionIndex);
+    }
+
+    /**
+     * @dev Delegate your vote on every poll to `_delegate`, or stop
+     * delegating with the zero address. A delegation made for a single poll
+     * takes precedence. Delegates may delegate in turn; on each poll the
+     * chain ends at the first delegate who voted, else at the first address
+     * that doesn't delegate. Refused if the chain would loop or run too
+     * long on any open poll, poll-specific delegates included.
+     * @param _delegate The address to vote for you
+     */
+    function delegateVote(address _delegate) external {
+        PollDelegation.checkStanding(polls, voteDelegates, delegatedPolls, msg.sender, _delegate);
+        voteDelegates[msg.sender] = _delegate;
+        emit VoteDelegated(msg.sender, _delegate);
+    }
+
+    /**
+     * @dev Delegate your vote on one poll, overriding your standing delegate
+     * there, or fall back to the standing delegate with the zero address
+     * @param _pollId The ID of the poll
+     * @param _delegate The address to vote for you
+     */
+    function delegateVoteForPoll(uint256 _pollId, address _delegate) external pollExists(_pollId) {
+        Poll storage poll = polls[_pollId];
+        if (_isClosed(poll)) revert PollClosed(_pollId);
+        PollDelegation.setForPoll(poll, voteDelegates, delegatedPolls[msg.sender], msg.sender, _delegate);
+        emit PollVoteDelegated(_pollId, msg.sender, _delegate);
+    }
+
+    /**
+     * @dev Count the votes of delegators whose chain ends at the caller, with
+     * their own weight, for the option the caller voted for. Call it after
+     * voting, e.g. in the same multicall. A chain ends at the first delegate
+     * who voted, so a delegator counted further along moves to the caller
+     * once the caller votes on their way. Delegators who voted themselves,
+     * are already counted by the caller, can't vote on the poll or delegate
+     * elsewhere are skipped. A delegator may still vote directly while the
+     * poll is active, which takes their weight back.
+     * Public single-choice polls only.
+     * @param _pollId The ID of the poll
+     * @param _delegators The delegators to count
+     */
+    function castDelegatedVotes(uint256 _pollId, address[] calldata _delegators)
+        external
+        pollExists(_pollId)
+        pollActive(_pollId)
+        publicBallot(_pollId)
+    {
+        Poll storage poll = polls[_pollId];
+        if (poll.config.strategy == VotingStrategy.Quadratic || poll.config.ballot != BallotType.SingleChoice) {
+            revert WrongBallotType(_pollId);
+        }
+        if (!poll.hasVoted[msg.sender]) revert NotVoted(_pollId, msg.sender);
+
+        for (uint256 i = 0; i < _delegators.length; i++) {
+            address delegator = _delegators[i];
+            address previous = poll.representedBy[delegator];
+            if (
+                poll.hasVoted[delegator] ||
+                previous == msg.sender ||
+                PollDelegation.resolve(poll, voteDelegates, delegator) != msg.sender ||
+                !_isEligible(poll, delegator)
+            ) {
+                continue;
+            }
+            uint256 weight = _votingPower(poll, delegator);
+            if (weight == 0) {
+                continue;
+            }
+
+            PollDelegation.count(poll, delegator, msg.sender, weight);
+            emit DelegatedVoteCast(_pollId, msg.sender, delegator, weight);
+        }
+    }
+
+    /**
+     * @dev Hide, cancel or restore a poll (admin only). Cancelling closes the
+     * poll and voids its result; it can't be undone.
+     * @param _pollId The ID of the poll
+     * @param _status The new moderation status
+     * @param _reason Why, recorded in the PollModerated event
+     */
+    function moderatePoll(uint256 _pollId, ModerationStatus _status, string calldata _reason)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+        pollExists(_pollId)
+    {
+        Poll storage poll = polls[_pollId];
+        if (poll.moderation == ModerationStatus.Cancelled) revert PollCancelled(_pollId);
+        if (bytes(_reason).length == 0) revert EmptyReason();
+
+        poll.moderation = _status;
+        if (_status == ModerationStatus.Cancelled) {
+            poll.active = false;
+        }
+        emit PollModerated(_pollId, _status, _reason);
+    }
+
+    /**
+     * @dev Pause or resume poll creation and voting (admin only). Reveals
+     * are still accepted while paused.
+     * @param _paused Whether to pause
+     */
+    function setPaused(bool _paused) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        paused = _paused;
+        emit PausedChanged(_paused);
+    }
+
+    /**
+     * @dev Limit poll creation to accounts with POLL_CREATOR_ROLE, or open it
+     * to everyone again (admin only)
+     * @param _enabled Whether to limit poll creation
+     */
+    function setCreatorAllowlist(bool _enabled) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        creatorAllowlistEnabled = _enabled;
+        emit CreatorAllowlistChanged(_enabled);
+    }
+
+    /**
+     * @dev Set the poll creation deposit (admin only). Polls already created
+     * keep the terms they were created with.
+     * @param _amount Deposit in the native currency (0 for none)
+     * @param _refundVotes Counted ballots a poll needs for its deposit to be refunded
+     * @param _treasury Recipient of forfeited deposits, including those of
+     * polls created before the change
+     */
+    function setDepositSettings(uint256 _amount, uint256 _refundVotes, address _treasury)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        if (_treasury == address(0)) revert InvalidTreasury();
+        creationDeposit = _amount;
+        depositRefundVotes = _refundVotes;
+        depositTreasury = _treasury;
+        emit DepositSettingsChanged(_amount, _refundVotes, _treasury);
+    }
+
+    /**
+     * @dev Settle a closed poll's deposit: refund it to the creator if the
+     * poll got enough counted ballots and wasn't cancelled, else forfeit it
+     * to the treasury. Anyone may call this once voting (and any reveal
+     * window) has closed; the recipient then withdraws it.
+     * @param _pollId The ID of the poll
+     */
+    function settleDeposit(uint256 _pollId) external pollExists(_pollId) {
+        Poll storage poll = polls[_pollId];
+        uint256 amount = poll.deposit;
+        if (amount == 0) revert NoDeposit(_pollId);
+        if (!_isClosed(poll)) revert VotingStillOpen(_pollId, poll.endTime);
+        if (block.timestamp < poll.config.revealEndTime) revert VotingStillOpen(_pollId, poll.config.revealEndTime);
+
+        bool refunded = poll.voterCount >= poll.refundVotes && poll.moderation != ModerationStatus.Cancelled;
+        address recipient = refunded ? poll.creator : depositTreasury;
+        poll.deposit = 0;
+        pendingWithdrawals[recipient] += amount;
+        emit DepositSettled(_pollId, recipient, amount, refunded);
+    }
+
+    /**
+     * @dev Withdraw the caller's refunded or forfeited deposits
+     */
+    function withdraw() external {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        if (amount == 0) revert NothingToWithdraw(msg.sender);
+
+        pendingWithdrawals[msg.sender] = 0;
+        (bool sent, ) = msg.sender.call{ value: amount }("");
+        if (!sent) revert TransferFailed(msg.sender);
+        emit Withdrawal(msg.sender, amount);
+    }
+
     /**
      * @dev Get poll details
      * @param _pollId The ID of the poll
@@ -134,10 +924,6 @@ contract Voting {
         ) 
     {
         Poll storage poll = polls[_pollId];
-        uint256 total = 0;
-        for (uint256 i = 0; i < poll.voteCounts.length; i++) {
-            total += poll.voteCounts[i];
-        }
         
         return (
             poll.id,
@@ -146,11 +932,114 @@ contract Voting {
             poll.voteCounts,
             poll.creator,
             poll.endTime,
-            poll.active && block.timestamp < poll.endTime,
-            total
+            _isActive(poll),
+            PollTally.totalVotes(poll)
         );
     }
 
+    /**
+     * @dev Get summaries for a batch of polls
+     * @param _pollIds The IDs of the polls to fetch
+     * @notice `hasVoted` in each summary refers to the caller
+     */
+    function getPolls(uint256[] calldata _pollIds) external view returns (PollSummary[] memory) {
+        PollSummary[] memory summaries = new PollSummary[](_pollIds.length);
+        for (uint256 i = 0; i < _pollIds.length; i++) {
+            _requirePollExists(_pollIds[i]);
+            summaries[i] = _summarize(_pollIds[i]);
+        }
+        return summaries;
+    }
+
+    /**
+     * @dev Get summaries for a page of polls ordered by ID
+     * @param _offset Number of polls to skip, starting from poll 1
+     * @param _limit Maximum number of polls to return
+     */
+    function getPollRange(uint256 _offset, uint256 _limit) external view returns (PollSummary[] memory) {
+        if (_offset >= pollCount) {
+            return new PollSummary[](0);
+        }
+
+        uint256 count = pollCount - _offset;
+        if (count > _limit) {
+            count = _limit;
+        }
+
+        PollSummary[] memory summaries = new PollSummary[](count);
+        for (uint256 i = 0; i < count; i++) {
+            summaries[i] = _summarize(_offset + i + 1);
+        }
+        return summaries;
+    }
+
+    /**
+     * @dev Scan a window of poll IDs for active polls
+     * @param _cursor The first poll ID to scan (0 starts from poll 1)
+     * @param _limit Number of poll IDs to scan in this call
+     * @return pollIds Active poll IDs found in the window (may be empty)
+     * @return nextCursor Cursor for the next call, or 0 when the scan is complete
+     */
+    function getActivePollsPage(uint256 _cursor, uint256 _limit)
+        external
+        view
+        returns (uint256[] memory pollIds, uint256 nextCursor)
+    {
+        uint256 start = _cursor == 0 ? 1 : _cursor;
+        if (start > pollCount || _limit == 0) {
+            return (new uint256[](0), 0);
+        }
+
+        // Clamped before adding, so a huge _limit can't overflow
+        uint256 end = _limit > pollCount - start ? pollCount : start + _limit - 1;
+
+        uint256[] memory found = new uint256[](end - start + 1);
+        uint256 index = 0;
+        for (uint256 i = start; i <= end; i++) {
+            if (_isActive(polls[i])) {
+                found[index] = i;
+                index++;
+            }
+        }
+
+        pollIds = new uint256[](index);
+        for (uint256 i = 0; i < index; i++) {
+            pollIds[i] = found[i];
+        }
+
+        nextCursor = end < pollCount ? end + 1 : 0;
+    }
+
+    /**
+     * @dev Get a page of poll IDs created by an address
+     * @param _creator The poll creator
+     * @param _offset Number of the creator's polls to skip
+     * @param _limit Maximum number of poll IDs to return
+     * @return pollIds Poll IDs in creation order
+     * @return total Total number of polls created by the address
+     */
+    function getPollsByCreator(address _creator, uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (uint256[] memory pollIds, uint256 total)
+    {
+        uint256[] storage created = creatorPolls[_creator];
+        total = created.length;
+        if (_offset >= total) {
+            return (new uint256[](0), total);
+        }
+
+        uint256 count = total - _offset;
+        if (count > _limit) {
+            count = _limit;
+        }
+
+        pollIds = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            pollIds[i] = created[_offset + i];
+        }
+    }
+
     /**
      * @dev Check if an address has voted on a poll
      * @param _pollId The ID of the poll
@@ -166,7 +1055,52 @@ contract Voting {
     }
 
     /**
-     * @dev Get the vote choice of an address
+     * @dev Check if an address may vote on a poll. Addresses in a Merkle tree
+     * only count as eligible once they have proven it by voting.
+     * @param _pollId The ID of the poll
+     * @param _voter The address to check
+     */
+    function isEligible(uint256 _pollId, address _voter)
+        external
+        view
+        pollExists(_pollId)
+        returns (bool)
+    {
+        return _isEligible(polls[_pollId], _voter);
+    }
+
+    /**
+     * @dev Get the weight an address votes with: 1 on equal polls, its token
+     * votes at the snapshot block on token-weighted polls, or its credit
+     * budget on quadratic polls
+     * @param _pollId The ID of the poll
+     * @param _voter The address to check
+     */
+    function getVotingPower(uint256 _pollId, address _voter)
+        external
+        view
+        pollExists(_pollId)
+        returns (uint256)
+    {
+        return _votingPower(polls[_pollId], _voter);
+    }
+
+    /**
+     * @dev Get the address at the end of a voter's delegation chain on a
+     * poll: whose ballot counts for them if they don't vote. That is the
+     * first delegate along the chain who has voted, else its last link; the
+     * voter itself when not delegating. A chain that grew past MAX_DELEGATION_DEPTH ends
+     * at the delegate that many links along.
+     * @param _pollId The ID of the poll
+     * @param _voter The address to check
+     */
+    function getDelegate(uint256 _pollId, address _voter) external view pollExists(_pollId) returns (address) {
+        return PollDelegation.resolve(polls[_pollId], voteDelegates, _voter);
+    }
+
+    /**
+     * @dev Get the vote choice of an address: the option index, the first
+     * choice on ranked polls or the selection bitmask on approval polls
      * @param _pollId The ID of the poll
      * @param _voter The address to check
      */
@@ -176,8 +1110,11 @@ contract Voting {
         pollExists(_pollId) 
         returns (uint256) 
     {
-        require(polls[_pollId].hasVoted[_voter], "Address has not voted");
-        return polls[_pollId].voterChoice[_voter];
+        Poll storage poll = polls[_pollId];
+        if (!poll.hasVoted[_voter]) revert NotVoted(_pollId, _voter);
+        if (poll.config.strategy == VotingStrategy.Quadratic) revert WrongBallotType(_pollId);
+        if (poll.config.secret && !poll.revealed[_voter]) revert VoteNotRevealed(_pollId, _voter);
+        return poll.voterChoice[_voter];
     }
 
     /**
@@ -188,7 +1125,7 @@ contract Voting {
         
         // First pass: count active polls
         for (uint256 i = 1; i <= pollCount; i++) {
-            if (polls[i].active && block.timestamp < polls[i].endTime) {
+            if (_isActive(polls[i])) {
                 activeCount++;
             }
         }
@@ -197,7 +1134,7 @@ contract Voting {
         uint256[] memory activePollIds = new uint256[](activeCount);
         uint256 index = 0;
         for (uint256 i = 1; i <= pollCount; i++) {
-            if (polls[i].active && block.timestamp < polls[i].endTime) {
+            if (_isActive(polls[i])) {
                 activePollIds[index] = i;
                 index++;
             }
@@ -207,7 +1144,40 @@ contract Voting {
     }
 
     /**
-     * @dev Get the winning option of a poll
+     * @dev Run the instant-runoff tally of a ranked poll. Each round counts
+     * every ballot for its highest-ranked remaining option; if no option has
+     * a majority of the remaining votes, the option with the fewest is
+     * eliminated (the last listed option among equals) and its ballots move on.
+     * @param _pollId The ID of the poll
+     * @return rounds Votes per option in each round; eliminated options count 0
+     * @return eliminated Option eliminated after each round but the last
+     * @return winner The option left with a majority in the final round, or
+     * the first listed if the remaining options are tied (see getResults)
+     */
+    function getRankedResults(uint256 _pollId)
+        external
+        view
+        pollExists(_pollId)
+        returns (uint256[][] memory rounds, uint256[] memory eliminated, uint256 winner)
+    {
+        if (polls[_pollId].config.ballot != BallotType.Ranked) revert WrongBallotType(_pollId);
+        return PollTally.rankedTally(polls[_pollId]);
+    }
+
+    /**
+     * @dev Get the outcome of a poll: every option tied for first, whether
+     * there is a single winner, turnout and whether the quorum was met
+     * @param _pollId The ID of the poll
+     */
+    function getResults(uint256 _pollId) external view pollExists(_pollId) returns (PollResults memory) {
+        return PollTally.results(polls[_pollId]);
+    }
+
+    /**
+     * @dev Get the winning option of a poll. Ranked polls report the
+     * instant-runoff winner and its votes in the final round. Reverts when
+     * there is no single winner or the poll was cancelled; use getResults
+     * for ties and quorum.
      * @param _pollId The ID of the poll
      */
     function getWinner(uint256 _pollId) 
@@ -216,18 +1186,171 @@ contract Voting {
         pollExists(_pollId) 
         returns (uint256 winningOption, string memory winningOptionText, uint256 winningVoteCount) 
     {
-        Poll storage poll = polls[_pollId];
+        if (polls[_pollId].moderation == ModerationStatus.Cancelled) revert PollCancelled(_pollId);
+        PollResults memory results = PollTally.results(polls[_pollId]);
+        if (results.winners.length == 0) revert NoVotesCast(_pollId);
+        if (!results.quorumMet) revert QuorumNotMet(_pollId, results.turnout, polls[_pollId].config.quorum);
+        if (!results.hasWinner) revert PollTied(_pollId);
         
-        uint256 maxVotes = 0;
-        uint256 winnerIndex = 0;
+        return (results.winner, polls[_pollId].options[results.winner], results.winningVotes);
+    }
+
+    // Internal helpers
+
+    function _createPoll(
+        string calldata _question,
+        string[] calldata _options,
+        uint256 _durationInMinutes,
+        uint256 _startTime
+    ) private returns (Poll storage newPoll) {
+        if (paused) revert VotingPaused();
+        if (creatorAllowlistEnabled && !hasRole(POLL_CREATOR_ROLE, msg.sender)) revert NotPollCreator(msg.sender);
+        if (msg.value != creationDeposit) revert WrongDeposit(msg.value, creationDeposit);
+        if (bytes(_question).length == 0) revert EmptyQuestion();
+        if (_options.length < 2 || _options.length > 10) revert InvalidOptionCount(_options.length);
+        if (_durationInMinutes == 0 || _durationInMinutes > 10080) revert InvalidDuration(_durationInMinutes);
+
+        pollCount++;
+        newPoll = polls[pollCount];
+        creatorPolls[msg.sender].push(pollCount);
         
-        for (uint256 i = 0; i < poll.voteCounts.length; i++) {
-            if (poll.voteCounts[i] > maxVotes) {
-                maxVotes = poll.voteCounts[i];
-                winnerIndex = i;
-            }
-        }
+        newPoll.id = pollCount;
+        newPoll.creator = msg.sender;
+        newPoll.config.startTime = _startTime;
+        newPoll.endTime = _startTime + (_durationInMinutes * 1 minutes);
+        newPoll.active = true;
+        newPoll.deposit = msg.value;
+        newPoll.refundVotes = depositRefundVotes;
         
-        return (winnerIndex, poll.options[winnerIndex], maxVotes);
+        PollSetup.store(newPoll, _question, _options);
+
+        emit PollCreated(pollCount, _question, msg.sender, newPoll.endTime);
+    }
+
+    function _castVote(uint256 _pollId, address _voter, uint256 _optionIndex) private {
+        Poll storage poll = polls[_pollId];
+        if (poll.config.strategy == VotingStrategy.Quadratic || poll.config.ballot != BallotType.SingleChoice) {
+            revert WrongBallotType(_pollId);
+        }
+        if (_optionIndex >= poll.options.length) revert InvalidOption(_pollId, _optionIndex);
+        uint256 weight = _votingPower(poll, _voter);
+        if (weight == 0) revert NoVotingPower(_pollId, _voter);
+
+        // A delegator voting directly takes their weight back from the delegate
+        PollDelegation.release(poll, _voter, weight);
+
+        poll.hasVoted[_voter] = true;
+        poll.voterChoice[_voter] = _optionIndex;
+        poll.voteCounts[_optionIndex] += weight;
+        poll.voterCount++;
+
+        emit VoteCast(_pollId, _voter, _optionIndex);
+    }
+
+    function _votingPower(Poll storage poll, address _voter) private view returns (uint256) {
+        PollConfig storage config = poll.config;
+        if (config.strategy == VotingStrategy.TokenWeighted) {
+            return IVotes(config.token).getPastVotes(_voter, config.snapshotBlock);
+        }
+        if (config.strategy == VotingStrategy.Quadratic) {
+            return config.credits;
+        }
+        return 1;
+    }
+
+    // Prove the sender eligible and return the weight of their ballot
+    function _ballotWeight(Poll storage poll, bytes32[] calldata _proof) private returns (uint256 weight) {
+        _proveEligibility(poll, msg.sender, _proof);
+        weight = _votingPower(poll, msg.sender);
+        if (weight == 0) revert NoVotingPower(poll.id, msg.sender);
+    }
+
+    function _isEligible(Poll storage poll, address _voter) private view returns (bool) {
+        return !poll.config.restricted || poll.eligible[_voter];
+    }
+
+    // Mark the voter eligible using a Merkle proof, unless already eligible
+    function _proveEligibility(Poll storage poll, address _voter, bytes32[] calldata _proof) private {
+        if (_isEligible(poll, _voter)) {
+            return;
+        }
+
+        bytes32 root = poll.config.merkleRoot;
+        if (root == bytes32(0)) revert NotEligible(poll.id, _voter);
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(_voter))));
+        if (!MerkleProof.verifyCalldata(_proof, root, leaf)) revert InvalidProof(poll.id, _voter);
+        poll.eligible[_voter] = true;
+    }
+
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+
+    function _requirePollExists(uint256 _pollId) private view {
+        if (_pollId == 0 || _pollId > pollCount) revert PollNotFound(_pollId);
+    }
+
+    // Every way of voting checks this, so it also enforces the pause
+    function _requirePollActive(uint256 _pollId) private view {
+        if (paused) revert VotingPaused();
+        Poll storage poll = polls[_pollId];
+        if (!poll.active || block.timestamp >= poll.endTime) revert PollClosed(_pollId);
+        if (block.timestamp < poll.config.startTime) revert PollNotStarted(_pollId, poll.config.startTime);
+    }
+
+    function _requireNotVoted(uint256 _pollId) private view {
+        if (polls[_pollId].hasVoted[msg.sender]) revert AlreadyVoted(_pollId, msg.sender);
+    }
+
+    function _requireEligible(uint256 _pollId) private view {
+        if (!_isEligible(polls[_pollId], msg.sender)) revert NotEligible(_pollId, msg.sender);
+    }
+
+    function _requirePublicBallot(uint256 _pollId) private view {
+        if (polls[_pollId].config.secret) revert WrongBallotType(_pollId);
+    }
+
+    // A poll the caller has voted on and may change their vote on
+    function _revisableBallot(uint256 _pollId) private view returns (Poll storage poll) {
+        poll = polls[_pollId];
+        if (!poll.config.allowVoteChange) revert ActionNotAllowed(_pollId);
+        if (!poll.hasVoted[msg.sender]) revert NotVoted(_pollId, msg.sender);
+    }
+
+    function _isActive(Poll storage poll) private view returns (bool) {
+        return poll.active && block.timestamp >= poll.config.startTime && block.timestamp < poll.endTime;
+    }
+
+    // Ended early or past its end time; upcoming polls are not closed
+    function _isClosed(Poll storage poll) private view returns (bool) {
+        return !poll.active || block.timestamp >= poll.endTime;
+    }
+
+    // Fields are assigned one at a time to stay clear of stack-too-deep
+    function _summarize(uint256 _pollId) private view returns (PollSummary memory summary) {
+        Poll storage poll = polls[_pollId];
+        summary.id = poll.id;
+        summary.question = poll.question;
+        summary.options = poll.options;
+        summary.voteCounts = poll.voteCounts;
+        summary.creator = poll.creator;
+        summary.endTime = poll.endTime;
+        summary.active = _isActive(poll);
+        summary.endedEarly = !poll.active;
+        summary.extended = poll.extended;
+        summary.totalVotes = PollTally.totalVotes(poll);
+        summary.voterCount = poll.voterCount;
+        summary.config = poll.config;
+        summary.hasVoted = poll.hasVoted[msg.sender];
+        summary.voterChoice = poll.voterChoice[msg.sender];
+        summary.isEligible = _isEligible(poll, msg.sender);
+        summary.hasRevealed = poll.revealed[msg.sender];
+        summary.votingPower = _votingPower(poll, msg.sender);
+        summary.results = PollTally.summaryResults(poll);
+        summary.carriedWeight = poll.carriedWeight[msg.sender];
+        summary.representedBy = poll.representedBy[msg.sender];
+        summary.moderation = poll.moderation;
+        summary.deposit = poll.deposit;
+        summary.refundVotes = poll.refundVotes;
+        summary.minSelections = poll.minSelections;
+        summary.maxSelections = poll.maxSelections;
     }
 }
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+/**
+ * @title VotingProxy
+ * @dev The address the frontend and relayer talk to. Delegates every call to
+ * the current Voting implementation, which handles upgrades itself (UUPS).
+ */
+contract VotingProxy is ERC1967Proxy {
+    /**
+     * @param _implementation Voting implementation to start with
+     * @param _data Encoded Voting.initialize call
+     */
+    constructor(address _implementation, bytes memory _data) ERC1967Proxy(_implementation, _data) {}
+}
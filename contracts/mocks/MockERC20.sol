@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+
+/**
+ * @title MockERC20
+ * @dev Mintable ERC20Votes token for testing token-weighted polls locally
+ * @notice Holders must delegate (usually to themselves) before their balance counts as votes
+ */
+contract MockERC20 is ERC20Votes {
+    constructor(string memory _name, string memory _symbol)
+        ERC20(_name, _symbol)
+        ERC20Permit(_name)
+    {}
+
+    /**
+     * @dev Mint tokens to any address (test use only)
+     * @param _to Recipient of the tokens
+     * @param _amount Amount to mint
+     */
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../Voting.sol";
+
+/**
+ * @title VotingV2Mock
+ * @dev A next Voting version for upgrade tests: adds a state variable after
+ * Voting's storage and bumps version()
+ */
+contract VotingV2Mock is Voting {
+    string public announcement;
+
+    function version() public pure override returns (uint256) {
+        return super.version() + 1;
+    }
+
+    /**
+     * @dev Set a message shown to all voters (admin only)
+     * @param _announcement The message
+     */
+    function setAnnouncement(string calldata _announcement) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        announcement = _announcement;
+    }
+}
@@ -1,36 +1,63 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { ethers } from 'ethers';
+import { createPollStore, fetchPoll, mergePolls, withClock } from './pollStore';
+import { watchPolls } from './liveUpdates';
+import { createReadProvider, getCurrencySymbol, getNetworkName, getTxUrl, switchChain } from './networks';
+import { emptyDelegations, fetchDelegations, delegateOf, pendingDelegators } from './delegation';
+import {
+  MODERATION,
+  ROLES,
+  emptyAccess,
+  fetchAccess,
+  canCreatePolls,
+  fetchModerationLog
+} from './moderation';
+import { useRoute, navigate, Link } from './router';
+import {
+  sealBallot,
+  saveBallot,
+  loadBallot,
+  clearBallot,
+  needsReveal
+} from './secretBallots';
+import { STRATEGIES, BALLOT_TYPES, selectionMask, isPublicSingleChoice } from './strategies';
+import { signBallot, submitBallot, relayedBallot, canRelay } from './relayer';
+import { createTxManager, contractCall, isInFlight } from './txManager';
+import { describeError } from './errors';
+import {
+  hasMetadata,
+  publishMetadata,
+  downloadMetadata,
+  fetchMetadata
+} from './metadata';
+import {
+  STATUS_FILTERS,
+  DEFAULT_QUERY,
+  parseQuery,
+  toSearch,
+  isDefaultQuery,
+  applyQuery
+} from './pollQuery';
+import {
+  deployments,
+  contractABI,
+  contractInterface,
+  getContractAddress,
+  getStartBlock,
+  getMockToken,
+  getTargetChainId
+} from './deployments';
+import { getTimeLeft, formatMinutes } from './timeFormat';
+import { AppContext } from './appContext';
+import PollCard from './PollCard';
+import PollDetail from './PollDetail';
+import CreatePollForm from './CreatePollForm';
+import ModerationPanel from './ModerationPanel';
 import './App.css';
 
-// Import contract artifacts (these will be generated after deployment)
-// For development, we'll include fallback values
-let contractAddress, contractABI;
-
-try {
-  const addressData = require('./contracts/contract-address.json');
-  const artifactData = require('./contracts/Voting.json');
-  contractAddress = addressData.Voting;
-  contractABI = artifactData.abi;
-} catch (e) {
-  console.log('Contract artifacts not found. Please deploy the contract first.');
-  contractAddress = null;
-  contractABI = [
-    "function createPoll(string memory _question, string[] memory _options, uint256 _durationInMinutes) external returns (uint256)",
-    "function vote(uint256 _pollId, uint256 _optionIndex) external",
-    "function endPoll(uint256 _pollId) external",
-    "function getPoll(uint256 _pollId) external view returns (uint256 id, string memory question, string[] memory options, uint256[] memory voteCounts, address creator, uint256 endTime, bool active, uint256 totalVotes)",
-    "function hasVoted(uint256 _pollId, address _voter) external view returns (bool)",
-    "function getActivePolls() external view returns (uint256[] memory)",
-    "function pollCount() external view returns (uint256)",
-    "event PollCreated(uint256 indexed pollId, string question, address creator, uint256 endTime)",
-    "event VoteCast(uint256 indexed pollId, address indexed voter, uint256 optionIndex)",
-    "event PollEnded(uint256 indexed pollId)"
-  ];
-}
-
 // ============ COMPONENTS ============
 
-function Header({ account, connectWallet, isConnecting }) {
+function Header({ account, connectWallet, isConnecting, isReadOnly, pendingTxCount, onShowTransactions }) {
   return (
     <header className="header">
       <div className="header-content">
@@ -39,6 +66,12 @@ function Header({ account, connectWallet, isConnecting }) {
           <span className="logo-text">VoteChain</span>
         </div>
         <div className="wallet-section">
+          {account && (
+            <button className="tx-history-btn" onClick={onShowTransactions} title="Transaction history">
+              Transactions
+              {pendingTxCount > 0 && <span className="tx-count">{pendingTxCount}</span>}
+            </button>
+          )}
           {account ? (
             <div className="wallet-connected">
               <span className="wallet-indicator"></span>
@@ -47,13 +80,16 @@ function Header({ account, connectWallet, isConnecting }) {
               </span>
             </div>
           ) : (
-            <button 
-              className="connect-btn" 
-              onClick={connectWallet}
-              disabled={isConnecting}
-            >
-              {isConnecting ? 'Connecting...' : 'Connect Wallet'}
-            </button>
+            <>
+              {isReadOnly && <span className="read-only-badge">Read-only</span>}
+              <button 
+                className="connect-btn" 
+                onClick={connectWallet}
+                disabled={isConnecting}
+              >
+                {isConnecting ? 'Connecting...' : 'Connect Wallet'}
+              </button>
+            </>
           )}
         </div>
       </div>
@@ -61,258 +97,167 @@ function Header({ account, connectWallet, isConnecting }) {
   );
 }
 
-function CreatePollForm({ onCreatePoll, isLoading }) {
-  const [question, setQuestion] = useState('');
-  const [options, setOptions] = useState(['', '']);
-  const [duration, setDuration] = useState(60);
-  const [isExpanded, setIsExpanded] = useState(false);
+function PollList({ polls, isFiltered, onClearFilters }) {
+  if (polls.length === 0 && isFiltered) {
+    return (
+      <div className="empty-state">
+        <div className="empty-icon">🔍</div>
+        <h3>No matching polls</h3>
+        <p>Nothing matches this search and these filters.</p>
+        <button className="change-vote-btn" onClick={onClearFilters}>Clear filters</button>
+      </div>
+    );
+  }
 
-  const addOption = () => {
-    if (options.length < 10) {
-      setOptions([...options, '']);
-    }
-  };
+  if (polls.length === 0) {
+    return (
+      <div className="empty-state">
+        <div className="empty-icon">📊</div>
+        <h3>No polls yet</h3>
+        <p>Be the first to create a poll and let the community vote!</p>
+      </div>
+    );
+  }
 
-  const removeOption = (index) => {
-    if (options.length > 2) {
-      setOptions(options.filter((_, i) => i !== index));
-    }
-  };
+  return (
+    <div className="polls-grid">
+      {polls.map((poll) => (
+        <PollCard key={poll.id} poll={poll} />
+      ))}
+    </div>
+  );
+}
+
+
+// The connected account's standing delegate, who votes for it on every
+// public single-choice poll it doesn't vote on or delegate separately
+function DelegationPanel({ delegate, onDelegate }) {
+  const [delegateTo, setDelegateTo] = useState('');
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
 
-  const updateOption = (index, value) => {
-    const newOptions = [...options];
-    newOptions[index] = value;
-    setOptions(newOptions);
+  const submit = async (address) => {
+    setIsSaving(true);
+    if (await onDelegate(null, address)) setDelegateTo('');
+    setIsSaving(false);
   };
 
-  const handleSubmit = async (e) => {
+  const handleSubmit = (e) => {
     e.preventDefault();
-    const validOptions = options.filter(opt => opt.trim() !== '');
-    if (question.trim() && validOptions.length >= 2) {
-      await onCreatePoll(question, validOptions, duration);
-      setQuestion('');
-      setOptions(['', '']);
-      setDuration(60);
-      setIsExpanded(false);
+    if (!ethers.isAddress(delegateTo)) {
+      setError('Enter a valid address');
+      return;
     }
+    setError(null);
+    submit(ethers.getAddress(delegateTo));
   };
 
   return (
-    <div className={`create-poll-section ${isExpanded ? 'expanded' : ''}`}>
-      <button 
-        className="create-poll-toggle"
-        onClick={() => setIsExpanded(!isExpanded)}
-      >
-        <span className="toggle-icon">{isExpanded ? '−' : '+'}</span>
-        <span>Create New Poll</span>
-      </button>
-      
-      {isExpanded && (
-        <form className="create-poll-form" onSubmit={handleSubmit}>
-          <div className="form-group">
-            <label>Question</label>
-            <input
-              type="text"
-              value={question}
-              onChange={(e) => setQuestion(e.target.value)}
-              placeholder="What would you like to ask?"
-              required
-            />
-          </div>
-
-          <div className="form-group">
-            <label>Options</label>
-            <div className="options-list">
-              {options.map((option, index) => (
-                <div key={index} className="option-input-group">
-                  <span className="option-number">{index + 1}</span>
-                  <input
-                    type="text"
-                    value={option}
-                    onChange={(e) => updateOption(index, e.target.value)}
-                    placeholder={`Option ${index + 1}`}
-                    required
-                  />
-                  {options.length > 2 && (
-                    <button 
-                      type="button" 
-                      className="remove-option-btn"
-                      onClick={() => removeOption(index)}
-                    >
-                      ×
-                    </button>
-                  )}
-                </div>
-              ))}
-            </div>
-            {options.length < 10 && (
-              <button type="button" className="add-option-btn" onClick={addOption}>
-                + Add Option
-              </button>
-            )}
-          </div>
-
-          <div className="form-group">
-            <label>Duration</label>
-            <div className="duration-selector">
-              {[30, 60, 180, 1440].map((mins) => (
-                <button
-                  key={mins}
-                  type="button"
-                  className={`duration-btn ${duration === mins ? 'active' : ''}`}
-                  onClick={() => setDuration(mins)}
-                >
-                  {mins < 60 ? `${mins}m` : mins < 1440 ? `${mins / 60}h` : '24h'}
-                </button>
-              ))}
-            </div>
-          </div>
-
-          <button 
-            type="submit" 
-            className="submit-poll-btn"
-            disabled={isLoading}
-          >
-            {isLoading ? (
-              <span className="loading-spinner"></span>
-            ) : (
-              'Create Poll'
-            )}
+    <section className="delegation-panel">
+      <p>
+        {delegate ? (
+          <>Your vote goes to <span className="mono">{delegate}</span> on polls you skip.</>
+        ) : (
+          'Delegate your vote to someone you trust; it counts with theirs on polls you skip.'
+        )}
+      </p>
+      <form className="delegate-form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={delegateTo}
+          onChange={(e) => setDelegateTo(e.target.value.trim())}
+          placeholder="0x… delegate address"
+        />
+        <button type="submit" className="vote-btn" disabled={!delegateTo || isSaving}>
+          {delegate ? 'Change delegate' : 'Delegate'}
+        </button>
+        {delegate && (
+          <button type="button" className="change-vote-btn" onClick={() => submit(ethers.ZeroAddress)} disabled={isSaving}>
+            Stop delegating
           </button>
-        </form>
-      )}
-    </div>
+        )}
+        {error && <span className="form-error">{error}</span>}
+      </form>
+    </section>
   );
 }
 
-function PollCard({ poll, onVote, onEndPoll, account, isLoading }) {
-  const [selectedOption, setSelectedOption] = useState(null);
-  const [hasVoted, setHasVoted] = useState(poll.hasVoted);
-
-  const totalVotes = poll.voteCounts.reduce((a, b) => a + b, 0);
-  const timeLeft = getTimeLeft(poll.endTime);
-  const isCreator = account && poll.creator.toLowerCase() === account.toLowerCase();
 
-  const handleVote = async () => {
-    if (selectedOption !== null) {
-      await onVote(poll.id, selectedOption);
-      setHasVoted(true);
-    }
-  };
+// Reminds the voter about sealed votes that still need revealing
+function RevealReminder({ polls, onReveal }) {
+  const pending = polls.filter(needsReveal);
+  if (pending.length === 0) return null;
 
   return (
-    <div className={`poll-card ${!poll.active ? 'ended' : ''}`}>
-      <div className="poll-header">
-        <div className="poll-status">
-          {poll.active ? (
-            <span className="status-badge active">
-              <span className="status-dot"></span>
-              Live
-            </span>
-          ) : (
-            <span className="status-badge ended">Ended</span>
-          )}
-          {poll.active && <span className="time-left">{timeLeft}</span>}
-        </div>
-        <span className="poll-id">#{poll.id}</span>
-      </div>
-
-      <h3 className="poll-question">{poll.question}</h3>
-
-      <div className="poll-options">
-        {poll.options.map((option, index) => {
-          const votes = poll.voteCounts[index];
-          const percentage = totalVotes > 0 ? (votes / totalVotes) * 100 : 0;
-          const isWinning = poll.voteCounts[index] === Math.max(...poll.voteCounts) && totalVotes > 0;
-
-          return (
-            <div
-              key={index}
-              className={`poll-option ${selectedOption === index ? 'selected' : ''} ${hasVoted || !poll.active ? 'voted' : ''} ${isWinning && (hasVoted || !poll.active) ? 'winning' : ''}`}
-              onClick={() => !hasVoted && poll.active && setSelectedOption(index)}
-            >
-              <div className="option-content">
-                <span className="option-text">{option}</span>
-                {(hasVoted || !poll.active) && (
-                  <span className="option-stats">
-                    <span className="vote-count">{votes} votes</span>
-                    <span className="vote-percentage">{percentage.toFixed(1)}%</span>
-                  </span>
-                )}
-              </div>
-              {(hasVoted || !poll.active) && (
-                <div 
-                  className="option-bar" 
-                  style={{ width: `${percentage}%` }}
-                ></div>
-              )}
-              {!hasVoted && poll.active && (
-                <div className="option-radio">
-                  {selectedOption === index && <span className="radio-dot"></span>}
-                </div>
-              )}
-            </div>
-          );
-        })}
-      </div>
-
-      <div className="poll-footer">
-        <div className="poll-stats">
-          <span className="total-votes">{totalVotes} total votes</span>
-          <span className="poll-creator" title={poll.creator}>
-            by {poll.creator.slice(0, 6)}...{poll.creator.slice(-4)}
-          </span>
-        </div>
-
-        <div className="poll-actions">
-          {poll.active && !hasVoted && (
-            <button 
-              className="vote-btn"
-              onClick={handleVote}
-              disabled={selectedOption === null || isLoading}
-            >
-              {isLoading ? <span className="loading-spinner small"></span> : 'Cast Vote'}
+    <div className="reveal-reminder">
+      <p>
+        🔒 You have {pending.length} sealed {pending.length === 1 ? 'vote' : 'votes'} to reveal.
+        Unrevealed votes are not counted.
+      </p>
+      <ul>
+        {pending.map((poll) => (
+          <li key={poll.id}>
+            <span>#{poll.id} {poll.question}</span>
+            <span className="time-left">{getTimeLeft(poll.revealEndTime)}</span>
+            <button className="vote-btn" onClick={() => onReveal(poll.id)} disabled={!!poll.pendingTx}>
+              Reveal
             </button>
-          )}
-          {poll.active && isCreator && (
-            <button 
-              className="end-poll-btn"
-              onClick={() => onEndPoll(poll.id)}
-              disabled={isLoading}
-            >
-              End Poll
-            </button>
-          )}
-        </div>
-      </div>
+          </li>
+        ))}
+      </ul>
     </div>
   );
 }
 
-function PollList({ polls, onVote, onEndPoll, account, isLoading }) {
-  if (polls.length === 0) {
-    return (
-      <div className="empty-state">
-        <div className="empty-icon">📊</div>
-        <h3>No polls yet</h3>
-        <p>Be the first to create a poll and let the community vote!</p>
+// Recent transactions of the connected account, with their current state
+function TransactionDrawer({ transactions, onClear, onClose }) {
+  return (
+    <aside className="tx-drawer">
+      <div className="tx-drawer-header">
+        <h3>Transactions</h3>
+        <button className="notification-close" onClick={onClose}>×</button>
       </div>
-    );
-  }
 
-  return (
-    <div className="polls-grid">
-      {polls.map((poll) => (
-        <PollCard
-          key={poll.id}
-          poll={poll}
-          onVote={onVote}
-          onEndPoll={onEndPoll}
-          account={account}
-          isLoading={isLoading}
-        />
-      ))}
-    </div>
+      {transactions.length === 0 ? (
+        <p className="detail-muted">No transactions yet.</p>
+      ) : (
+        <ul className="tx-list">
+          {transactions.map((tx) => {
+            const txUrl = tx.hash && getTxUrl(tx.chainId, tx.hash);
+            return (
+              <li key={tx.id} className="tx-item">
+                <div className="tx-row">
+                  <span className="tx-label">
+                    {tx.label}
+                    {tx.pollId !== undefined && (
+                      <> · <Link to={`/poll/${tx.pollId}`} onClick={onClose}>#{tx.pollId}</Link></>
+                    )}
+                  </span>
+                  <span className={`tx-state ${tx.state}`}>{tx.state}</span>
+                </div>
+                {tx.detail && <div className="tx-detail">{tx.detail}</div>}
+                <div className="tx-meta">
+                  <span>{new Date(tx.createdAt).toLocaleString()}</span>
+                  {tx.hash && (
+                    txUrl
+                      ? <a className="mono" href={txUrl} target="_blank" rel="noopener noreferrer">{tx.hash.slice(0, 10)}…</a>
+                      : <span className="mono" title={tx.hash}>{tx.hash.slice(0, 10)}…</span>
+                  )}
+                </div>
+                {tx.error && <div className="tx-error">{tx.error}</div>}
+                {tx.replacedBy && (
+                  <div className="tx-detail">Replaced by <span className="mono">{tx.replacedBy.slice(0, 10)}…</span></div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {transactions.some(tx => !isInFlight(tx)) && (
+        <button className="change-vote-btn" onClick={onClear}>Clear finished</button>
+      )}
+    </aside>
   );
 }
 
@@ -333,275 +278,1101 @@ function Notification({ message, type, onClose }) {
   );
 }
 
-// ============ HELPER FUNCTIONS ============
+function NetworkBanner({ chainId, targetChainId, onSwitch, isSwitching }) {
+  const supported = Object.keys(deployments).map(getNetworkName).join(', ');
 
-function getTimeLeft(endTime) {
-  const now = Math.floor(Date.now() / 1000);
-  const diff = endTime - now;
-  
-  if (diff <= 0) return 'Ended';
-  
-  const hours = Math.floor(diff / 3600);
-  const minutes = Math.floor((diff % 3600) / 60);
-  
-  if (hours > 0) return `${hours}h ${minutes}m left`;
-  return `${minutes}m left`;
+  return (
+    <div className="network-overlay">
+      <div className="network-banner">
+        <div className="network-icon">⚠</div>
+        <h3>Wrong network</h3>
+        <p>
+          Your wallet is connected to {getNetworkName(chainId)}.
+          {supported
+            ? ` VoteChain is deployed on ${supported}.`
+            : ' VoteChain has not been deployed to any network yet.'}
+        </p>
+        {targetChainId && (
+          <button
+            className="connect-btn large"
+            onClick={onSwitch}
+            disabled={isSwitching}
+          >
+            {isSwitching ? 'Switching...' : `Switch to ${getNetworkName(targetChainId)}`}
+          </button>
+        )}
+      </div>
+    </div>
+  );
 }
 
+// ============ HELPER FUNCTIONS ============
+
+// Countdowns are in minutes, so re-render at least this often while one runs
+const CLOCK_TICK_MS = 30000;
+
 // ============ MAIN APP ============
 
 function App() {
   const [provider, setProvider] = useState(null);
   const [signer, setSigner] = useState(null);
   const [contract, setContract] = useState(null);
+  const [readContract, setReadContract] = useState(null);
   const [account, setAccount] = useState(null);
+  const [chainId, setChainId] = useState(null);
+  const [isSwitching, setIsSwitching] = useState(false);
   const [polls, setPolls] = useState([]);
-  const [isLoading, setIsLoading] = useState(false);
+  const [isCreating, setIsCreating] = useState(false);
+  // Recent transactions of the connected account, newest first
+  const [transactions, setTransactions] = useState([]);
+  const [isTxDrawerOpen, setIsTxDrawerOpen] = useState(false);
+  // Per-poll changes shown while their transactions are in flight
+  const [optimistic, setOptimistic] = useState({});
   const [isConnecting, setIsConnecting] = useState(false);
   const [notification, setNotification] = useState(null);
-  const [filter, setFilter] = useState('all'); // 'all', 'active', 'ended'
+  // Search, status, view, sort and category, mirrored in the URL
+  const [query, setQuery] = useState(() => parseQuery(window.location.search));
+  const [metadataByHash, setMetadataByHash] = useState({});
+  // /poll/:id loads just that poll instead of the whole list
+  const route = useRoute();
+  const [detailPoll, setDetailPoll] = useState(null);
+  const [detailError, setDetailError] = useState(null);
+  // Delegations to and from the connected account, read from events
+  const [delegations, setDelegations] = useState(emptyDelegations);
+  // Pause and creator allowlist state, the account's roles and the latest
+  // moderation of each poll
+  const [access, setAccess] = useState(emptyAccess);
+  const [moderationLog, setModerationLog] = useState(() => new Map());
 
   // Show notification
   const showNotification = (message, type = 'info') => {
     setNotification({ message, type });
   };
 
-  // Connect wallet
+  // Bind provider, signer and contract to the wallet's current chain and
+  // account. Returns the signer-bound contract, or null when the chain has
+  // no deployment.
+  const bindWallet = useCallback(async () => {
+    const provider = new ethers.BrowserProvider(window.ethereum);
+    const signer = await provider.getSigner();
+    const { chainId } = await provider.getNetwork();
+    const contractAddress = getContractAddress(chainId);
+
+    setProvider(provider);
+    setSigner(signer);
+    setAccount(await signer.getAddress());
+    setChainId(Number(chainId));
+
+    if (!contractAddress) {
+      setContract(null);
+      setPolls([]);
+      return null;
+    }
+
+    const votingContract = new ethers.Contract(contractAddress, contractABI, signer);
+    setContract(votingContract);
+    return votingContract;
+  }, []);
+
+  // Connect wallet. Resolves to the signer-bound contract, or null.
   const connectWallet = async () => {
     if (!window.ethereum) {
       showNotification('Please install MetaMask!', 'error');
-      return;
+      return null;
     }
 
+    let votingContract = null;
     setIsConnecting(true);
     try {
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const accounts = await provider.send("eth_requestAccounts", []);
-      const signer = await provider.getSigner();
-      
-      setProvider(provider);
-      setSigner(signer);
-      setAccount(accounts[0]);
-
-      if (contractAddress) {
-        const votingContract = new ethers.Contract(contractAddress, contractABI, signer);
-        setContract(votingContract);
+      await window.ethereum.request({ method: 'eth_requestAccounts' });
+      votingContract = await bindWallet();
+      if (votingContract) {
         showNotification('Wallet connected successfully!', 'success');
-      } else {
-        showNotification('Contract not deployed. Please deploy the contract first.', 'error');
       }
     } catch (error) {
       console.error('Error connecting wallet:', error);
       showNotification('Failed to connect wallet', 'error');
     }
     setIsConnecting(false);
+    return votingContract;
   };
 
-  // Load polls
-  const loadPolls = useCallback(async () => {
-    if (!contract) return;
+  // Write actions need the signer. In read-only mode, connect the wallet
+  // first and use the contract it binds.
+  const getWriteContract = async () => {
+    if (contract) return contract;
+    return connectWallet();
+  };
 
+  // Switch the wallet to the configured network; chainChanged rebinds
+  const switchNetwork = async () => {
+    setIsSwitching(true);
     try {
-      const pollCount = await contract.pollCount();
-      const loadedPolls = [];
-
-      for (let i = 1; i <= pollCount; i++) {
-        const pollData = await contract.getPoll(i);
-        const hasVoted = account ? await contract.hasVoted(i, account) : false;
-        
-        loadedPolls.push({
-          id: Number(pollData.id),
-          question: pollData.question,
-          options: pollData.options,
-          voteCounts: pollData.voteCounts.map(v => Number(v)),
-          creator: pollData.creator,
-          endTime: Number(pollData.endTime),
-          active: pollData.active,
-          totalVotes: Number(pollData.totalVotes),
-          hasVoted
-        });
-      }
+      await switchChain(window.ethereum, getTargetChainId());
+    } catch (error) {
+      console.error('Error switching network:', error);
+      showNotification('Failed to switch network', 'error');
+    }
+    setIsSwitching(false);
+  };
+
+  // Load polls through the paginated store, which pages through the
+  // contract views once and afterwards only refreshes polls with new events
+  const pollStoreRef = useRef(null);
+
+  const activeContract = contract || readContract;
+
+  const loadPolls = useCallback(async () => {
+    if (!activeContract) return;
+
+    if (!pollStoreRef.current || pollStoreRef.current.contract !== activeContract) {
+      pollStoreRef.current = createPollStore(activeContract);
+    }
 
-      // Sort by ID descending (newest first)
-      loadedPolls.sort((a, b) => b.id - a.id);
-      setPolls(loadedPolls);
+    try {
+      const store = pollStoreRef.current;
+      await store.sync();
+      setPolls(store.getPolls());
     } catch (error) {
       console.error('Error loading polls:', error);
     }
-  }, [contract, account]);
+  }, [activeContract]);
+
+  const detailId = route.name === 'poll' ? route.pollId : null;
+
+  const loadDetailPoll = useCallback(async () => {
+    if (!activeContract || detailId === null) return;
+
+    try {
+      setDetailPoll(await fetchPoll(activeContract, detailId));
+      setDetailError(null);
+    } catch (error) {
+      console.error('Error loading poll:', error);
+      setDetailError(describeError(error, contractInterface, `Poll #${detailId} could not be loaded`));
+    }
+  }, [activeContract, detailId]);
+
+  // Load whatever the current page shows
+  const refreshPolls = detailId === null ? loadPolls : loadDetailPoll;
+
+  // Re-read only the given polls and patch them into state
+  const updatePolls = useCallback(async (pollIds) => {
+    if (detailId !== null) {
+      if (pollIds.includes(detailId)) await loadDetailPoll();
+      return;
+    }
+
+    const store = pollStoreRef.current;
+    if (!store || store.contract !== activeContract) return;
+    try {
+      const updated = await store.update(pollIds);
+      setPolls(prev => mergePolls(prev, updated));
+    } catch (error) {
+      console.error('Error updating polls:', error);
+    }
+  }, [activeContract, detailId, loadDetailPoll]);
+
+  // Delegations are read when an account connects and after its own
+  // delegation transactions; other accounts' show up on the next load
+  const loadDelegations = useCallback(async () => {
+    if (!activeContract || !account) {
+      setDelegations(emptyDelegations());
+      return;
+    }
+
+    try {
+      const { chainId } = await activeContract.runner.provider.getNetwork();
+      setDelegations(await fetchDelegations(activeContract, { fromBlock: getStartBlock(chainId) }));
+    } catch (error) {
+      console.error('Error loading delegations:', error);
+    }
+  }, [activeContract, account]);
+
+  useEffect(() => {
+    loadDelegations();
+  }, [loadDelegations]);
+
+  // Like delegations, read on load and after the account's own admin
+  // actions. Moderation changes to a poll also refresh it live.
+  const loadAccess = useCallback(async () => {
+    if (!activeContract) return;
+
+    try {
+      const { chainId } = await activeContract.runner.provider.getNetwork();
+      const [nextAccess, log] = await Promise.all([
+        fetchAccess(activeContract, account),
+        fetchModerationLog(activeContract, { fromBlock: getStartBlock(chainId) })
+      ]);
+      setAccess(nextAccess);
+      setModerationLog(log);
+    } catch (error) {
+      console.error('Error loading moderation state:', error);
+    }
+  }, [activeContract, account]);
+
+  useEffect(() => {
+    loadAccess();
+  }, [loadAccess]);
+
+  // Don't show the previous poll while another one loads
+  useEffect(() => {
+    setDetailPoll(null);
+    setDetailError(null);
+  }, [detailId]);
+
+  // Transaction history for the connected account. The manager is created on
+  // first use, so a write sent right after connecting is tracked too.
+  const txManagerRef = useRef(null);
+
+  const getTxManager = useCallback((address) => {
+    if (!txManagerRef.current || txManagerRef.current.account !== address.toLowerCase()) {
+      txManagerRef.current = createTxManager(address, setTransactions);
+    }
+    return txManagerRef.current;
+  }, []);
+
+  // Send a write through the transaction manager. `call` is a { simulate,
+  // send } pair (see contractCall): the write is dry-run first, so a revert
+  // is reported before the wallet prompts. Resolves to the receipt.
+  const trackTx = async (writeContract, details, call) => {
+    const manager = getTxManager(await writeContract.runner.getAddress());
+    const { chainId } = await writeContract.runner.provider.getNetwork();
+    return manager.track({ ...details, chainId: Number(chainId) }, call);
+  };
+
+  // Show a poll as already changed while its transaction is in flight. The
+  // overlay is dropped once the action settles, confirmed or not.
+  const optimistically = async (pollId, changes, action) => {
+    setOptimistic(prev => ({ ...prev, [pollId]: changes }));
+    try {
+      return await action();
+    } finally {
+      setOptimistic(({ [pollId]: settled, ...rest }) => rest);
+    }
+  };
 
   // Create poll
-  const createPoll = async (question, options, duration) => {
-    if (!contract) {
+  // settings: eligibility, ballot and weighting settings, or null for a plain poll
+  // `metadata` is the document behind settings.metadataHash, if any. It is
+  // published first; if the metadata host is read-only it is downloaded so
+  // the creator can publish it themselves. The current creation deposit is
+  // sent along.
+  const createPoll = async (question, options, duration, settings, metadata) => {
+    const writeContract = await getWriteContract();
+    if (!writeContract) {
       showNotification('Please connect your wallet first', 'error');
       return;
     }
 
-    setIsLoading(true);
+    setIsCreating(true);
     try {
-      const tx = await contract.createPoll(question, options, duration);
-      showNotification('Creating poll... Please wait for confirmation', 'info');
-      await tx.wait();
-      showNotification('Poll created successfully!', 'success');
-      await loadPolls();
+      const published = !metadata || await publishMetadata(metadata);
+      if (!published) {
+        downloadMetadata(metadata);
+      }
+      const overrides = { value: access.deposit.amount };
+      const receipt = await trackTx(writeContract, { label: 'Create poll', detail: question }, (
+        settings
+          ? contractCall(writeContract, 'createPollWithSettings', question, options, duration, settings, overrides)
+          : contractCall(writeContract, 'createPoll', question, options, duration, overrides)
+      ));
+      const created = (receipt.logs || [])
+        .map(log => writeContract.interface.parseLog(log))
+        .find(event => event && event.name === 'PollCreated');
+      showNotification(
+        published
+          ? 'Poll created successfully!'
+          : 'Poll created! Publish the downloaded details file to your metadata host so voters can see it.',
+        'success'
+      );
+      if (created) await updatePolls([Number(created.args.pollId)]);
+      if (access.deposit.amount > 0n) await loadAccess();
     } catch (error) {
       console.error('Error creating poll:', error);
-      showNotification(error.reason || 'Failed to create poll', 'error');
+      showNotification(describeError(error, contractInterface, 'Failed to create poll'), 'error');
     }
-    setIsLoading(false);
+    setIsCreating(false);
   };
 
   // Cast vote
-  const vote = async (pollId, optionIndex) => {
-    if (!contract) {
+  // Resolves to true once the vote is confirmed. `choice` is an option index,
+  // votes per option on quadratic polls, an ordering on ranked polls, or the
+  // approved option indexes on approval polls. Pass a Merkle proof for
+  // restricted polls where eligibility has not been proven yet. Secret polls
+  // commit a sealed ballot whose salt is kept in this browser. With a relayer
+  // configured, plain single-choice votes are signed and relayed gas-free.
+  // A delegate's vote also counts their pending delegators, in one multicall.
+  const vote = async (pollId, choice, proof) => {
+    const writeContract = await getWriteContract();
+    if (!writeContract) {
       showNotification('Please connect your wallet first', 'error');
-      return;
+      return false;
     }
 
-    setIsLoading(true);
+    // On a poll page the list isn't loaded, only that poll
+    const poll = detailPoll && detailPoll.id === pollId
+      ? detailPoll
+      : polls.find(p => p.id === pollId);
+    const delegators = poll && account && isPublicSingleChoice(poll)
+      ? pendingDelegators(delegations, pollId, account)
+      : [];
+    const relayed = poll && canRelay({ ...poll, delegators });
+
+    const ballotCall = async () => {
+      if (poll && poll.strategy === STRATEGIES.QUADRATIC) {
+        return contractCall(writeContract, 'voteQuadratic', pollId, choice, proof || []);
+      }
+      if (poll && poll.ballot === BALLOT_TYPES.RANKED) {
+        return contractCall(writeContract, 'voteRanked', pollId, choice, proof || []);
+      }
+      if (poll && poll.ballot === BALLOT_TYPES.APPROVAL) {
+        return contractCall(writeContract, 'voteApproval', pollId, selectionMask(choice), proof || []);
+      }
+      if (poll && poll.secret) {
+        const voter = await writeContract.runner.getAddress();
+        const { salt, commitment } = sealBallot(pollId, voter, choice);
+        const commit = contractCall(writeContract, 'commitVote', pollId, commitment, proof || []);
+        return {
+          simulate: commit.simulate,
+          send: () => {
+            // Save before sending: without the salt the vote can never be revealed
+            saveBallot(writeContract.target, pollId, voter, { optionIndex: choice, salt });
+            return commit.send();
+          }
+        };
+      }
+      const direct = proof
+        ? contractCall(writeContract, 'voteWithProof', pollId, choice, proof)
+        : contractCall(writeContract, 'vote', pollId, choice);
+      if (delegators.length > 0) {
+        const iface = writeContract.interface;
+        return contractCall(writeContract, 'multicall', [
+          proof
+            ? iface.encodeFunctionData('voteWithProof', [pollId, choice, proof])
+            : iface.encodeFunctionData('vote', [pollId, choice]),
+          iface.encodeFunctionData('castDelegatedVotes', [pollId, delegators])
+        ]);
+      }
+      if (!relayed) return direct;
+      // The relayer submits voteBySig, which checks the same rules as a
+      // direct vote, so a rejected ballot is caught before signing
+      return {
+        simulate: direct.simulate,
+        send: async () => relayedBallot(await submitBallot(await signBallot(writeContract, pollId, choice, proof)))
+      };
+    };
+
+    let success = false;
+    const voted = { hasVoted: true, voterChoice: typeof choice === 'number' ? choice : 0 };
+    if (poll && poll.ballot === BALLOT_TYPES.APPROVAL) voted.voterChoice = selectionMask(choice);
     try {
-      const tx = await contract.vote(pollId, optionIndex);
-      showNotification('Casting vote... Please wait for confirmation', 'info');
-      await tx.wait();
-      showNotification('Vote cast successfully!', 'success');
-      await loadPolls();
+      await optimistically(pollId, voted, async () => {
+        await trackTx(writeContract, { label: relayed ? 'Vote (gas-free)' : 'Vote', pollId }, await ballotCall());
+        showNotification(
+          delegators.length > 0 ? 'Vote cast for you and your delegators!' : 'Vote cast successfully!',
+          'success'
+        );
+        success = true;
+        await updatePolls([pollId]);
+        if (delegators.length > 0) await loadDelegations();
+      });
     } catch (error) {
       console.error('Error voting:', error);
-      showNotification(error.reason || 'Failed to cast vote', 'error');
+      showNotification(describeError(error, contractInterface, 'Failed to cast vote'), 'error');
+    }
+    return success;
+  };
+
+  // Move the connected account's vote to another option. Resolves to true
+  // once confirmed.
+  const changeVote = async (pollId, optionIndex) => {
+    const writeContract = await getWriteContract();
+    if (!writeContract) return false;
+
+    let success = false;
+    try {
+      await optimistically(pollId, { voterChoice: optionIndex }, async () => {
+        await trackTx(writeContract, { label: 'Change vote', pollId }, contractCall(writeContract, 'changeVote', pollId, optionIndex));
+        showNotification('Vote changed!', 'success');
+        success = true;
+        await updatePolls([pollId]);
+      });
+    } catch (error) {
+      console.error('Error changing vote:', error);
+      showNotification(describeError(error, contractInterface, 'Failed to change vote'), 'error');
+    }
+    return success;
+  };
+
+  // Withdraw the connected account's vote. Resolves to true once confirmed.
+  const retractVote = async (pollId) => {
+    const writeContract = await getWriteContract();
+    if (!writeContract) return false;
+
+    let success = false;
+    try {
+      await optimistically(pollId, { hasVoted: false }, async () => {
+        await trackTx(writeContract, { label: 'Retract vote', pollId }, contractCall(writeContract, 'retractVote', pollId));
+        showNotification('Vote retracted', 'success');
+        success = true;
+        await updatePolls([pollId]);
+      });
+    } catch (error) {
+      console.error('Error retracting vote:', error);
+      showNotification(describeError(error, contractInterface, 'Failed to retract vote'), 'error');
+    }
+    return success;
+  };
+
+  // Delegate the connected account's vote on one poll, or on every poll when
+  // pollId is null. The zero address clears the delegation. Resolves to true
+  // once confirmed.
+  const delegateVote = async (pollId, delegate) => {
+    const writeContract = await getWriteContract();
+    if (!writeContract) return false;
+
+    let success = false;
+    try {
+      await trackTx(writeContract, (
+        pollId === null
+          ? { label: 'Delegate votes', detail: delegate }
+          : { label: 'Delegate vote', pollId }
+      ), (
+        pollId === null
+          ? contractCall(writeContract, 'delegateVote', delegate)
+          : contractCall(writeContract, 'delegateVoteForPoll', pollId, delegate)
+      ));
+      showNotification(delegate === ethers.ZeroAddress ? 'Delegation cleared' : 'Vote delegated!', 'success');
+      success = true;
+      await loadDelegations();
+    } catch (error) {
+      console.error('Error delegating vote:', error);
+      showNotification(describeError(error, contractInterface, 'Failed to delegate vote'), 'error');
+    }
+    return success;
+  };
+
+  // Count delegators who delegated after the connected account voted
+  const countDelegatedVotes = async (pollId) => {
+    const writeContract = await getWriteContract();
+    if (!writeContract) return;
+
+    try {
+      const delegators = pendingDelegators(delegations, pollId, account);
+      await trackTx(writeContract, { label: 'Count delegated votes', pollId }, (
+        contractCall(writeContract, 'castDelegatedVotes', pollId, delegators)
+      ));
+      showNotification('Delegated votes counted!', 'success');
+      await Promise.all([updatePolls([pollId]), loadDelegations()]);
+    } catch (error) {
+      console.error('Error counting delegated votes:', error);
+      showNotification(describeError(error, contractInterface, 'Failed to count delegated votes'), 'error');
+    }
+  };
+
+  // Reveal a sealed ballot using the salt saved when it was committed
+  const revealVote = async (pollId) => {
+    const writeContract = await getWriteContract();
+    if (!writeContract) return;
+
+    try {
+      const voter = await writeContract.runner.getAddress();
+      const ballot = loadBallot(writeContract.target, pollId, voter);
+      if (!ballot) {
+        showNotification('No saved ballot for this poll in this browser', 'error');
+      } else {
+        await trackTx(writeContract, { label: 'Reveal vote', pollId }, (
+          contractCall(writeContract, 'revealVote', pollId, ballot.optionIndex, ballot.salt)
+        ));
+        clearBallot(writeContract.target, pollId, voter);
+        showNotification('Vote revealed and counted!', 'success');
+        await updatePolls([pollId]);
+      }
+    } catch (error) {
+      console.error('Error revealing vote:', error);
+      showNotification(describeError(error, contractInterface, 'Failed to reveal vote'), 'error');
     }
-    setIsLoading(false);
   };
 
   // End poll
   const endPoll = async (pollId) => {
-    if (!contract) return;
+    const writeContract = await getWriteContract();
+    if (!writeContract) return;
 
-    setIsLoading(true);
     try {
-      const tx = await contract.endPoll(pollId);
-      showNotification('Ending poll... Please wait for confirmation', 'info');
-      await tx.wait();
-      showNotification('Poll ended successfully!', 'success');
-      await loadPolls();
+      await optimistically(pollId, { closed: true, active: false, upcoming: false }, async () => {
+        await trackTx(writeContract, { label: 'End poll', pollId }, contractCall(writeContract, 'endPoll', pollId));
+        showNotification('Poll ended successfully!', 'success');
+        await updatePolls([pollId]);
+      });
     } catch (error) {
       console.error('Error ending poll:', error);
-      showNotification(error.reason || 'Failed to end poll', 'error');
+      showNotification(describeError(error, contractInterface, 'Failed to end poll'), 'error');
+    }
+  };
+
+  // Push back a poll's end time (creator only, once). Resolves to true once
+  // confirmed.
+  const extendPoll = async (pollId, minutes) => {
+    const writeContract = await getWriteContract();
+    if (!writeContract) return false;
+
+    let success = false;
+    try {
+      await trackTx(writeContract, { label: `Extend poll by ${formatMinutes(minutes)}`, pollId }, (
+        contractCall(writeContract, 'extendPoll', pollId, minutes)
+      ));
+      showNotification('Poll extended!', 'success');
+      success = true;
+      await updatePolls([pollId]);
+    } catch (error) {
+      console.error('Error extending poll:', error);
+      showNotification(describeError(error, contractInterface, 'Failed to extend poll'), 'error');
+    }
+    return success;
+  };
+
+  // Break a tie with the creator's casting vote
+  const breakTie = async (pollId, optionIndex) => {
+    const writeContract = await getWriteContract();
+    if (!writeContract) return;
+
+    try {
+      await trackTx(writeContract, { label: 'Break tie', pollId }, contractCall(writeContract, 'breakTie', pollId, optionIndex));
+      showNotification('Tie broken!', 'success');
+      await updatePolls([pollId]);
+    } catch (error) {
+      console.error('Error breaking tie:', error);
+      showNotification(describeError(error, contractInterface, 'Failed to break tie'), 'error');
     }
-    setIsLoading(false);
   };
 
-  // Handle account changes
+  // Settle a closed poll's deposit. Anyone may; the creator or the treasury
+  // then withdraws it.
+  const settleDeposit = async (pollId) => {
+    const writeContract = await getWriteContract();
+    if (!writeContract) return;
+
+    try {
+      await trackTx(writeContract, { label: 'Settle deposit', pollId }, contractCall(writeContract, 'settleDeposit', pollId));
+      showNotification('Deposit settled', 'success');
+      await Promise.all([updatePolls([pollId]), loadAccess()]);
+    } catch (error) {
+      console.error('Error settling deposit:', error);
+      showNotification(describeError(error, contractInterface, 'Failed to settle deposit'), 'error');
+    }
+  };
+
+  // Withdraw refunded (or, for the treasury, forfeited) deposits
+  const withdrawDeposits = async () => {
+    const writeContract = await getWriteContract();
+    if (!writeContract) return;
+
+    try {
+      await trackTx(writeContract, { label: 'Withdraw deposits' }, contractCall(writeContract, 'withdraw'));
+      showNotification('Deposits withdrawn', 'success');
+      await loadAccess();
+    } catch (error) {
+      console.error('Error withdrawing deposits:', error);
+      showNotification(describeError(error, contractInterface, 'Failed to withdraw'), 'error');
+    }
+  };
+
+  // Send an admin action from the moderation panel. Resolves to true once
+  // confirmed.
+  const adminAction = async (details, method, args, message) => {
+    const writeContract = await getWriteContract();
+    if (!writeContract) return false;
+
+    try {
+      await trackTx(writeContract, details, contractCall(writeContract, method, ...args));
+      showNotification(message, 'success');
+      await loadAccess();
+      if (details.pollId !== undefined) await updatePolls([details.pollId]);
+      return true;
+    } catch (error) {
+      console.error(`Error in ${method}:`, error);
+      showNotification(describeError(error, contractInterface, `${details.label} failed`), 'error');
+      return false;
+    }
+  };
+
+  const moderatePoll = (pollId, status, reason) => {
+    const label = ['Restore poll', 'Hide poll', 'Cancel poll'][status];
+    const message = ['Poll restored', 'Poll hidden', 'Poll cancelled'][status];
+    return adminAction({ label, pollId }, 'moderatePoll', [pollId, status, reason], message);
+  };
+
+  const setPaused = (paused) => adminAction(
+    { label: paused ? 'Pause voting' : 'Resume voting' },
+    'setPaused',
+    [paused],
+    paused ? 'Voting and poll creation paused' : 'Voting resumed'
+  );
+
+  const setCreatorAllowlist = (enabled) => adminAction(
+    { label: enabled ? 'Limit poll creation' : 'Open poll creation' },
+    'setCreatorAllowlist',
+    [enabled],
+    enabled ? 'Only approved creators can create polls now' : 'Anyone can create polls now'
+  );
+
+  const setPollCreator = (address, grant) => adminAction(
+    { label: grant ? 'Approve poll creator' : 'Revoke poll creator', detail: address },
+    grant ? 'grantRole' : 'revokeRole',
+    [ROLES.POLL_CREATOR, address],
+    grant ? 'Poll creator approved' : 'Poll creator revoked'
+  );
+
+  const setDepositSettings = (amount, refundVotes, treasury) => adminAction(
+    { label: 'Update poll deposit' },
+    'setDepositSettings',
+    [amount, refundVotes, treasury],
+    amount > 0n ? 'Poll deposit updated' : 'Polls no longer need a deposit'
+  );
+
+  // Load the account's transaction history and settle anything an earlier
+  // visit left in flight
+  useEffect(() => {
+    if (!account) {
+      setTransactions([]);
+      return;
+    }
+    const manager = getTxManager(account);
+    setTransactions(manager.list());
+    if (provider && chainId !== null) manager.resume(provider, chainId);
+  }, [account, provider, chainId, getTxManager]);
+
+  // Connect the read-only provider so polls are visible without a wallet
   useEffect(() => {
-    if (window.ethereum) {
-      window.ethereum.on('accountsChanged', (accounts) => {
-        if (accounts.length > 0) {
-          setAccount(accounts[0]);
-        } else {
-          setAccount(null);
-          setContract(null);
+    let cancelled = false;
+
+    createReadProvider()
+      .then(async (readProvider) => {
+        const { chainId } = await readProvider.getNetwork();
+        const contractAddress = getContractAddress(chainId);
+        if (!contractAddress) {
+          console.log(`No deployment for read-only chain ${chainId}.`);
+          return;
         }
-      });
+        if (!cancelled) {
+          setReadContract(new ethers.Contract(contractAddress, contractABI, readProvider));
+        }
+      })
+      .catch(error => console.warn('Read-only provider unavailable:', error));
 
-      window.ethereum.on('chainChanged', () => {
-        window.location.reload();
-      });
-    }
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
-  // Load polls when contract is ready
+  // Handle account and chain changes without reloading the page
+  useEffect(() => {
+    if (!window.ethereum) return;
+
+    const handleAccountsChanged = (accounts) => {
+      if (accounts.length > 0) {
+        // Voted flags come from the caller, so rebind to the new signer
+        bindWallet().catch(error => console.error('Error switching account:', error));
+      } else {
+        setAccount(null);
+        setContract(null);
+        setChainId(null);
+      }
+    };
+
+    // Only rebind if the user has already connected; eth_accounts never prompts
+    const handleChainChanged = async () => {
+      try {
+        const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+        if (accounts.length > 0) await bindWallet();
+      } catch (error) {
+        console.error('Error switching chain:', error);
+      }
+    };
+
+    window.ethereum.on('accountsChanged', handleAccountsChanged);
+    window.ethereum.on('chainChanged', handleChainChanged);
+    return () => {
+      window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
+      window.ethereum.removeListener('chainChanged', handleChainChanged);
+    };
+  }, [bindWallet]);
+
+  // Load polls when contract is ready or the page changes
   useEffect(() => {
-    loadPolls();
-  }, [loadPolls]);
+    refreshPolls();
+  }, [refreshPolls]);
+
+  // Patch polls as their events arrive. The watcher outlives page changes,
+  // so it calls whichever updatePolls is current.
+  const updatePollsRef = useRef(updatePolls);
+  updatePollsRef.current = updatePolls;
 
-  // Auto-refresh polls every 30 seconds
   useEffect(() => {
-    const interval = setInterval(loadPolls, 30000);
-    return () => clearInterval(interval);
-  }, [loadPolls]);
+    if (!activeContract) return;
+    let watcher = null;
+    let cancelled = false;
+
+    watchPolls(activeContract, pollIds => updatePollsRef.current(pollIds))
+      .then((started) => {
+        if (cancelled) started.stop();
+        else watcher = started;
+      })
+      .catch(error => console.warn('Live updates unavailable:', error));
+
+    return () => {
+      cancelled = true;
+      if (watcher) watcher.stop();
+    };
+  }, [activeContract]);
+
+  // Move polls between upcoming, active and ended as their times pass, and
+  // keep countdowns current, without reading the chain
+  useEffect(() => {
+    const shown = detailPoll ? [...polls, detailPoll] : polls;
+    const nowMs = Date.now();
+    const boundaries = shown
+      .flatMap(poll => poll.closed ? [poll.revealEndTime] : [poll.startTime, poll.endTime, poll.revealEndTime])
+      .map(time => time * 1000)
+      .filter(time => time > nowMs);
+    if (boundaries.length === 0) return;
+
+    const delay = Math.min(Math.min(...boundaries) - nowMs, CLOCK_TICK_MS);
+    const timeout = setTimeout(() => {
+      setPolls(prev => prev.map(poll => withClock(poll)));
+      setDetailPoll(prev => prev && withClock(prev));
+    }, delay);
+    return () => clearTimeout(timeout);
+  }, [polls, detailPoll]);
+
+  // Fetch and verify the metadata documents of polls that have one
+  useEffect(() => {
+    const shown = detailPoll ? [...polls, detailPoll] : polls;
+    const hashes = [...new Set(shown.map(poll => poll.metadataHash).filter(hasMetadata))]
+      .filter(hash => !metadataByHash[hash]);
+    if (hashes.length === 0) return;
+
+    setMetadataByHash(prev => ({
+      ...prev,
+      ...Object.fromEntries(hashes.map(hash => [hash, { status: 'loading' }]))
+    }));
+    hashes.forEach(hash => {
+      fetchMetadata(hash)
+        .then(document => ({ status: document ? 'verified' : 'missing', ...document }))
+        .catch(error => ({ status: 'invalid', error: error.message }))
+        .then(entry => setMetadataByHash(prev => ({ ...prev, [hash]: entry })));
+    });
+  }, [polls, detailPoll, metadataByHash]);
+
+  const isWrongNetwork = account && chainId !== null && !getContractAddress(chainId);
+
+  // Attach ballots saved in this browser to the secret polls they belong to,
+  // and verified metadata to polls that have it
+  const ballotContract = contract ? contract.target : null;
+  const pendingTxByPoll = useMemo(() => {
+    const byPoll = {};
+    transactions.filter(isInFlight).forEach((tx) => {
+      if (tx.pollId !== undefined && !byPoll[tx.pollId]) byPoll[tx.pollId] = tx;
+    });
+    return byPoll;
+  }, [transactions]);
+
+  const enrichPoll = useCallback((poll) => {
+    let enriched = poll;
+    if (optimistic[poll.id] || pendingTxByPoll[poll.id]) {
+      enriched = { ...enriched, ...optimistic[poll.id], pendingTx: pendingTxByPoll[poll.id] };
+    }
+    if (poll.secret && account && ballotContract) {
+      enriched = { ...enriched, savedBallot: loadBallot(ballotContract, poll.id, account) };
+    }
+    if (hasMetadata(poll.metadataHash)) {
+      enriched = { ...enriched, metadata: metadataByHash[poll.metadataHash] || { status: 'loading' } };
+    }
+    if (access.paused) {
+      enriched = { ...enriched, paused: true };
+    }
+    if (poll.deposit > 0n) {
+      enriched = { ...enriched, currency: getCurrencySymbol(chainId) };
+    }
+    const moderation = moderationLog.get(poll.id);
+    if (moderation && moderation.status === poll.moderation && poll.moderation !== MODERATION.NONE) {
+      enriched = { ...enriched, moderationReason: moderation.reason };
+    }
+    if (account && isPublicSingleChoice(poll)) {
+      enriched = {
+        ...enriched,
+        delegate: delegateOf(delegations, poll.id, account),
+        pollDelegate: (delegations.byPoll.get(poll.id) || new Map()).get(account) || null,
+        delegators: pendingDelegators(delegations, poll.id, account)
+      };
+    }
+    return enriched;
+  }, [access.paused, account, ballotContract, chainId, delegations, metadataByHash, moderationLog, optimistic, pendingTxByPoll]);
+
+  const enrichedPolls = useMemo(() => polls.map(enrichPoll), [polls, enrichPoll]);
+  const enrichedDetailPoll = useMemo(
+    () => detailPoll ? enrichPoll(detailPoll) : null,
+    [detailPoll, enrichPoll]
+  );
+
+  // Categories of polls whose metadata has been verified
+  const categories = useMemo(() => [...new Set(
+    Object.values(metadataByHash)
+      .filter(entry => entry.status === 'verified' && entry.category)
+      .map(entry => entry.category)
+  )].sort(), [metadataByHash]);
+
+  const updateQuery = useCallback((changes) => {
+    setQuery(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  // Keep the query string in step so the current view can be shared. Only
+  // the poll list has one; the back link restores it.
+  useEffect(() => {
+    if (route.name !== 'home') return;
+    const { pathname, hash } = window.location;
+    window.history.replaceState(window.history.state, '', `${pathname}${toSearch(query)}${hash}`);
+  }, [query, route.name]);
+
+  // Picking a category on a detail page filters the poll list by it
+  const selectCategory = useCallback((category) => {
+    updateQuery({ category });
+    if (route.name !== 'home') navigate(`/${toSearch({ ...query, category })}`);
+  }, [updateQuery, route.name, query]);
 
-  // Filter polls
-  const filteredPolls = polls.filter(poll => {
-    if (filter === 'active') return poll.active;
-    if (filter === 'ended') return !poll.active;
-    return true;
-  });
+  // Hidden polls stay reachable by link and from the moderation panel
+  const listedPolls = useMemo(
+    () => enrichedPolls.filter(poll => poll.moderation !== MODERATION.HIDDEN),
+    [enrichedPolls]
+  );
+  const filteredPolls = useMemo(
+    () => applyQuery(listedPolls, query, account),
+    [listedPolls, query, account]
+  );
+
+  // Read by the poll components through useAppContext
+  const appContext = {
+    account,
+    access,
+    currency: getCurrencySymbol(chainId),
+    onVote: vote,
+    onChangeVote: changeVote,
+    onRetractVote: retractVote,
+    onReveal: revealVote,
+    onEndPoll: endPoll,
+    onExtendPoll: extendPoll,
+    onBreakTie: breakTie,
+    onSettleDeposit: settleDeposit,
+    onDelegate: delegateVote,
+    onCountDelegated: countDelegatedVotes,
+    onSelectCategory: selectCategory,
+    onCreatePoll: createPoll,
+    onModerate: moderatePoll,
+    onSetPaused: setPaused,
+    onSetCreatorAllowlist: setCreatorAllowlist,
+    onSetPollCreator: setPollCreator,
+    onSetDepositSettings: setDepositSettings
+  };
 
   return (
-    <div className="app">
-      <div className="background-effects">
-        <div className="gradient-orb orb-1"></div>
-        <div className="gradient-orb orb-2"></div>
-        <div className="gradient-orb orb-3"></div>
-        <div className="grid-overlay"></div>
-      </div>
+    <AppContext.Provider value={appContext}>
+      <div className="app">
+        <div className="background-effects">
+          <div className="gradient-orb orb-1"></div>
+          <div className="gradient-orb orb-2"></div>
+          <div className="gradient-orb orb-3"></div>
+          <div className="grid-overlay"></div>
+        </div>
 
-      <Header 
-        account={account} 
-        connectWallet={connectWallet}
-        isConnecting={isConnecting}
-      />
-
-      <main className="main-content">
-        <section className="hero">
-          <h1 className="hero-title">
-            Decentralized <span className="highlight">Voting</span>
-          </h1>
-          <p className="hero-subtitle">
-            Create polls, cast votes, and let the blockchain ensure transparency
-          </p>
-        </section>
-
-        {account && (
-          <CreatePollForm onCreatePoll={createPoll} isLoading={isLoading} />
-        )}
+        <Header 
+          account={account} 
+          connectWallet={connectWallet}
+          isConnecting={isConnecting}
+          isReadOnly={!contract && !!readContract}
+          pendingTxCount={transactions.filter(isInFlight).length}
+          onShowTransactions={() => setIsTxDrawerOpen(open => !open)}
+        />
 
-        <section className="polls-section">
-          <div className="section-header">
-            <h2>Polls</h2>
-            <div className="filter-tabs">
-              {['all', 'active', 'ended'].map((f) => (
-                <button
-                  key={f}
-                  className={`filter-tab ${filter === f ? 'active' : ''}`}
-                  onClick={() => setFilter(f)}
-                >
-                  {f.charAt(0).toUpperCase() + f.slice(1)}
-                </button>
-              ))}
+        <main className="main-content">
+          {access.paused && (
+            <div className="paused-banner">
+              ⏸ Voting and poll creation are paused by the administrators. Votes already cast are kept.
             </div>
-          </div>
+          )}
 
-          {!account ? (
-            <div className="connect-prompt">
-              <p>Connect your wallet to view and participate in polls</p>
-              <button className="connect-btn large" onClick={connectWallet}>
-                Connect Wallet
-              </button>
-            </div>
+          {route.name === 'poll' ? (
+            !activeContract ? (
+              <div className="connect-prompt">
+                <p>Connect your wallet to view this poll</p>
+                <button className="connect-btn large" onClick={connectWallet}>
+                  Connect Wallet
+                </button>
+              </div>
+            ) : (
+              <PollDetail
+                poll={enrichedDetailPoll}
+                error={detailError}
+                contract={activeContract}
+                backTo={`/${toSearch(query)}`}
+              />
+            )
           ) : (
-            <PollList
-              polls={filteredPolls}
-              onVote={vote}
-              onEndPoll={endPoll}
-              account={account}
-              isLoading={isLoading}
-            />
+            <>
+              <section className="hero">
+                <h1 className="hero-title">
+                  Decentralized <span className="highlight">Voting</span>
+                </h1>
+                <p className="hero-subtitle">
+                  Create polls, cast votes, and let the blockchain ensure transparency
+                </p>
+              </section>
+
+              {account && canCreatePolls(access) && (
+                <CreatePollForm isLoading={isCreating} defaultToken={getMockToken(chainId)} />
+              )}
+              {account && access.withdrawable > 0n && (
+                <div className="deposit-notice">
+                  <span>
+                    You have {ethers.formatEther(access.withdrawable)} {getCurrencySymbol(chainId)} in poll deposits to withdraw.
+                  </span>
+                  <button className="vote-btn" onClick={withdrawDeposits}>
+                    Withdraw
+                  </button>
+                </div>
+              )}
+              {account && !access.paused && !canCreatePolls(access) && (
+                <p className="access-notice">
+                  Poll creation is limited to approved creators. Ask an administrator to approve this account.
+                </p>
+              )}
+
+              <section className="polls-section">
+                <div className="section-header">
+                  <h2>Polls</h2>
+                  <div className="filter-tabs">
+                    {STATUS_FILTERS.map((f) => (
+                      <button
+                        key={f}
+                        className={`filter-tab ${query.status === f ? 'active' : ''}`}
+                        onClick={() => updateQuery({ status: f })}
+                      >
+                        {f.charAt(0).toUpperCase() + f.slice(1)}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="poll-toolbar">
+                  <input
+                    type="search"
+                    className="poll-search"
+                    value={query.q}
+                    onChange={(e) => updateQuery({ q: e.target.value })}
+                    placeholder="Search questions and options"
+                  />
+                  <div className="filter-tabs">
+                    {[
+                      ['all', 'All polls'],
+                      ['mine', 'My polls'],
+                      ['voted', 'Voted by me']
+                    ].map(([view, label]) => (
+                      <button
+                        key={view}
+                        className={`filter-tab ${query.view === view ? 'active' : ''}`}
+                        onClick={() => updateQuery({ view })}
+                        disabled={view !== 'all' && !account}
+                        title={view !== 'all' && !account ? 'Connect a wallet to use this view' : undefined}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  <select
+                    className="category-filter"
+                    value={query.sort}
+                    onChange={(e) => updateQuery({ sort: e.target.value })}
+                  >
+                    <option value="newest">Newest</option>
+                    <option value="ending">Ending soon</option>
+                    <option value="votes">Most votes</option>
+                  </select>
+                  {(categories.length > 0 || query.category) && (
+                    <select
+                      className="category-filter"
+                      value={query.category}
+                      onChange={(e) => updateQuery({ category: e.target.value })}
+                    >
+                      <option value="">All categories</option>
+                      {query.category && !categories.includes(query.category) && (
+                        <option value={query.category}>{query.category}</option>
+                      )}
+                      {categories.map(c => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                  )}
+                </div>
+
+                {!activeContract ? (
+                  <div className="connect-prompt">
+                    <p>Connect your wallet to view and participate in polls</p>
+                    <button className="connect-btn large" onClick={connectWallet}>
+                      Connect Wallet
+                    </button>
+                  </div>
+                ) : (
+                  <>
+                    <RevealReminder polls={enrichedPolls} onReveal={revealVote} />
+                    {account && (
+                      <DelegationPanel
+                        delegate={delegations.standing.get(account) || null}
+                        onDelegate={delegateVote}
+                      />
+                    )}
+                    {access.isAdmin && (
+                      <ModerationPanel moderationLog={moderationLog} polls={polls} />
+                    )}
+                    <PollList
+                      polls={filteredPolls}
+                      isFiltered={listedPolls.length > 0 && !isDefaultQuery(query)}
+                      onClearFilters={() => setQuery(DEFAULT_QUERY)}
+                    />
+                  </>
+                )}
+              </section>
+            </>
           )}
-        </section>
-      </main>
-
-      <footer className="footer">
-        <p>Built with ❤️ on Ethereum</p>
-      </footer>
-
-      {notification && (
-        <Notification
-          message={notification.message}
-          type={notification.type}
-          onClose={() => setNotification(null)}
-        />
-      )}
-    </div>
+        </main>
+
+        <footer className="footer">
+          <p>Built with ❤️ on Ethereum</p>
+        </footer>
+
+        {isWrongNetwork && (
+          <NetworkBanner
+            chainId={chainId}
+            targetChainId={getTargetChainId()}
+            onSwitch={switchNetwork}
+            isSwitching={isSwitching}
+          />
+        )}
+
+        {isTxDrawerOpen && account && (
+          <TransactionDrawer
+            transactions={transactions}
+            onClear={() => txManagerRef.current && txManagerRef.current.clear()}
+            onClose={() => setIsTxDrawerOpen(false)}
+          />
+        )}
+
+        {notification && (
+          <Notification
+            message={notification.message}
+            type={notification.type}
+            onClose={() => setNotification(null)}
+          />
+        )}
+      </div>
+    </AppContext.Provider>
   );
 }
 
@@ -0,0 +1,597 @@
+import React, { useState } from 'react';
+import { ethers } from 'ethers';
+import { useAppContext } from './appContext';
+import { parseAddressList, buildVoterTree, saveVoterList } from './allowlist';
+import { STRATEGIES, BALLOT_TYPES, TIE_BREAKS } from './strategies';
+import { buildMetadata } from './metadata';
+import { formatMinutes } from './timeFormat';
+
+// Poll creation: the question and options, plus the optional schedule,
+// metadata, voter restrictions, sealed ballots, strategy and tie-break
+export default function CreatePollForm({ isLoading, defaultToken }) {
+  const { onCreatePoll, currency, access: { deposit } } = useAppContext();
+  const [question, setQuestion] = useState('');
+  const [options, setOptions] = useState(['', '']);
+  const [description, setDescription] = useState('');
+  const [category, setCategory] = useState('');
+  const [tags, setTags] = useState('');
+  const [link, setLink] = useState('');
+  const [duration, setDuration] = useState(60);
+  const [startAt, setStartAt] = useState(''); // datetime-local value, empty to start now
+  const [access, setAccess] = useState('anyone'); // 'anyone', 'allowlist', 'merkle'
+  const [voterList, setVoterList] = useState('');
+  const [settingsError, setSettingsError] = useState(null);
+  const [isSecret, setIsSecret] = useState(false);
+  const [revealDuration, setRevealDuration] = useState(60);
+  const [strategy, setStrategy] = useState(STRATEGIES.EQUAL);
+  const [token, setToken] = useState(defaultToken || '');
+  const [credits, setCredits] = useState(100);
+  const [ballotType, setBallotType] = useState(BALLOT_TYPES.SINGLE_CHOICE);
+  const [minSelections, setMinSelections] = useState(1);
+  const [maxSelections, setMaxSelections] = useState(2);
+  const [quorum, setQuorum] = useState(0);
+  const [tieBreak, setTieBreak] = useState(TIE_BREAKS.NONE);
+  const [allowVoteChange, setAllowVoteChange] = useState(false);
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  const addOption = () => {
+    if (options.length < 10) {
+      setOptions([...options, '']);
+    }
+  };
+
+  const removeOption = (index) => {
+    if (options.length > 2) {
+      setOptions(options.filter((_, i) => i !== index));
+    }
+  };
+
+  const updateOption = (index, value) => {
+    const newOptions = [...options];
+    newOptions[index] = value;
+    setOptions(newOptions);
+  };
+
+  const handleVoterFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setVoterList(reader.result);
+    reader.readAsText(file);
+  };
+
+  // Metadata document for the description fields, or null if they are empty
+  const buildPollMetadata = () => {
+    if (!description.trim() && !category.trim() && !tags.trim() && !link.trim()) return null;
+    return buildMetadata({ description, category, tags: tags.split(','), link });
+  };
+
+  // Settings for createPollWithSettings, or null for a plain open poll
+  const buildSettings = (metadata, optionCount) => {
+    if (
+      !metadata &&
+      !startAt &&
+      access === 'anyone' &&
+      !isSecret &&
+      strategy === STRATEGIES.EQUAL &&
+      ballotType === BALLOT_TYPES.SINGLE_CHOICE &&
+      quorum === 0 &&
+      tieBreak === TIE_BREAKS.NONE &&
+      !allowVoteChange
+    ) return null;
+
+    const settings = {
+      startTime: 0,
+      metadataHash: metadata ? metadata.hash : ethers.ZeroHash,
+      allowlist: [],
+      merkleRoot: ethers.ZeroHash,
+      secret: isSecret,
+      revealDurationInMinutes: isSecret ? revealDuration : 0,
+      strategy,
+      token: ethers.ZeroAddress,
+      credits: 0,
+      ballot: ballotType,
+      quorum,
+      tieBreak,
+      allowVoteChange,
+      minSelections: 0,
+      maxSelections: 0
+    };
+
+    if (startAt) {
+      const startTime = Math.floor(new Date(startAt).getTime() / 1000);
+      if (!(startTime > Date.now() / 1000)) {
+        throw new Error('Start time must be in the future');
+      }
+      settings.startTime = startTime;
+    }
+
+    if (!Number.isInteger(quorum) || quorum < 0) {
+      throw new Error('Quorum must be a whole number of voters');
+    }
+
+    if (ballotType === BALLOT_TYPES.RANKED) {
+      if (isSecret) throw new Error('Ranked polls cannot use secret ballots');
+      if (strategy === STRATEGIES.QUADRATIC) throw new Error('Ranked polls cannot be quadratic');
+    }
+
+    if (ballotType === BALLOT_TYPES.APPROVAL) {
+      if (isSecret) throw new Error('Approval polls cannot use secret ballots');
+      if (strategy === STRATEGIES.QUADRATIC) throw new Error('Approval polls cannot be quadratic');
+      if (
+        !Number.isInteger(minSelections) || !Number.isInteger(maxSelections) ||
+        minSelections < 1 || minSelections > maxSelections || maxSelections > optionCount
+      ) {
+        throw new Error(`Voters must pick at least 1 and at most ${optionCount} options, with the minimum no higher than the maximum`);
+      }
+      settings.minSelections = minSelections;
+      settings.maxSelections = maxSelections;
+    }
+
+    if (allowVoteChange && (isSecret || strategy === STRATEGIES.QUADRATIC || ballotType !== BALLOT_TYPES.SINGLE_CHOICE)) {
+      throw new Error('Vote changes are only available on public single-choice polls');
+    }
+
+    if (strategy === STRATEGIES.TOKEN_WEIGHTED) {
+      if (!ethers.isAddress(token)) {
+        throw new Error('Enter the vote token address');
+      }
+      settings.token = ethers.getAddress(token);
+    } else if (strategy === STRATEGIES.QUADRATIC) {
+      if (isSecret) {
+        throw new Error('Quadratic polls cannot use secret ballots');
+      }
+      if (!(credits > 0)) {
+        throw new Error('Credits must be positive');
+      }
+      settings.credits = credits;
+    }
+
+    if (access !== 'anyone') {
+      const addresses = parseAddressList(voterList);
+      if (addresses.length === 0) {
+        throw new Error('Add at least one voter address');
+      }
+
+      if (access === 'allowlist') {
+        settings.allowlist = addresses;
+      } else {
+        const tree = buildVoterTree(addresses);
+        saveVoterList(tree.root, addresses);
+        settings.merkleRoot = tree.root;
+      }
+    }
+
+    return settings;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validOptions = options.filter(opt => opt.trim() !== '');
+    if (question.trim() && validOptions.length >= 2) {
+      let settings;
+      let metadata;
+      try {
+        metadata = buildPollMetadata();
+        settings = buildSettings(metadata, validOptions.length);
+      } catch (error) {
+        setSettingsError(error.message);
+        return;
+      }
+      setSettingsError(null);
+
+      await onCreatePoll(question, validOptions, duration, settings, metadata);
+      setQuestion('');
+      setOptions(['', '']);
+      setDescription('');
+      setCategory('');
+      setTags('');
+      setLink('');
+      setDuration(60);
+      setStartAt('');
+      setAccess('anyone');
+      setVoterList('');
+      setIsSecret(false);
+      setStrategy(STRATEGIES.EQUAL);
+      setBallotType(BALLOT_TYPES.SINGLE_CHOICE);
+      setMinSelections(1);
+      setMaxSelections(2);
+      setQuorum(0);
+      setTieBreak(TIE_BREAKS.NONE);
+      setAllowVoteChange(false);
+      setIsExpanded(false);
+    }
+  };
+
+  return (
+    <div className={`create-poll-section ${isExpanded ? 'expanded' : ''}`}>
+      <button 
+        className="create-poll-toggle"
+        onClick={() => setIsExpanded(!isExpanded)}
+      >
+        <span className="toggle-icon">{isExpanded ? '−' : '+'}</span>
+        <span>Create New Poll</span>
+      </button>
+      
+      {isExpanded && (
+        <form className="create-poll-form" onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Question</label>
+            <input
+              type="text"
+              value={question}
+              onChange={(e) => setQuestion(e.target.value)}
+              placeholder="What would you like to ask?"
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Options</label>
+            <div className="options-list">
+              {options.map((option, index) => (
+                <div key={index} className="option-input-group">
+                  <span className="option-number">{index + 1}</span>
+                  <input
+                    type="text"
+                    value={option}
+                    onChange={(e) => updateOption(index, e.target.value)}
+                    placeholder={`Option ${index + 1}`}
+                    required
+                  />
+                  {options.length > 2 && (
+                    <button 
+                      type="button" 
+                      className="remove-option-btn"
+                      onClick={() => removeOption(index)}
+                    >
+                      ×
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+            {options.length < 10 && (
+              <button type="button" className="add-option-btn" onClick={addOption}>
+                + Add Option
+              </button>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label>Description (optional)</label>
+            <textarea
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              placeholder="Background and context for voters"
+              rows={3}
+            />
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label>Category</label>
+              <input
+                type="text"
+                value={category}
+                onChange={(e) => setCategory(e.target.value)}
+                placeholder="e.g. Governance"
+              />
+            </div>
+            <div className="form-group">
+              <label>Tags</label>
+              <input
+                type="text"
+                value={tags}
+                onChange={(e) => setTags(e.target.value)}
+                placeholder="Comma separated"
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Link</label>
+            <input
+              type="url"
+              value={link}
+              onChange={(e) => setLink(e.target.value)}
+              placeholder="https://..."
+            />
+            <p className="form-hint">
+              Description, category, tags and link are stored off-chain. The poll keeps their hash, so they can't be changed later.
+            </p>
+          </div>
+
+          <div className="form-group">
+            <label>Duration</label>
+            <div className="duration-selector">
+              {[30, 60, 180, 1440].map((mins) => (
+                <button
+                  key={mins}
+                  type="button"
+                  className={`duration-btn ${duration === mins ? 'active' : ''}`}
+                  onClick={() => setDuration(mins)}
+                >
+                  {formatMinutes(mins)}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Starts</label>
+            <div className="choice-selector">
+              <button
+                type="button"
+                className={`choice-btn ${!startAt ? 'active' : ''}`}
+                onClick={() => setStartAt('')}
+              >
+                Now
+              </button>
+              <input
+                type="datetime-local"
+                value={startAt}
+                onChange={(e) => setStartAt(e.target.value)}
+              />
+            </div>
+            {startAt && (
+              <p className="form-hint">
+                The poll is announced now and opens for voting at this time. The duration counts from the start.
+              </p>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label>Who can vote</label>
+            <div className="choice-selector">
+              {[
+                ['anyone', 'Anyone'],
+                ['allowlist', 'Allowlist'],
+                ['merkle', 'Merkle list']
+              ].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  type="button"
+                  className={`choice-btn ${access === mode ? 'active' : ''}`}
+                  onClick={() => setAccess(mode)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {access !== 'anyone' && (
+            <div className="form-group">
+              <label>Voter addresses</label>
+              <textarea
+                value={voterList}
+                onChange={(e) => setVoterList(e.target.value)}
+                placeholder="Paste addresses, one per line"
+                rows={5}
+              />
+              <input type="file" accept=".txt,.csv,.json" onChange={handleVoterFile} />
+              <p className="form-hint">
+                {access === 'allowlist'
+                  ? 'Every address is stored on-chain. Best for small teams.'
+                  : 'Only the Merkle root is stored on-chain. Share the list with voters so they can prove eligibility.'}
+              </p>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label>Ballot type</label>
+            <div className="choice-selector">
+              {[
+                [BALLOT_TYPES.SINGLE_CHOICE, 'Pick one'],
+                [BALLOT_TYPES.RANKED, 'Ranked choice'],
+                [BALLOT_TYPES.APPROVAL, 'Approve several']
+              ].map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  className={`choice-btn ${ballotType === value ? 'active' : ''}`}
+                  onClick={() => setBallotType(value)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {ballotType === BALLOT_TYPES.RANKED && (
+              <p className="form-hint">
+                Voters rank every option. The option with the fewest first choices is eliminated each round until one has a majority.
+              </p>
+            )}
+            {ballotType === BALLOT_TYPES.APPROVAL && (
+              <>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Fewest picks</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={minSelections}
+                      onChange={(e) => setMinSelections(Number(e.target.value))}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Most picks</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={maxSelections}
+                      onChange={(e) => setMaxSelections(Number(e.target.value))}
+                    />
+                  </div>
+                </div>
+                <p className="form-hint">
+                  Voters tick every option they approve of, within these limits. Each approval counts as a full vote for that option.
+                </p>
+              </>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label>Vote weighting</label>
+            <div className="choice-selector">
+              {[
+                [STRATEGIES.EQUAL, 'One person, one vote'],
+                [STRATEGIES.TOKEN_WEIGHTED, 'Token-weighted'],
+                [STRATEGIES.QUADRATIC, 'Quadratic']
+              ].map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  className={`choice-btn ${strategy === value ? 'active' : ''}`}
+                  onClick={() => setStrategy(value)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {strategy === STRATEGIES.TOKEN_WEIGHTED && (
+            <div className="form-group">
+              <label>Vote token</label>
+              <input
+                type="text"
+                value={token}
+                onChange={(e) => setToken(e.target.value)}
+                placeholder="0x... (ERC20Votes token)"
+              />
+              <p className="form-hint">
+                Votes are weighted by each voter's delegated token balance when the poll is created. Holders must delegate (to themselves or someone else) before then.
+              </p>
+            </div>
+          )}
+
+          {strategy === STRATEGIES.QUADRATIC && (
+            <div className="form-group">
+              <label>Credits per voter</label>
+              <input
+                type="number"
+                min="1"
+                value={credits}
+                onChange={(e) => setCredits(Number(e.target.value))}
+              />
+              <p className="form-hint">
+                Voters spread their credits across options. Casting n votes for one option costs n² credits.
+              </p>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label>Ballot</label>
+            <div className="choice-selector">
+              <button
+                type="button"
+                className={`choice-btn ${!isSecret ? 'active' : ''}`}
+                onClick={() => setIsSecret(false)}
+              >
+                Public
+              </button>
+              <button
+                type="button"
+                className={`choice-btn ${isSecret ? 'active' : ''}`}
+                onClick={() => setIsSecret(true)}
+              >
+                Secret (commit-reveal)
+              </button>
+            </div>
+          </div>
+
+          {isSecret && (
+            <div className="form-group">
+              <label>Reveal window</label>
+              <div className="duration-selector">
+                {[30, 60, 1440].map((mins) => (
+                  <button
+                    key={mins}
+                    type="button"
+                    className={`duration-btn ${revealDuration === mins ? 'active' : ''}`}
+                    onClick={() => setRevealDuration(mins)}
+                  >
+                    {formatMinutes(mins)}
+                  </button>
+                ))}
+              </div>
+              <p className="form-hint">
+                Votes stay sealed while the poll is open. Voters reveal them during this window after voting closes; unrevealed votes are not counted.
+              </p>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label>Quorum</label>
+            <input
+              type="number"
+              min="0"
+              value={quorum}
+              onChange={(e) => setQuorum(Number(e.target.value))}
+            />
+            <p className="form-hint">
+              Minimum number of voters for the result to stand. 0 means no quorum.
+            </p>
+          </div>
+
+          <div className="form-group">
+            <label>If there's a tie</label>
+            <div className="choice-selector">
+              {[
+                [TIE_BREAKS.NONE, 'Report a tie'],
+                [TIE_BREAKS.LISTED_FIRST, 'First listed wins'],
+                [TIE_BREAKS.CREATOR_CASTS, 'I cast the deciding vote']
+              ].map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  className={`choice-btn ${tieBreak === value ? 'active' : ''}`}
+                  onClick={() => setTieBreak(value)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={allowVoteChange}
+                onChange={(e) => setAllowVoteChange(e.target.checked)}
+              />
+              Let voters change or retract their vote
+            </label>
+            <p className="form-hint">
+              Votes can be changed until the poll closes. Only available on public single-choice polls.
+            </p>
+          </div>
+
+          {deposit.amount > 0n && (
+            <p className="deposit-hint">
+              Creating a poll takes a deposit of <strong>{ethers.formatEther(deposit.amount)} {currency}</strong>.
+              {' '}It is refunded once the poll closes with at least {deposit.refundVotes} {deposit.refundVotes === 1 ? 'vote' : 'votes'};
+              {' '}otherwise, or if a moderator cancels the poll, it goes to the treasury.
+            </p>
+          )}
+
+          {settingsError && <p className="form-error">{settingsError}</p>}
+
+          <button 
+            type="submit" 
+            className="submit-poll-btn"
+            disabled={isLoading}
+          >
+            {isLoading ? (
+              <span className="loading-spinner"></span>
+            ) : (
+              'Create Poll'
+            )}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
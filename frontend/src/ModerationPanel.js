@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { useAppContext } from './appContext';
+import { MODERATION } from './moderation';
+import { Link } from './router';
+
+// Admin controls: the emergency pause, who may create polls, the poll
+// creation deposit, and hiding or cancelling polls with a reason. Only shown
+// to accounts with the admin role.
+export default function ModerationPanel({ moderationLog, polls }) {
+  const { access, currency, onModerate, onSetPaused, onSetCreatorAllowlist, onSetPollCreator, onSetDepositSettings } = useAppContext();
+  const [pollId, setPollId] = useState('');
+  const [status, setStatus] = useState(MODERATION.HIDDEN);
+  const [reason, setReason] = useState('');
+  const [creator, setCreator] = useState('');
+  const [depositAmount, setDepositAmount] = useState('');
+  const [refundVotes, setRefundVotes] = useState('');
+  const [treasury, setTreasury] = useState('');
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Start from the current deposit settings whenever they change
+  useEffect(() => {
+    setDepositAmount(ethers.formatEther(access.deposit.amount));
+    setRefundVotes(String(access.deposit.refundVotes));
+    setTreasury(access.deposit.treasury === ethers.ZeroAddress ? '' : access.deposit.treasury);
+  }, [access.deposit]);
+
+  // Resolves to whether the action was confirmed
+  const run = async (action) => {
+    setIsSaving(true);
+    const done = await action();
+    setIsSaving(false);
+    return done;
+  };
+
+  const handleModerate = async (e) => {
+    e.preventDefault();
+    const id = Number(pollId);
+    if (!Number.isInteger(id) || id < 1) {
+      setError('Enter a poll number');
+      return;
+    }
+    if (!reason.trim()) {
+      setError('Give a reason');
+      return;
+    }
+    setError(null);
+    if (await run(() => onModerate(id, status, reason.trim()))) {
+      setPollId('');
+      setReason('');
+    }
+  };
+
+  const handlePollCreator = async (grant) => {
+    if (!ethers.isAddress(creator)) {
+      setError('Enter a valid address');
+      return;
+    }
+    setError(null);
+    if (await run(() => onSetPollCreator(ethers.getAddress(creator), grant))) setCreator('');
+  };
+
+  const handleDeposit = async (e) => {
+    e.preventDefault();
+    let amount;
+    try {
+      amount = ethers.parseEther(depositAmount || '0');
+    } catch (parseError) {
+      setError('Enter the deposit as a number');
+      return;
+    }
+    const votes = Number(refundVotes);
+    if (amount < 0n || !Number.isInteger(votes) || votes < 0) {
+      setError('Enter the deposit and the votes needed for a refund');
+      return;
+    }
+    if (!ethers.isAddress(treasury)) {
+      setError('Enter a valid treasury address');
+      return;
+    }
+    setError(null);
+    await run(() => onSetDepositSettings(amount, votes, ethers.getAddress(treasury)));
+  };
+
+  const moderated = [...moderationLog.entries()]
+    .filter(([, entry]) => entry.status !== MODERATION.NONE)
+    .sort(([a], [b]) => b - a);
+  const questionOf = (id) => {
+    const poll = polls.find(p => p.id === id);
+    return poll ? poll.question : `Poll #${id}`;
+  };
+
+  return (
+    <section className="moderation-panel">
+      <h3>Moderation</h3>
+      <div className="moderation-controls">
+        <button
+          className={access.paused ? 'vote-btn' : 'end-poll-btn'}
+          onClick={() => run(() => onSetPaused(!access.paused))}
+          disabled={isSaving}
+        >
+          {access.paused ? 'Resume voting' : 'Pause voting'}
+        </button>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={access.creatorAllowlist}
+            onChange={(e) => run(() => onSetCreatorAllowlist(e.target.checked))}
+            disabled={isSaving}
+          />
+          Only approved creators can create polls
+        </label>
+      </div>
+
+      <div className="delegate-form">
+        <input
+          type="text"
+          value={creator}
+          onChange={(e) => setCreator(e.target.value.trim())}
+          placeholder="0x… poll creator address"
+        />
+        <button type="button" className="vote-btn" onClick={() => handlePollCreator(true)} disabled={!creator || isSaving}>
+          Approve creator
+        </button>
+        <button type="button" className="change-vote-btn" onClick={() => handlePollCreator(false)} disabled={!creator || isSaving}>
+          Revoke
+        </button>
+      </div>
+
+      <form className="delegate-form" onSubmit={handleDeposit}>
+        <input
+          type="text"
+          className="deposit-input"
+          value={depositAmount}
+          onChange={(e) => setDepositAmount(e.target.value.trim())}
+          placeholder={`Deposit (${currency})`}
+          title={`Deposit needed to create a poll, in ${currency}. 0 for none.`}
+        />
+        <input
+          type="number"
+          className="poll-number-input"
+          min="0"
+          value={refundVotes}
+          onChange={(e) => setRefundVotes(e.target.value)}
+          placeholder="Votes"
+          title="Votes a poll needs for its deposit to be refunded"
+        />
+        <input
+          type="text"
+          value={treasury}
+          onChange={(e) => setTreasury(e.target.value.trim())}
+          placeholder="0x… treasury for forfeited deposits"
+        />
+        <button type="submit" className="vote-btn" disabled={isSaving}>
+          Set deposit
+        </button>
+      </form>
+
+      <form className="delegate-form" onSubmit={handleModerate}>
+        <input
+          type="number"
+          className="poll-number-input"
+          min="1"
+          value={pollId}
+          onChange={(e) => setPollId(e.target.value)}
+          placeholder="Poll #"
+        />
+        <select className="category-filter" value={status} onChange={(e) => setStatus(Number(e.target.value))}>
+          <option value={MODERATION.HIDDEN}>Hide</option>
+          <option value={MODERATION.CANCELLED}>Cancel</option>
+          <option value={MODERATION.NONE}>Restore</option>
+        </select>
+        <input
+          type="text"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="Reason, recorded on-chain"
+        />
+        <button type="submit" className="vote-btn" disabled={!pollId || isSaving}>
+          Apply
+        </button>
+      </form>
+      {error && <p className="form-error">{error}</p>}
+
+      {moderated.length > 0 && (
+        <ul className="moderation-log">
+          {moderated.map(([id, entry]) => (
+            <li key={id}>
+              <Link to={`/poll/${id}`}>#{id} {questionOf(id)}</Link>
+              <span className={`status-badge ${entry.status === MODERATION.CANCELLED ? 'ended' : 'upcoming'}`}>
+                {entry.status === MODERATION.CANCELLED ? 'Cancelled' : 'Hidden'}
+              </span>
+              <span className="detail-muted">{entry.reason}</span>
+              {entry.status === MODERATION.HIDDEN && (
+                <button
+                  className="link-btn"
+                  onClick={() => run(() => onModerate(id, MODERATION.NONE, 'Restored'))}
+                  disabled={isSaving}
+                >
+                  Restore
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,830 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { ethers } from 'ethers';
+import { useAppContext } from './appContext';
+import { MODERATION } from './moderation';
+import { Link } from './router';
+import {
+  parseAddressList,
+  buildVoterTree,
+  getVoterProof,
+  saveVoterList,
+  loadVoterList
+} from './allowlist';
+import { getBallotPhase, needsReveal } from './secretBallots';
+import {
+  STRATEGIES,
+  BALLOT_TYPES,
+  TIE_BREAKS,
+  formatWeight,
+  weightUnit,
+  quadraticCost,
+  resultShare,
+  selectedOptions,
+  moveItem,
+  isPublicSingleChoice
+} from './strategies';
+import { canRelay } from './relayer';
+import { TX_STATES } from './txManager';
+import { getTimeLeft, formatMinutes } from './timeFormat';
+
+function SealedBallotNotice({ poll, hasVoted, onReveal, isLoading }) {
+  const phase = getBallotPhase(poll);
+  const revealDeadline = new Date(poll.revealEndTime * 1000).toLocaleString();
+
+  if (phase === 'commit') {
+    return (
+      <div className="sealed-notice">
+        {hasVoted
+          ? `🔒 Your vote is sealed. Reveal it after voting closes, before ${revealDeadline}.`
+          : '🔒 Secret ballot: votes stay sealed until voting closes.'}
+      </div>
+    );
+  }
+
+  if (phase === 'reveal') {
+    if (needsReveal({ ...poll, hasVoted })) {
+      return (
+        <div className="sealed-notice pending">
+          <span>Reveal your vote before the window closes ({getTimeLeft(poll.revealEndTime)}).</span>
+          <button className="vote-btn" onClick={() => onReveal(poll.id)} disabled={isLoading}>
+            {isLoading ? <span className="loading-spinner small"></span> : 'Reveal Vote'}
+          </button>
+        </div>
+      );
+    }
+    if (hasVoted && !poll.hasRevealed) {
+      return (
+        <div className="sealed-notice missed">
+          This browser doesn't have your ballot's salt, so the vote can't be revealed here.
+        </div>
+      );
+    }
+    return (
+      <div className="sealed-notice">
+        {poll.hasRevealed
+          ? '✓ Your vote has been revealed.'
+          : `Reveal window open: ${getTimeLeft(poll.revealEndTime)}.`}
+      </div>
+    );
+  }
+
+  if (hasVoted && !poll.hasRevealed) {
+    return (
+      <div className="sealed-notice missed">
+        Your sealed vote was not revealed in time and was not counted.
+      </div>
+    );
+  }
+  return null;
+}
+
+// Drag-to-rank ballot for ranked-choice polls. The arrow buttons do the same
+// for keyboard and touch users.
+function RankingBallot({ options, ranking, onChange }) {
+  const [dragFrom, setDragFrom] = useState(null);
+
+  const handleDrop = (position) => {
+    if (dragFrom !== null && dragFrom !== position) {
+      onChange(moveItem(ranking, dragFrom, position));
+    }
+    setDragFrom(null);
+  };
+
+  return (
+    <ol className="ranking-ballot">
+      {ranking.map((optionIndex, position) => (
+        <li
+          key={optionIndex}
+          className={`ranking-item ${dragFrom === position ? 'dragging' : ''}`}
+          draggable
+          onDragStart={() => setDragFrom(position)}
+          onDragOver={(e) => e.preventDefault()}
+          onDrop={() => handleDrop(position)}
+          onDragEnd={() => setDragFrom(null)}
+        >
+          <span className="rank-number">{position + 1}</span>
+          <span className="option-text">{options[optionIndex]}</span>
+          <span className="rank-controls">
+            <button
+              type="button"
+              onClick={() => onChange(moveItem(ranking, position, position - 1))}
+              disabled={position === 0}
+              aria-label="Move up"
+            >
+              ↑
+            </button>
+            <button
+              type="button"
+              onClick={() => onChange(moveItem(ranking, position, position + 1))}
+              disabled={position === ranking.length - 1}
+              aria-label="Move down"
+            >
+              ↓
+            </button>
+          </span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+// Round-by-round instant-runoff results from Voting.getRankedResults
+function RunoffResults({ poll }) {
+  const { rounds, eliminated } = poll.runoff;
+  const { winners, tie } = poll.results;
+
+  return (
+    <div className="runoff-results">
+      <h4>Instant-runoff rounds</h4>
+      {rounds.map((counts, round) => {
+        const total = counts.reduce((a, b) => a + b, 0);
+        const isFinal = round === rounds.length - 1;
+        const remaining = poll.options
+          .map((option, index) => index)
+          .filter(index => !eliminated.slice(0, round).includes(index));
+
+        return (
+          <div key={round} className="runoff-round">
+            <div className="round-header">
+              <span>Round {round + 1}</span>
+              <span>
+                {!isFinal && `${poll.options[eliminated[round]]} eliminated`}
+                {isFinal && (tie ? 'Tied' : `${poll.options[winners[0]]} has a majority`)}
+              </span>
+            </div>
+            {remaining.map(index => {
+              const percentage = total > 0 ? (counts[index] / total) * 100 : 0;
+              let state = '';
+              if (isFinal && winners.includes(index)) state = tie ? 'tied' : 'winner';
+              else if (!isFinal && index === eliminated[round]) state = 'out';
+
+              return (
+                <div key={index} className={`runoff-row ${state}`}>
+                  <span className="option-text">{poll.options[index]}</span>
+                  <span className="vote-count">{formatWeight(counts[index])}</span>
+                  <span className="vote-percentage">{percentage.toFixed(1)}%</span>
+                  <div className="option-bar" style={{ width: `${percentage}%` }}></div>
+                </div>
+              );
+            })}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Outcome of a closed poll: a winner, a tie, no quorum or no votes
+function PollOutcome({ poll, isCreator, onBreakTie, isLoading }) {
+  const { results } = poll;
+  const tiedOptions = results.winners.map(index => poll.options[index]).join(' and ');
+
+  if (poll.moderation === MODERATION.CANCELLED) {
+    return <div className="poll-outcome cancelled">Cancelled by a moderator; this poll has no result</div>;
+  }
+
+  // Poll lists leave out ranked outcomes; the poll page loads the runoff
+  const runoffPending = poll.ballot === BALLOT_TYPES.RANKED && !poll.runoff;
+
+  if (results.winners.length === 0 && !(runoffPending && results.turnout > 0)) {
+    return <div className="poll-outcome no-votes">No votes were cast</div>;
+  }
+
+  if (!results.quorumMet) {
+    return (
+      <div className="poll-outcome no-quorum">
+        No quorum: {results.turnout} of {poll.quorum} required voters took part
+      </div>
+    );
+  }
+
+  if (runoffPending) {
+    return (
+      <div className="poll-outcome">
+        <Link to={`/poll/${poll.id}`}>See the instant-runoff result</Link>
+      </div>
+    );
+  }
+
+  if (!results.hasWinner) {
+    const canBreakTie = isCreator && poll.tieBreak === TIE_BREAKS.CREATOR_CASTS &&
+      getBallotPhase(poll) === 'closed';
+
+    return (
+      <div className="poll-outcome tie">
+        <span>Tie between {tiedOptions}</span>
+        {poll.tieBreak === TIE_BREAKS.CREATOR_CASTS && !canBreakTie && (
+          <span className="outcome-note">Waiting for the creator's casting vote</span>
+        )}
+        {canBreakTie && (
+          <div className="casting-vote">
+            <span className="outcome-note">Cast the deciding vote:</span>
+            {results.winners.map(index => (
+              <button
+                key={index}
+                className="vote-btn"
+                onClick={() => onBreakTie(poll.id, index)}
+                disabled={isLoading}
+              >
+                {poll.options[index]}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="poll-outcome winner">
+      <span>🏆 {poll.options[results.winner]} wins</span>
+      {results.tie && (
+        <span className="outcome-note">
+          Tied with {results.winners.length - 1} other {results.winners.length === 2 ? 'option' : 'options'},{' '}
+          {poll.tieBreak === TIE_BREAKS.LISTED_FIRST ? 'broken by listing order' : "broken by the creator's casting vote"}
+        </span>
+      )}
+    </div>
+  );
+}
+
+// Verified off-chain details of a poll: description, category, tags and link
+function PollMetadata({ metadata, onSelectCategory }) {
+  if (metadata.status === 'loading') return null;
+  if (metadata.status === 'missing') {
+    return <p className="metadata-note">Poll details are not available from the metadata host.</p>;
+  }
+  if (metadata.status === 'invalid') {
+    return <p className="metadata-note invalid">⚠ {metadata.error}. Details are hidden.</p>;
+  }
+
+  const { description, category, tags, link } = metadata;
+  return (
+    <div className="poll-metadata">
+      {description && <p className="poll-description">{description}</p>}
+      {(category || tags.length > 0 || link) && (
+        <div className="metadata-row">
+          {category && (
+            <button type="button" className="category-chip" onClick={() => onSelectCategory(category)}>
+              {category}
+            </button>
+          )}
+          {tags.map(tag => <span key={tag} className="tag">#{tag}</span>)}
+          {link && (
+            <a className="metadata-link" href={link} target="_blank" rel="noopener noreferrer">
+              More info ↗
+            </a>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Extension presets offered to poll creators, and the contract's duration cap
+const EXTENSION_MINUTES = [30, 60, 1440];
+const MAX_DURATION_MINUTES = 10080;
+
+export default function PollCard({ poll }) {
+  const { account, onVote, onChangeVote, onRetractVote, onReveal, onEndPoll, onExtendPoll, onBreakTie, onSettleDeposit, onDelegate, onCountDelegated, onSelectCategory } = useAppContext();
+  const [selectedOption, setSelectedOption] = useState(null);
+  const [isChanging, setIsChanging] = useState(false);
+  const [isExtending, setIsExtending] = useState(false);
+  const [isDelegating, setIsDelegating] = useState(false);
+  const [delegateTo, setDelegateTo] = useState('');
+  const [delegateError, setDelegateError] = useState(null);
+  const [allocation, setAllocation] = useState(() => poll.options.map(() => 0));
+  const [ranking, setRanking] = useState(() => poll.options.map((option, index) => index));
+  const [approved, setApproved] = useState([]);
+  const [hasVoted, setHasVoted] = useState(poll.hasVoted);
+
+  // Pick up the voted flag once a wallet connects or the poll is refreshed
+  useEffect(() => {
+    setHasVoted(poll.hasVoted);
+  }, [poll.hasVoted]);
+
+  const isMerklePoll = poll.restricted && poll.merkleRoot !== ethers.ZeroHash;
+  const [voterList, setVoterList] = useState(() => isMerklePoll ? loadVoterList(poll.merkleRoot) : null);
+  const [listError, setListError] = useState(null);
+
+  const totalVotes = poll.voteCounts.reduce((a, b) => a + b, 0);
+  const share = resultShare(poll, totalVotes);
+  const { results } = poll;
+  const isQuadratic = poll.strategy === STRATEGIES.QUADRATIC;
+  const isRanked = poll.ballot === BALLOT_TYPES.RANKED;
+  const isApproval = poll.ballot === BALLOT_TYPES.APPROVAL;
+  // Tallies on ranked polls count first choices; the runoff decides the winner
+  const unit = isRanked ? 'first choices' : weightUnit(poll.strategy);
+  const creditsLeft = poll.credits - quadraticCost(allocation);
+  const timeLeft = getTimeLeft(poll.endTime, poll.startTime);
+  const isCreator = account && poll.creator.toLowerCase() === account.toLowerCase();
+  // Only this poll's own transaction locks the card
+  const isLoading = !!poll.pendingTx;
+  const isEnded = !poll.active && !poll.upcoming;
+  // A held deposit can be settled by anyone once voting and any reveal
+  // window are over; it goes back to the creator if the poll drew enough votes
+  const canSettleDeposit = !!account && isEnded && poll.deposit > 0n &&
+    Date.now() / 1000 >= poll.revealEndTime;
+  const depositRefunded = poll.voterCount >= poll.refundVotes && poll.moderation !== MODERATION.CANCELLED;
+  // Extensions the creator can still pick without passing the 7-day cap
+  const extensions = poll.extended || isEnded ? [] : EXTENSION_MINUTES.filter(
+    mins => poll.endTime + mins * 60 - poll.startTime <= MAX_DURATION_MINUTES * 60
+  );
+
+  // Merkle polls need a proof from the voter list until eligibility is proven on-chain
+  const proof = useMemo(() => {
+    if (!isMerklePoll || poll.isEligible || !voterList || !account) return null;
+    return getVoterProof(voterList, account);
+  }, [isMerklePoll, poll.isEligible, voterList, account]);
+
+  let eligibility = null; // null for open polls
+  if (poll.restricted) {
+    if (!account) eligibility = 'unknown';
+    else if (poll.isEligible || proof) eligibility = 'eligible';
+    else if (isMerklePoll && !voterList) eligibility = 'needs-list';
+    else eligibility = 'ineligible';
+  }
+  // Token-weighted polls need votes delegated at the snapshot block
+  const hasNoPower = !!account && poll.strategy === STRATEGIES.TOKEN_WEIGHTED && poll.votingPower === 0;
+  const canVote = poll.active && !poll.paused && !hasVoted && !hasNoPower &&
+    (eligibility === null || eligibility === 'eligible' || !account);
+  // The caller's current option: their first choice on ranked polls, their
+  // selection bitmask on approval polls, and unknown on quadratic or sealed
+  // ballots
+  const votedChoice = hasVoted && poll.hasVoted && !isQuadratic && !poll.secret ? poll.voterChoice : null;
+  const votedOptions = votedChoice === null ? [] : isApproval ? selectedOptions(votedChoice) : [votedChoice];
+  const canRevise = poll.active && !poll.paused && poll.allowVoteChange && votedChoice !== null;
+  const canSelect = canVote || (canRevise && isChanging);
+  // Tallies of a secret poll stay empty until voting closes
+  const showResults = (hasVoted || isEnded) && !(poll.secret && !isEnded);
+  const sealedChoice = poll.savedBallot ? poll.savedBallot.optionIndex : null;
+  // Delegators this account votes for once it votes (or has voted) but who
+  // haven't been counted yet
+  const delegators = poll.delegators || [];
+  const canDelegate = !!account && isPublicSingleChoice(poll) && !hasVoted && (poll.active || poll.upcoming);
+
+  const handleListFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const addresses = parseAddressList(reader.result);
+        if (buildVoterTree(addresses).root !== poll.merkleRoot) {
+          throw new Error("This list doesn't match the poll's voter list");
+        }
+        saveVoterList(poll.merkleRoot, addresses);
+        setVoterList(addresses);
+        setListError(null);
+      } catch (error) {
+        setListError(error.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  // Change an option's quadratic votes by one, within the credit budget
+  const adjustAllocation = (index, delta) => {
+    const next = [...allocation];
+    next[index] = Math.max(0, next[index] + delta);
+    if (quadraticCost(next) <= poll.credits) {
+      setAllocation(next);
+    }
+  };
+
+  // Tick or untick an approval, up to the poll's most picks
+  const toggleApproval = (index) => {
+    if (approved.includes(index)) {
+      setApproved(approved.filter(i => i !== index));
+    } else if (approved.length < poll.maxSelections) {
+      setApproved([...approved, index]);
+    }
+  };
+
+  const selectOption = (index) => {
+    if (!canSelect || isQuadratic) return;
+    if (isApproval) toggleApproval(index);
+    else setSelectedOption(index);
+  };
+
+  let choice = selectedOption;
+  if (isQuadratic) choice = allocation;
+  else if (isRanked) choice = ranking;
+  else if (isApproval) choice = approved;
+  let hasChoice = isRanked || selectedOption !== null;
+  if (isQuadratic) hasChoice = creditsLeft < poll.credits;
+  else if (isApproval) hasChoice = approved.length >= poll.minSelections;
+
+  const handleVote = async () => {
+    if (!hasChoice) return;
+    if (await onVote(poll.id, choice, proof)) {
+      setHasVoted(true);
+    }
+  };
+
+  const startChange = () => {
+    setSelectedOption(votedChoice);
+    setIsChanging(true);
+  };
+
+  const handleChangeVote = async () => {
+    if (await onChangeVote(poll.id, selectedOption)) {
+      setIsChanging(false);
+      setSelectedOption(null);
+    }
+  };
+
+  const handleExtend = async (mins) => {
+    if (await onExtendPoll(poll.id, mins)) {
+      setIsExtending(false);
+    }
+  };
+
+  const submitDelegate = async (address) => {
+    if (await onDelegate(poll.id, address)) {
+      setIsDelegating(false);
+      setDelegateTo('');
+    }
+  };
+
+  const handleDelegate = (e) => {
+    e.preventDefault();
+    if (!ethers.isAddress(delegateTo)) {
+      setDelegateError('Enter a valid address');
+      return;
+    }
+    setDelegateError(null);
+    submitDelegate(ethers.getAddress(delegateTo));
+  };
+
+  const handleRetract = async () => {
+    if (await onRetractVote(poll.id)) {
+      setHasVoted(false);
+      setSelectedOption(null);
+    }
+  };
+
+  return (
+    <div className={`poll-card ${isEnded ? 'ended' : ''}`}>
+      <div className="poll-header">
+        <div className="poll-status">
+          {poll.active && (
+            <span className="status-badge active">
+              <span className="status-dot"></span>
+              Live
+            </span>
+          )}
+          {poll.upcoming && <span className="status-badge upcoming">Upcoming</span>}
+          {isEnded && (
+            <span className="status-badge ended">
+              {poll.moderation === MODERATION.CANCELLED ? 'Cancelled' : 'Ended'}
+            </span>
+          )}
+          {!isEnded && (
+            <span
+              className="time-left"
+              title={`${new Date(poll.startTime * 1000).toLocaleString()} – ${new Date(poll.endTime * 1000).toLocaleString()}`}
+            >
+              {timeLeft}
+            </span>
+          )}
+          {poll.extended && !isEnded && <span className="extended-tag">Extended</span>}
+        </div>
+        <span className="poll-id">#{poll.id}</span>
+      </div>
+
+      <h3 className="poll-question">
+        <Link to={`/poll/${poll.id}`}>{poll.question}</Link>
+      </h3>
+
+      {poll.metadata && <PollMetadata metadata={poll.metadata} onSelectCategory={onSelectCategory} />}
+
+      {(poll.moderation !== MODERATION.NONE || (poll.paused && poll.active)) && (
+        <div className="moderation-notice">
+          {poll.moderation === MODERATION.HIDDEN && 'Hidden from the poll list by a moderator'}
+          {poll.moderation === MODERATION.CANCELLED && 'Cancelled by a moderator'}
+          {poll.moderationReason && `: ${poll.moderationReason}`}
+          {poll.moderation === MODERATION.NONE && 'Voting is paused by the administrators'}
+        </div>
+      )}
+
+      {eligibility && (
+        <div className={`eligibility ${eligibility}`}>
+          {eligibility === 'eligible' && '✓ You are eligible to vote'}
+          {eligibility === 'ineligible' && "✕ You are not on this poll's voter list"}
+          {eligibility === 'unknown' && 'Restricted poll: connect a wallet to check eligibility'}
+          {eligibility === 'needs-list' && (
+            <label className="load-list-btn">
+              Restricted poll: load the voter list to check eligibility
+              <input type="file" accept=".txt,.csv,.json" onChange={handleListFile} hidden />
+            </label>
+          )}
+          {listError && <span className="form-error">{listError}</span>}
+        </div>
+      )}
+
+      {poll.strategy !== STRATEGIES.EQUAL && (
+        <div className="strategy-info">
+          {poll.strategy === STRATEGIES.TOKEN_WEIGHTED ? (
+            <>
+              <span>⚖ Token-weighted</span>
+              {account && (
+                <span>
+                  {hasNoPower
+                    ? 'You had no delegated tokens at the snapshot'
+                    : `Your voting power: ${formatWeight(poll.votingPower)} tokens`}
+                </span>
+              )}
+            </>
+          ) : (
+            <>
+              <span>√ Quadratic · {poll.credits} credits per voter</span>
+              {canVote && <span className="credits-left">{creditsLeft} credits left</span>}
+            </>
+          )}
+        </div>
+      )}
+
+      {(poll.carriedWeight > 0 || (delegators.length > 0 && poll.active) || (!hasVoted && poll.delegate)) && (
+        <div className="delegation-info">
+          {poll.carriedWeight > 0 && (
+            <span>Carrying {formatWeight(poll.carriedWeight)} {weightUnit(poll.strategy)} for delegators</span>
+          )}
+          {delegators.length > 0 && poll.active && (
+            <span>
+              {delegators.length} {delegators.length === 1 ? 'delegator' : 'delegators'}
+              {hasVoted ? ' not counted yet' : ' will follow your vote'}
+              {hasVoted && (
+                <button className="link-btn" onClick={() => onCountDelegated(poll.id)} disabled={isLoading}>
+                  Count now
+                </button>
+              )}
+            </span>
+          )}
+          {!hasVoted && poll.representedBy && (
+            <span title={poll.representedBy}>
+              Counted with {poll.representedBy.slice(0, 6)}...{poll.representedBy.slice(-4)}'s vote; vote yourself to override
+            </span>
+          )}
+          {!hasVoted && poll.delegate && !poll.representedBy && (
+            <span title={poll.delegate}>
+              Delegated to {poll.delegate.slice(0, 6)}...{poll.delegate.slice(-4)}
+              {!poll.pollDelegate && ' (standing)'}
+            </span>
+          )}
+        </div>
+      )}
+
+      {poll.secret && (
+        <SealedBallotNotice
+          poll={poll}
+          hasVoted={hasVoted}
+          onReveal={onReveal}
+          isLoading={isLoading}
+        />
+      )}
+
+      {isApproval && canVote && (
+        <p className="selection-hint">
+          {poll.minSelections === poll.maxSelections
+            ? `Pick ${poll.maxSelections}`
+            : `Pick ${poll.minSelections} to ${poll.maxSelections}`} options · {approved.length} selected
+        </p>
+      )}
+
+      {isRanked && canVote ? (
+        <RankingBallot options={poll.options} ranking={ranking} onChange={setRanking} />
+      ) : (
+        <div className="poll-options">
+          {poll.options.map((option, index) => {
+            const votes = poll.voteCounts[index];
+            const percentage = share.total > 0 ? (votes / share.total) * 100 : 0;
+            // Highlight the winner (or current leader); tied options get their own state
+            const isWinning = results.winners.includes(index) &&
+              (results.hasWinner ? results.winner === index : !results.tie);
+            const isTied = results.tie && !results.hasWinner && results.winners.includes(index);
+
+            return (
+              <div
+                key={index}
+                className={`poll-option ${selectedOption === index || approved.includes(index) || sealedChoice === index || allocation[index] > 0 || (votedOptions.includes(index) && !isChanging) ? 'selected' : ''} ${(hasVoted && !isChanging) || !poll.active ? 'voted' : ''} ${isWinning && showResults ? 'winning' : ''} ${isTied && showResults ? 'tied' : ''}`}
+                onClick={() => selectOption(index)}
+              >
+                <div className="option-content">
+                  <span className="option-text">
+                    {option}
+                    {votedOptions.includes(index) && (
+                      <span className="your-vote-tag">{isRanked ? 'Your first choice' : 'Your vote'}</span>
+                    )}
+                  </span>
+                  {showResults && (
+                    <span className="option-stats">
+                      <span className="vote-count">{formatWeight(votes)} {unit}</span>
+                      <span className="vote-percentage">{percentage.toFixed(1)}%{share.label && ` ${share.label}`}</span>
+                    </span>
+                  )}
+                </div>
+                {showResults && (
+                  <div 
+                    className="option-bar" 
+                    style={{ width: `${percentage}%` }}
+                  ></div>
+                )}
+                {canSelect && isApproval && (
+                  <div className="option-checkbox">
+                    {approved.includes(index) && <span className="check-mark">✓</span>}
+                  </div>
+                )}
+                {canSelect && !isQuadratic && !isApproval && (
+                  <div className="option-radio">
+                    {selectedOption === index && <span className="radio-dot"></span>}
+                  </div>
+                )}
+                {canVote && isQuadratic && (
+                  <div className="allocation-stepper">
+                    <button type="button" onClick={() => adjustAllocation(index, -1)} disabled={allocation[index] === 0}>−</button>
+                    <span>{allocation[index]}</span>
+                    <button
+                      type="button"
+                      onClick={() => adjustAllocation(index, 1)}
+                      disabled={2 * allocation[index] + 1 > creditsLeft}
+                    >
+                      +
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {isRanked && showResults && poll.runoff && totalVotes > 0 && (
+        <RunoffResults poll={poll} />
+      )}
+
+      {isEnded && showResults && (
+        <PollOutcome
+          poll={poll}
+          isCreator={isCreator}
+          onBreakTie={onBreakTie}
+          isLoading={isLoading}
+        />
+      )}
+
+      <div className="poll-footer">
+        <div className="poll-stats">
+          <span className="total-votes">
+            {formatWeight(totalVotes)} total {weightUnit(poll.strategy)}
+            {(poll.strategy !== STRATEGIES.EQUAL || isApproval) && ` · ${poll.voterCount} voters`}
+          </span>
+          {poll.quorum > 0 && (
+            <span className={`quorum ${results.quorumMet ? 'met' : ''}`}>
+              Quorum {results.turnout}/{poll.quorum}
+            </span>
+          )}
+          <span className="poll-creator" title={poll.creator}>
+            by {poll.creator.slice(0, 6)}...{poll.creator.slice(-4)}
+          </span>
+          {poll.deposit > 0n && (
+            <span
+              className="poll-deposit"
+              title={`Refunded to the creator with at least ${poll.refundVotes} votes, otherwise sent to the treasury`}
+            >
+              {ethers.formatEther(poll.deposit)} {poll.currency} deposit
+            </span>
+          )}
+          {poll.pendingTx && (
+            <span className="tx-status">
+              {poll.pendingTx.state === TX_STATES.SIGNING
+                ? 'Waiting for your wallet…'
+                : `${poll.pendingTx.label}: confirming…`}
+            </span>
+          )}
+        </div>
+
+        <div className="poll-actions">
+          {isCreator && voterList && (
+            <a
+              className="download-list-btn"
+              href={`data:application/json,${encodeURIComponent(JSON.stringify(voterList, null, 2))}`}
+              download={`poll-${poll.id}-voters.json`}
+            >
+              Voter list
+            </a>
+          )}
+          {canVote && (
+            <button 
+              className="vote-btn"
+              onClick={handleVote}
+              disabled={!hasChoice || isLoading}
+            >
+              {isLoading
+                ? <span className="loading-spinner small"></span>
+                : canRelay(poll) ? 'Sign & Vote (gas-free)' : 'Cast Vote'}
+            </button>
+          )}
+          {canRevise && !isChanging && (
+            <>
+              <button className="change-vote-btn" onClick={startChange} disabled={isLoading}>
+                Change Vote
+              </button>
+              <button className="retract-vote-btn" onClick={handleRetract} disabled={isLoading}>
+                Retract
+              </button>
+            </>
+          )}
+          {canRevise && isChanging && (
+            <>
+              <button className="change-vote-btn" onClick={() => setIsChanging(false)} disabled={isLoading}>
+                Cancel
+              </button>
+              <button
+                className="vote-btn"
+                onClick={handleChangeVote}
+                disabled={selectedOption === null || selectedOption === votedChoice || isLoading}
+              >
+                {isLoading ? <span className="loading-spinner small"></span> : 'Update Vote'}
+              </button>
+            </>
+          )}
+          {canDelegate && !isDelegating && (
+            <button className="change-vote-btn" onClick={() => setIsDelegating(true)} disabled={isLoading}>
+              Delegate
+            </button>
+          )}
+          {isCreator && extensions.length > 0 && !isExtending && (
+            <button className="change-vote-btn" onClick={() => setIsExtending(true)} disabled={isLoading}>
+              Extend
+            </button>
+          )}
+          {canSettleDeposit && (
+            <button
+              className="change-vote-btn"
+              onClick={() => onSettleDeposit(poll.id)}
+              disabled={isLoading}
+              title={depositRefunded ? 'Refund the deposit to the creator' : 'Send the deposit to the treasury'}
+            >
+              {depositRefunded ? 'Refund deposit' : 'Forfeit deposit'}
+            </button>
+          )}
+          {!isEnded && isCreator && (
+            <button 
+              className="end-poll-btn"
+              onClick={() => onEndPoll(poll.id)}
+              disabled={isLoading}
+            >
+              {poll.upcoming ? 'Cancel Poll' : 'End Poll'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {isExtending && extensions.length > 0 && (
+        <div className="extend-options">
+          <span>Extend once by</span>
+          <div className="duration-selector">
+            {extensions.map((mins) => (
+              <button
+                key={mins}
+                type="button"
+                className="duration-btn"
+                onClick={() => handleExtend(mins)}
+                disabled={isLoading}
+              >
+                +{formatMinutes(mins)}
+              </button>
+            ))}
+          </div>
+          <button type="button" className="change-vote-btn" onClick={() => setIsExtending(false)} disabled={isLoading}>
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {isDelegating && canDelegate && (
+        <form className="delegate-form" onSubmit={handleDelegate}>
+          <span>Let another address vote for you on this poll</span>
+          <input
+            type="text"
+            value={delegateTo}
+            onChange={(e) => setDelegateTo(e.target.value.trim())}
+            placeholder="0x… delegate address"
+          />
+          <button type="submit" className="vote-btn" disabled={!delegateTo || isLoading}>
+            Delegate
+          </button>
+          {poll.pollDelegate && (
+            <button type="button" className="change-vote-btn" onClick={() => submitDelegate(ethers.ZeroAddress)} disabled={isLoading}>
+              Clear
+            </button>
+          )}
+          <button type="button" className="change-vote-btn" onClick={() => setIsDelegating(false)} disabled={isLoading}>
+            Cancel
+          </button>
+          {delegateError && <span className="form-error">{delegateError}</span>}
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,226 @@
+import React, { useState, useEffect } from 'react';
+import PollCard from './PollCard';
+import { getTxUrl } from './networks';
+import { fetchVoteHistory } from './voteHistory';
+import { downloadResults, formatChoice } from './resultsExport';
+import { Link } from './router';
+import { toWeight, formatWeight, weightUnit, resultShare } from './strategies';
+import { describeError } from './errors';
+import { contractInterface, getStartBlock } from './deployments';
+
+function formatTimestamp(seconds) {
+  return new Date(seconds * 1000).toLocaleString();
+}
+
+// Shareable page for a single poll: the card itself, plus the creator,
+// schedule, full results, the getWinner outcome and the voters, rebuilt from
+// vote events
+export default function PollDetail({ poll, error, contract, backTo }) {
+  const [winner, setWinner] = useState(null);
+  const [voters, setVoters] = useState(null);
+  const [explorerChainId, setExplorerChainId] = useState(null);
+  const [exporting, setExporting] = useState(null);
+  const [exportError, setExportError] = useState(null);
+
+  // Re-read the outcome and voters only when the tally changes, not on every refresh
+  const pollId = poll ? poll.id : null;
+  const tally = poll
+    ? [poll.voterCount, poll.active, poll.results.hasWinner, poll.results.winner, ...poll.voteCounts].join(':')
+    : null;
+
+  useEffect(() => {
+    if (!contract || pollId === null) return;
+    let cancelled = false;
+
+    contract.getWinner(pollId)
+      .then(([option, text, votes]) => ({ option: Number(option), text, votes }))
+      .catch(error => ({ reason: describeError(error, contractInterface, 'Winner not available') }))
+      .then(result => !cancelled && setWinner(result));
+
+    contract.runner.provider.getNetwork()
+      .then(async ({ chainId }) => {
+        const history = await fetchVoteHistory(contract, pollId, { fromBlock: getStartBlock(chainId) });
+        if (!cancelled) {
+          setExplorerChainId(Number(chainId));
+          setVoters(history);
+        }
+      })
+      .catch((error) => {
+        console.error('Error loading voters:', error);
+        if (!cancelled) setVoters([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [contract, pollId, tally]);
+
+  if (error) {
+    return (
+      <div className="poll-detail">
+        <Link to={backTo} className="back-link">← All polls</Link>
+        <div className="empty-state">
+          <div className="empty-icon">🔍</div>
+          <h3>Poll not found</h3>
+          <p>{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!poll) {
+    return (
+      <div className="poll-detail">
+        <Link to={backTo} className="back-link">← All polls</Link>
+        <div className="empty-state"><span className="loading-spinner"></span></div>
+      </div>
+    );
+  }
+
+  const isEnded = !poll.active && !poll.upcoming;
+  const isSealed = poll.secret && !isEnded;
+  const totalVotes = poll.totalVotes;
+  const share = resultShare(poll, totalVotes);
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    setExportError(null);
+    try {
+      await downloadResults(contract, poll, voters, format);
+    } catch (error) {
+      console.error('Error exporting results:', error);
+      setExportError(describeError(error, contractInterface, 'Export failed'));
+    }
+    setExporting(null);
+  };
+
+  return (
+    <div className="poll-detail">
+      <Link to={backTo} className="back-link">← All polls</Link>
+
+      <PollCard key={poll.id} poll={poll} />
+
+      <section className="detail-panel">
+        <h3>Details</h3>
+        <dl className="detail-grid">
+          <dt>Creator</dt>
+          <dd className="mono">{poll.creator}</dd>
+          <dt>Starts</dt>
+          <dd>{formatTimestamp(poll.startTime)}</dd>
+          <dt>Ends</dt>
+          <dd>
+            {formatTimestamp(poll.endTime)}
+            {poll.extended && ' (extended)'}
+          </dd>
+          {poll.secret && (
+            <>
+              <dt>Reveals close</dt>
+              <dd>{formatTimestamp(poll.revealEndTime)}</dd>
+            </>
+          )}
+          <dt>{isEnded ? 'Winner' : 'Leading'}</dt>
+          <dd>
+            {!winner && '…'}
+            {winner && winner.reason && <span className="detail-muted">{winner.reason}</span>}
+            {winner && !winner.reason && (
+              <>
+                {winner.text}{' '}
+                <span className="detail-muted">
+                  ({formatWeight(toWeight(winner.votes, poll.strategy))} {weightUnit(poll.strategy)})
+                </span>
+              </>
+            )}
+          </dd>
+        </dl>
+      </section>
+
+      <section className="detail-panel">
+        <h3>Results</h3>
+        {isSealed ? (
+          <p className="detail-muted">Votes are sealed until voting closes.</p>
+        ) : (
+          <table className="detail-table">
+            <thead>
+              <tr>
+                <th>Option</th>
+                <th>{weightUnit(poll.strategy)}</th>
+                <th>Share{share.label && ` ${share.label}`}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {poll.options.map((option, index) => (
+                <tr key={index}>
+                  <td>{option}</td>
+                  <td>{formatWeight(poll.voteCounts[index])}</td>
+                  <td>{share.total > 0 ? ((poll.voteCounts[index] / share.total) * 100).toFixed(1) : '0.0'}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className="detail-panel">
+        <div className="detail-panel-header">
+          <h3>Voters{voters && ` (${voters.length})`}</h3>
+          {voters && voters.length > 0 && (
+            <div className="export-actions">
+              {['csv', 'json'].map(format => (
+                <button
+                  key={format}
+                  className="export-btn"
+                  onClick={() => handleExport(format)}
+                  disabled={exporting !== null}
+                >
+                  {exporting === format ? 'Exporting…' : `Export ${format.toUpperCase()}`}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+        {exportError && <p className="form-error">{exportError}</p>}
+        {!voters && <p className="detail-muted">Loading vote history…</p>}
+        {voters && voters.length === 0 && <p className="detail-muted">No votes yet.</p>}
+        {voters && voters.length > 0 && (
+          <table className="detail-table">
+            <thead>
+              <tr>
+                <th>Voter</th>
+                <th>Choice</th>
+                <th>Block</th>
+              </tr>
+            </thead>
+            <tbody>
+              {voters.map((ballot) => {
+                const txUrl = getTxUrl(explorerChainId, ballot.transactionHash);
+                return (
+                  <tr key={ballot.voter}>
+                    <td className="mono" title={ballot.voter}>
+                      {ballot.voter.slice(0, 6)}...{ballot.voter.slice(-4)}
+                    </td>
+                    <td>
+                      {ballot.choice === null
+                        ? <span className="detail-muted">delegate's vote not found</span>
+                        : formatChoice(poll, ballot.choice)}
+                      {ballot.changed && <span className="detail-muted"> (changed)</span>}
+                      {ballot.delegate && (
+                        <span className="detail-muted" title={ballot.delegate}>
+                          {' '}via {ballot.delegate.slice(0, 6)}...{ballot.delegate.slice(-4)}
+                        </span>
+                      )}
+                    </td>
+                    <td>
+                      {txUrl
+                        ? <a href={txUrl} target="_blank" rel="noopener noreferrer">{ballot.blockNumber}</a>
+                        : ballot.blockNumber}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import { ethers } from 'ethers';
+import { StandardMerkleTree } from '@openzeppelin/merkle-tree';
+
+// Voter lists for restricted polls. Merkle trees use OpenZeppelin's standard
+// encoding (double-hashed abi-encoded address leaves), which is what
+// Voting.voteWithProof verifies against.
+
+const STORAGE_PREFIX = 'votechain:voters:';
+
+// Parse pasted or uploaded text (one address per line, or comma separated,
+// or a JSON array) into unique checksummed addresses. Throws on bad entries.
+export function parseAddressList(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+
+  const entries = trimmed.startsWith('[')
+    ? JSON.parse(trimmed)
+    : trimmed.split(/[\s,;]+/).filter(Boolean);
+
+  const seen = new Set();
+  const addresses = [];
+  for (const entry of entries) {
+    if (!ethers.isAddress(entry)) {
+      throw new Error(`Invalid address: ${entry}`);
+    }
+    const address = ethers.getAddress(entry);
+    if (!seen.has(address)) {
+      seen.add(address);
+      addresses.push(address);
+    }
+  }
+  return addresses;
+}
+
+export function buildVoterTree(addresses) {
+  return StandardMerkleTree.of(addresses.map(address => [address]), ['address']);
+}
+
+// Proof for an account, or null when it is not in the list
+export function getVoterProof(addresses, account) {
+  const address = ethers.getAddress(account);
+  if (!addresses.includes(address)) return null;
+  return buildVoterTree(addresses).getProof([address]);
+}
+
+// Lists are remembered per Merkle root so voters only load a list once
+export function saveVoterList(root, addresses) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + root, JSON.stringify(addresses));
+  } catch (e) {
+    console.warn('Could not save voter list:', e);
+  }
+}
+
+export function loadVoterList(root) {
+  try {
+    const stored = localStorage.getItem(STORAGE_PREFIX + root);
+    return stored ? JSON.parse(stored) : null;
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+
+// State and actions shared by the poll components: the connected account, its
+// access and the chain's currency, plus the transaction handlers. App provides
+// it so PollCard, PollDetail, CreatePollForm and ModerationPanel read what
+// they need instead of having it passed down through every level. Handlers
+// resolve to whether their transaction was confirmed.
+export const AppContext = createContext(null);
+
+export function useAppContext() {
+  return useContext(AppContext);
+}
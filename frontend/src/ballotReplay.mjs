@@ -0,0 +1,158 @@
+// Ballot replay and formatting shared by the app (voteHistory.js and
+// resultsExport.js) and scripts/export.js. A plain ES module without
+// imports, so Node can load it outside the app build.
+
+const DEFAULT_CHUNK_SIZE = 5000;
+// Voting.BallotType
+const RANKED = 1;
+const APPROVAL = 2;
+
+const VOTE_EVENTS = [
+  'VoteCast',
+  'RankedVoteCast',
+  'ApprovalVoteCast',
+  'QuadraticVoteCast',
+  'VoteChanged',
+  'VoteRetracted',
+  'DelegatedVoteCast',
+  'TieBroken'
+];
+
+const CSV_HEADER = ['voter', 'option', 'weight', 'delegate', 'blockNumber', 'transactionHash'];
+
+// Option indexes selected by an approval bitmask
+export function selectedOptions(mask) {
+  const selected = [];
+  for (let index = 0; Number(mask) >> index > 0; index++) {
+    if ((Number(mask) >> index) & 1) selected.push(index);
+  }
+  return selected;
+}
+
+function choiceOf(event) {
+  if (event.name === 'RankedVoteCast') return event.args.ranking.map(Number);
+  if (event.name === 'ApprovalVoteCast') return selectedOptions(event.args.selection);
+  if (event.name === 'QuadraticVoteCast') return event.args.votes.map(Number);
+  return Number(event.args.optionIndex);
+}
+
+// Rebuild a poll's ballots from its vote events up to `toBlock` (default: the
+// latest block): VoteCast (also emitted by reveals and signed ballots),
+// RankedVoteCast, ApprovalVoteCast and QuadraticVoteCast, with VoteChanged
+// and VoteRetracted applied in order. DelegatedVoteCast adds a ballot for the
+// delegator, replacing one counted by an earlier delegate, that follows the
+// delegate's current choice. Also returns the creator's casting vote from
+// TieBroken, or null.
+//
+// Each ballot is { voter, choice, changed, delegate, weight, blockNumber,
+// transactionHash }, ordered by when it was first cast. `choice` is an option
+// index, a ranking, the approved options or votes per option; it is null on
+// a delegated ballot whose delegate's vote isn't in range. `delegate` and
+// `weight` are set on ballots counted through a delegate.
+export async function replayBallots(contract, pollId, {
+  fromBlock = 0,
+  toBlock,
+  chunkSize = DEFAULT_CHUNK_SIZE
+} = {}) {
+  const provider = contract.runner.provider;
+  const address = await contract.getAddress();
+  const lastBlock = toBlock === undefined ? await provider.getBlockNumber() : toBlock;
+  const eventTopics = VOTE_EVENTS.map(name => contract.interface.getEvent(name).topicHash);
+  const pollTopic = `0x${pollId.toString(16).padStart(64, '0')}`;
+
+  const ballots = new Map();
+  let castingVote = null;
+  for (let start = fromBlock; start <= lastBlock; start += chunkSize) {
+    const logs = await provider.getLogs({
+      address,
+      topics: [eventTopics, pollTopic],
+      fromBlock: start,
+      toBlock: Math.min(start + chunkSize - 1, lastBlock)
+    });
+
+    for (const log of logs) {
+      const event = contract.interface.parseLog(log);
+      if (!event) continue;
+      const cast = { blockNumber: log.blockNumber, transactionHash: log.transactionHash };
+
+      switch (event.name) {
+        case 'TieBroken':
+          castingVote = Number(event.args.optionIndex);
+          break;
+        case 'VoteRetracted':
+          ballots.delete(event.args.voter);
+          break;
+        case 'VoteChanged': {
+          const ballot = ballots.get(event.args.voter);
+          if (ballot) {
+            ballot.choice = Number(event.args.optionIndex);
+            ballot.changed = true;
+          }
+          break;
+        }
+        case 'DelegatedVoteCast': {
+          const { delegate, delegator, weight } = event.args;
+          ballots.set(delegator, { voter: delegator, choice: null, changed: false, delegate, weight, ...cast });
+          break;
+        }
+        default: {
+          // A delegator voting directly replaces their delegated ballot
+          const { voter } = event.args;
+          ballots.set(voter, { voter, choice: choiceOf(event), changed: false, delegate: null, weight: null, ...cast });
+        }
+      }
+    }
+  }
+
+  const replayed = [...ballots.values()];
+  for (const ballot of replayed) {
+    const delegateBallot = ballot.delegate && ballots.get(ballot.delegate);
+    if (delegateBallot) {
+      ballot.choice = delegateBallot.choice;
+      ballot.changed = delegateBallot.changed;
+    }
+  }
+  return { ballots: replayed, castingVote };
+}
+
+// How a ballot reads: an option, a ranking, the approved options or an
+// allocation of quadratic votes. Null when the choice isn't known.
+export function formatChoice(poll, choice) {
+  if (choice === null) return null;
+  if (poll.ballot === RANKED) {
+    return choice.map(index => poll.options[index]).join(' > ');
+  }
+  if (poll.ballot === APPROVAL) {
+    return choice.map(index => poll.options[index]).join('; ');
+  }
+  if (Array.isArray(choice)) {
+    return choice
+      .map((votes, index) => votes > 0 ? `${poll.options[index]} x${votes}` : null)
+      .filter(Boolean)
+      .join('; ');
+  }
+  return poll.options[choice];
+}
+
+// The fields of a ballot in a JSON export
+export function exportedBallot(poll, { voter, choice, weight, delegate, blockNumber, transactionHash }) {
+  return { voter, choice, option: formatChoice(poll, choice), weight, delegate, blockNumber, transactionHash };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per ballot, with the raw on-chain weight it carries
+export function toCsv(poll, ballots) {
+  const rows = ballots.map(ballot => [
+    ballot.voter,
+    formatChoice(poll, ballot.choice),
+    ballot.weight,
+    ballot.delegate,
+    ballot.blockNumber,
+    ballot.transactionHash
+  ]);
+  return [CSV_HEADER, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,92 @@
+import { ethers } from 'ethers';
+
+// Who delegates to whom, rebuilt from VoteDelegated (standing delegations)
+// and PollVoteDelegated (one poll) events, plus the delegate each
+// DelegatedVoteCast last counted a delegator with. The latest event for a
+// delegator wins; delegating to the zero address clears it.
+
+const DEFAULT_CHUNK_SIZE = 5000;
+// Matches the contract's MAX_DELEGATION_DEPTH
+const MAX_DEPTH = 8;
+
+export function emptyDelegations() {
+  return { standing: new Map(), byPoll: new Map(), counted: new Map() };
+}
+
+function entryFor(map, pollId, create) {
+  if (!map.has(pollId)) map.set(pollId, create());
+  return map.get(pollId);
+}
+
+export async function fetchDelegations(contract, {
+  fromBlock = 0,
+  chunkSize = DEFAULT_CHUNK_SIZE
+} = {}) {
+  const provider = contract.runner.provider;
+  const address = await contract.getAddress();
+  const latestBlock = await provider.getBlockNumber();
+  const topics = ['VoteDelegated', 'PollVoteDelegated', 'DelegatedVoteCast']
+    .map(name => contract.interface.getEvent(name).topicHash);
+
+  const delegations = emptyDelegations();
+  for (let start = fromBlock; start <= latestBlock; start += chunkSize) {
+    const logs = await provider.getLogs({
+      address,
+      topics: [topics],
+      fromBlock: start,
+      toBlock: Math.min(start + chunkSize - 1, latestBlock)
+    });
+
+    for (const log of logs) {
+      const event = contract.interface.parseLog(log);
+      if (!event) continue;
+
+      if (event.name === 'DelegatedVoteCast') {
+        entryFor(delegations.counted, Number(event.args.pollId), () => new Map())
+          .set(event.args.delegator, event.args.delegate);
+        continue;
+      }
+      const target = event.name === 'VoteDelegated'
+        ? delegations.standing
+        : entryFor(delegations.byPoll, Number(event.args.pollId), () => new Map());
+      const { delegator, delegate } = event.args;
+      if (delegate === ethers.ZeroAddress) target.delete(delegator);
+      else target.set(delegator, delegate);
+    }
+  }
+
+  return delegations;
+}
+
+// An address's delegate on a poll: the poll's own, else the standing one
+export function delegateOf(delegations, pollId, address) {
+  const forPoll = delegations.byPoll.get(pollId);
+  return (forPoll && forPoll.get(address)) || delegations.standing.get(address) || null;
+}
+
+// Delegators whose chain on `pollId` reaches `account` within MAX_DEPTH links
+// and who `account` hasn't counted yet. On-chain a chain stops at the first
+// delegate who voted, so a delegator counted further along moves to `account`
+// once it votes. Votes aren't tracked here: delegators who voted themselves
+// or whose chain stops at an earlier voter are still listed, and
+// castDelegatedVotes skips them.
+export function pendingDelegators(delegations, pollId, account) {
+  const target = account.toLowerCase();
+  const counted = delegations.counted.get(pollId) || new Map();
+  const delegators = new Set([
+    ...delegations.standing.keys(),
+    ...(delegations.byPoll.get(pollId) || new Map()).keys()
+  ]);
+
+  return [...delegators].filter((delegator) => {
+    const countedBy = counted.get(delegator);
+    if (countedBy && countedBy.toLowerCase() === target) return false;
+    let current = delegator;
+    for (let depth = 0; depth < MAX_DEPTH; depth++) {
+      current = delegateOf(delegations, pollId, current);
+      if (!current) return false;
+      if (current.toLowerCase() === target) return true;
+    }
+    return false;
+  });
+}
@@ -0,0 +1,166 @@
+import { ethers } from 'ethers';
+
+// Contract artifacts and deployed addresses, written by scripts/deploy.js.
+// Until a deployment exists, a human-readable fallback ABI is used.
+// Deployments are keyed by chainId: { "8082": { Voting, startBlock }, ... }
+// Local deployments also record a MockERC20 vote token
+let deployments, contractABI;
+
+try {
+  deployments = require('./contracts/contract-address.json');
+  const artifactData = require('./contracts/Voting.json');
+  contractABI = artifactData.abi;
+} catch (e) {
+  console.log('Contract artifacts not found. Please deploy the contract first.');
+  deployments = {};
+  contractABI = [
+    "function createPoll(string memory _question, string[] memory _options, uint256 _durationInMinutes) external payable returns (uint256)",
+    "function createPollWithSettings(string _question, string[] _options, uint256 _durationInMinutes, tuple(uint256 startTime, bytes32 metadataHash, address[] allowlist, bytes32 merkleRoot, bool secret, uint256 revealDurationInMinutes, uint8 strategy, address token, uint256 credits, uint8 ballot, uint256 quorum, uint8 tieBreak, bool allowVoteChange, uint256 minSelections, uint256 maxSelections) _settings) external payable returns (uint256)",
+    "function vote(uint256 _pollId, uint256 _optionIndex) external",
+    "function voteWithProof(uint256 _pollId, uint256 _optionIndex, bytes32[] _proof) external",
+    "function voteQuadratic(uint256 _pollId, uint256[] _votes, bytes32[] _proof) external",
+    "function voteRanked(uint256 _pollId, uint256[] _ranking, bytes32[] _proof) external",
+    "function voteApproval(uint256 _pollId, uint256 _selection, bytes32[] _proof) external",
+    "function commitVote(uint256 _pollId, bytes32 _commitment, bytes32[] _proof) external",
+    "function revealVote(uint256 _pollId, uint256 _optionIndex, bytes32 _salt) external",
+    "function changeVote(uint256 _pollId, uint256 _optionIndex) external",
+    "function retractVote(uint256 _pollId) external",
+    "function endPoll(uint256 _pollId) external",
+    "function extendPoll(uint256 _pollId, uint256 _additionalMinutes) external",
+    "function breakTie(uint256 _pollId, uint256 _optionIndex) external",
+    "function voteBySig(uint256 _pollId, uint256 _optionIndex, address _voter, uint256 _deadline, bytes _signature, bytes32[] _proof) external",
+    "function delegateVote(address _delegate) external",
+    "function delegateVoteForPoll(uint256 _pollId, address _delegate) external",
+    "function castDelegatedVotes(uint256 _pollId, address[] _delegators) external",
+    "function moderatePoll(uint256 _pollId, uint8 _status, string _reason) external",
+    "function setPaused(bool _paused) external",
+    "function setCreatorAllowlist(bool _enabled) external",
+    "function setDepositSettings(uint256 _amount, uint256 _refundVotes, address _treasury) external",
+    "function settleDeposit(uint256 _pollId) external",
+    "function withdraw() external",
+    "function grantRole(bytes32 role, address account) external",
+    "function revokeRole(bytes32 role, address account) external",
+    "function hasRole(bytes32 role, address account) external view returns (bool)",
+    "function paused() external view returns (bool)",
+    "function creatorAllowlistEnabled() external view returns (bool)",
+    "function creationDeposit() external view returns (uint256)",
+    "function depositRefundVotes() external view returns (uint256)",
+    "function depositTreasury() external view returns (address)",
+    "function pendingWithdrawals(address) external view returns (uint256)",
+    "function multicall(bytes[] data) external returns (bytes[] results)",
+    "function nonces(address) external view returns (uint256)",
+    "function getPoll(uint256 _pollId) external view returns (uint256 id, string memory question, string[] memory options, uint256[] memory voteCounts, address creator, uint256 endTime, bool active, uint256 totalVotes)",
+    "function hasVoted(uint256 _pollId, address _voter) external view returns (bool)",
+    "function getActivePolls() external view returns (uint256[] memory)",
+    "function getPolls(uint256[] _pollIds) external view returns (tuple(uint256 id, string question, string[] options, uint256[] voteCounts, address creator, uint256 endTime, bool active, bool endedEarly, bool extended, uint256 totalVotes, uint256 voterCount, tuple(uint256 startTime, bytes32 metadataHash, bool restricted, bytes32 merkleRoot, bool secret, uint256 revealEndTime, uint8 strategy, address token, uint256 snapshotBlock, uint256 credits, uint8 ballot, uint256 quorum, uint8 tieBreak, bool allowVoteChange) config, bool hasVoted, uint256 voterChoice, bool isEligible, bool hasRevealed, uint256 votingPower, tuple(uint256[] winners, uint256 winningVotes, bool tie, bool hasWinner, uint256 winner, uint256 turnout, uint256 totalVotes, bool quorumMet) results, uint256 carriedWeight, address representedBy, uint8 moderation, uint256 deposit, uint256 refundVotes, uint256 minSelections, uint256 maxSelections)[])",
+    "function getPollRange(uint256 _offset, uint256 _limit) external view returns (tuple(uint256 id, string question, string[] options, uint256[] voteCounts, address creator, uint256 endTime, bool active, bool endedEarly, bool extended, uint256 totalVotes, uint256 voterCount, tuple(uint256 startTime, bytes32 metadataHash, bool restricted, bytes32 merkleRoot, bool secret, uint256 revealEndTime, uint8 strategy, address token, uint256 snapshotBlock, uint256 credits, uint8 ballot, uint256 quorum, uint8 tieBreak, bool allowVoteChange) config, bool hasVoted, uint256 voterChoice, bool isEligible, bool hasRevealed, uint256 votingPower, tuple(uint256[] winners, uint256 winningVotes, bool tie, bool hasWinner, uint256 winner, uint256 turnout, uint256 totalVotes, bool quorumMet) results, uint256 carriedWeight, address representedBy, uint8 moderation, uint256 deposit, uint256 refundVotes, uint256 minSelections, uint256 maxSelections)[])",
+    "function getRankedResults(uint256 _pollId) external view returns (uint256[][] rounds, uint256[] eliminated, uint256 winner)",
+    "function getResults(uint256 _pollId) external view returns (tuple(uint256[] winners, uint256 winningVotes, bool tie, bool hasWinner, uint256 winner, uint256 turnout, uint256 totalVotes, bool quorumMet))",
+    "function getWinner(uint256 _pollId) external view returns (uint256 winningOption, string winningOptionText, uint256 winningVoteCount)",
+    "function pollCount() external view returns (uint256)",
+    "function voteDelegates(address) external view returns (address)",
+    "function getDelegate(uint256 _pollId, address _voter) external view returns (address)",
+    "function getVotingPower(uint256 _pollId, address _voter) external view returns (uint256)",
+    "event PollCreated(uint256 indexed pollId, string question, address creator, uint256 endTime)",
+    "event VoteCast(uint256 indexed pollId, address indexed voter, uint256 optionIndex)",
+    "event PollEnded(uint256 indexed pollId)",
+    "event VoteCommitted(uint256 indexed pollId, address indexed voter)",
+    "event QuadraticVoteCast(uint256 indexed pollId, address indexed voter, uint256[] votes)",
+    "event RankedVoteCast(uint256 indexed pollId, address indexed voter, uint256[] ranking)",
+    "event ApprovalVoteCast(uint256 indexed pollId, address indexed voter, uint256 selection)",
+    "event TieBroken(uint256 indexed pollId, uint256 optionIndex)",
+    "event VoteChanged(uint256 indexed pollId, address indexed voter, uint256 previousOption, uint256 optionIndex)",
+    "event VoteRetracted(uint256 indexed pollId, address indexed voter, uint256 previousOption)",
+    "event PollExtended(uint256 indexed pollId, uint256 endTime)",
+    "event VoteDelegated(address indexed delegator, address indexed delegate)",
+    "event PollVoteDelegated(uint256 indexed pollId, address indexed delegator, address indexed delegate)",
+    "event DelegatedVoteCast(uint256 indexed pollId, address indexed delegate, address indexed delegator, uint256 weight)",
+    "event PollModerated(uint256 indexed pollId, uint8 status, string reason)",
+    "event PausedChanged(bool paused)",
+    "event CreatorAllowlistChanged(bool enabled)",
+    "event DepositSettingsChanged(uint256 amount, uint256 refundVotes, address treasury)",
+    "event DepositSettled(uint256 indexed pollId, address indexed recipient, uint256 amount, bool refunded)",
+    "event Withdrawal(address indexed account, uint256 amount)",
+    "error PollNotFound(uint256 pollId)",
+    "error PollNotStarted(uint256 pollId, uint256 startTime)",
+    "error PollClosed(uint256 pollId)",
+    "error VotingStillOpen(uint256 pollId, uint256 closesAt)",
+    "error RevealPeriodEnded(uint256 pollId, uint256 revealEndTime)",
+    "error NotCreator(uint256 pollId, address creator)",
+    "error AlreadyVoted(uint256 pollId, address voter)",
+    "error NotVoted(uint256 pollId, address voter)",
+    "error NotEligible(uint256 pollId, address voter)",
+    "error InvalidProof(uint256 pollId, address voter)",
+    "error NoVotingPower(uint256 pollId, address voter)",
+    "error InvalidOption(uint256 pollId, uint256 optionIndex)",
+    "error SameOption(uint256 pollId, uint256 optionIndex)",
+    "error InvalidBallot(uint256 pollId)",
+    "error NotEnoughCredits(uint256 pollId, uint256 cost, uint256 credits)",
+    "error WrongBallotType(uint256 pollId)",
+    "error ActionNotAllowed(uint256 pollId)",
+    "error AlreadyRevealed(uint256 pollId, address voter)",
+    "error CommitmentMismatch(uint256 pollId, address voter)",
+    "error VoteNotRevealed(uint256 pollId, address voter)",
+    "error AlreadyExtended(uint256 pollId)",
+    "error TieAlreadyBroken(uint256 pollId)",
+    "error NotTied(uint256 pollId, uint256 optionIndex)",
+    "error NoVotesCast(uint256 pollId)",
+    "error QuorumNotMet(uint256 pollId, uint256 turnout, uint256 quorum)",
+    "error PollTied(uint256 pollId)",
+    "error SignatureExpired(uint256 deadline)",
+    "error InvalidSignature(address voter)",
+    "error EmptyQuestion()",
+    "error InvalidOptionCount(uint256 count)",
+    "error EmptyOption(uint256 index)",
+    "error InvalidDuration(uint256 durationInMinutes)",
+    "error StartTimeInPast(uint256 startTime)",
+    "error InvalidToken(address token)",
+    "error InvalidCredits()",
+    "error UnsupportedSettings()",
+    "error InvalidSelectionLimits(uint256 minSelections, uint256 maxSelections)",
+    "error SelectionOutOfRange(uint256 pollId, uint256 selected, uint256 minSelections, uint256 maxSelections)",
+    "error DelegationCycle(address delegator, address delegate)",
+    "error DelegationTooLong(address delegate)",
+    "error PollCancelled(uint256 pollId)",
+    "error VotingPaused()",
+    "error NotPollCreator(address account)",
+    "error EmptyReason()",
+    "error WrongDeposit(uint256 sent, uint256 required)",
+    "error NoDeposit(uint256 pollId)",
+    "error InvalidTreasury()",
+    "error NothingToWithdraw(address account)",
+    "error TransferFailed(address account)"
+  ];
+}
+
+export { deployments, contractABI };
+
+// For decoding reverts that arrive as raw return data
+export const contractInterface = new ethers.Interface(contractABI);
+
+// Voting proxy deployed on a chain, if any
+export function getContractAddress(chainId) {
+  const deployment = deployments[chainId.toString()];
+  return deployment ? deployment.Voting : null;
+}
+
+// First block to scan for a deployment's events
+export function getStartBlock(chainId) {
+  const deployment = deployments[chainId.toString()];
+  return deployment && deployment.startBlock ? deployment.startBlock : 0;
+}
+
+// Mock vote token deployed alongside local deployments, if any
+export function getMockToken(chainId) {
+  const deployment = chainId && deployments[chainId.toString()];
+  return deployment ? deployment.MockERC20 : undefined;
+}
+
+// The chain offered by the wrong-network banner: REACT_APP_CHAIN_ID if set,
+// otherwise the first chain with a deployment
+export function getTargetChainId() {
+  const configured = Number(process.env.REACT_APP_CHAIN_ID);
+  if (configured && getContractAddress(configured)) return configured;
+  const [first] = Object.keys(deployments);
+  return first ? Number(first) : null;
+}
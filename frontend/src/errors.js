@@ -0,0 +1,109 @@
+// Friendly messages for the Voting contract's custom errors. A revert is
+// decoded from the ethers error when the call went through a Contract, from
+// its raw return data otherwise, or from a bare error name such as the
+// relayer reports. Messages must cope with missing arguments for that last
+// case.
+
+const formatTime = (timestamp) => new Date(Number(timestamp) * 1000).toLocaleString();
+
+const MESSAGES = {
+  PollNotFound: ({ pollId }) => (pollId !== undefined ? `Poll #${pollId} does not exist` : 'This poll does not exist'),
+  PollNotStarted: ({ startTime }) => (startTime !== undefined ? `This poll opens ${formatTime(startTime)}` : 'This poll has not opened yet'),
+  PollClosed: () => 'This poll has ended',
+  VotingStillOpen: ({ closesAt }) => (closesAt !== undefined ? `Voting is open until ${formatTime(closesAt)}` : 'Voting is still open'),
+  RevealPeriodEnded: () => 'The reveal period has ended',
+  NotCreator: () => 'Only the poll creator can do that',
+  AlreadyVoted: () => 'This account has already voted on this poll',
+  NotVoted: () => 'This account has not voted on this poll',
+  NotEligible: () => 'This account is not on the poll\'s voter list',
+  InvalidProof: () => 'This account\'s allowlist proof does not match the poll',
+  NoVotingPower: () => 'This account has no voting power in this poll',
+  InvalidOption: ({ optionIndex }) => (optionIndex !== undefined ? `Option ${Number(optionIndex) + 1} does not exist` : 'That option does not exist'),
+  SameOption: () => 'Your vote is already on that option',
+  InvalidBallot: () => 'The ballot is incomplete or malformed',
+  NotEnoughCredits: ({ cost, credits }) => (
+    cost !== undefined ? `That allocation costs ${cost} credits but the budget is ${credits}` : 'Not enough credits for that allocation'
+  ),
+  WrongBallotType: () => 'This poll uses a different kind of ballot',
+  ActionNotAllowed: () => 'This poll\'s settings do not allow that',
+  AlreadyRevealed: () => 'This vote has already been revealed',
+  CommitmentMismatch: () => 'The saved ballot does not match the committed vote',
+  VoteNotRevealed: () => 'This vote has not been revealed',
+  AlreadyExtended: () => 'This poll has already been extended once',
+  TieAlreadyBroken: () => 'The tie has already been broken',
+  NotTied: () => 'That option is not tied for first',
+  NoVotesCast: () => 'No votes have been cast',
+  QuorumNotMet: ({ turnout, quorum }) => (
+    quorum !== undefined ? `Quorum not met (${turnout} of ${quorum})` : 'Quorum not met'
+  ),
+  PollTied: () => 'The poll is tied',
+  SignatureExpired: () => 'The signed ballot has expired; please vote again',
+  InvalidSignature: () => 'The ballot signature is invalid',
+  EmptyQuestion: () => 'The question cannot be empty',
+  InvalidOptionCount: () => 'A poll needs between 2 and 10 options',
+  EmptyOption: ({ index }) => (index !== undefined ? `Option ${Number(index) + 1} cannot be empty` : 'Options cannot be empty'),
+  InvalidDuration: () => 'Durations must be between 1 minute and 7 days',
+  StartTimeInPast: () => 'The start time is in the past',
+  InvalidToken: () => 'The vote token must be a deployed contract',
+  InvalidCredits: () => 'Quadratic polls need a positive credit budget',
+  UnsupportedSettings: () => 'Those poll settings cannot be combined',
+  InvalidSelectionLimits: () => 'Approval polls need at least 1 pick, and no more picks than options',
+  SelectionOutOfRange: ({ minSelections, maxSelections }) => (
+    minSelections !== undefined ? `Pick between ${minSelections} and ${maxSelections} options` : 'That is the wrong number of options'
+  ),
+  DelegationCycle: () => 'That delegation would lead back to you',
+  DelegationTooLong: () => 'That delegate\'s delegation chain is too long',
+  PollCancelled: () => 'This poll was cancelled by a moderator',
+  VotingPaused: () => 'Voting and poll creation are paused',
+  NotPollCreator: () => 'Only approved poll creators can create polls',
+  EmptyReason: () => 'Give a reason for the moderation',
+  WrongDeposit: () => 'The poll deposit has changed. Reload and try again',
+  NoDeposit: () => 'This poll has no deposit left to settle',
+  InvalidTreasury: () => 'Enter a treasury address for forfeited deposits',
+  NothingToWithdraw: () => 'There is nothing to withdraw',
+  TransferFailed: () => 'The withdrawal could not be sent to this account'
+};
+
+function revertData(error) {
+  // Wallets nest the JSON-RPC error, and with it the return data
+  const candidates = [error.data, error.error && error.error.data, error.info && error.info.error && error.info.error.data];
+  return candidates.find(data => typeof data === 'string' && data.startsWith('0x'));
+}
+
+// Resolves an error to { name, args } for a contract revert, or null
+export function decodeError(error, iface) {
+  if (!error) return null;
+  if (error.revert) {
+    return { name: error.revert.name, args: error.revert.args };
+  }
+
+  const data = revertData(error);
+  if (data && iface) {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) return { name: parsed.name, args: parsed.args };
+    } catch (e) {
+      // Not one of ours, fall through
+    }
+  }
+
+  if (error.reason && MESSAGES[error.reason]) {
+    return { name: error.reason, args: {} };
+  }
+  return null;
+}
+
+// A message for the user: the decoded revert, a wallet rejection, or the
+// error's own reason, else `fallback`
+export function describeError(error, iface, fallback = 'Transaction failed') {
+  if (error && error.code === 'ACTION_REJECTED') return 'Rejected in wallet';
+
+  const decoded = decodeError(error, iface);
+  if (decoded) {
+    if (MESSAGES[decoded.name]) return MESSAGES[decoded.name](decoded.args || {});
+    // Error(string) from a require, e.g. in OpenZeppelin code
+    if (decoded.name === 'Error') return decoded.args[0];
+    return decoded.name;
+  }
+  return (error && error.reason) || fallback;
+}
@@ -0,0 +1,60 @@
+// Live poll updates. Where the node supports log filters (eth_newFilter),
+// the contract's events arrive through a subscription; otherwise each new
+// block is scanned for the contract's logs. Either way the listener is
+// called with the ids of the polls that changed.
+
+async function supportsFilters(provider, address) {
+  try {
+    const filterId = await provider.send('eth_newFilter', [{ address }]);
+    await provider.send('eth_uninstallFilter', [filterId]);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function pollIdsOf(contract, logs) {
+  const ids = new Set();
+  logs.forEach((log) => {
+    const event = contract.interface.parseLog(log);
+    if (event && event.fragment.inputs.some(input => input.name === 'pollId')) {
+      ids.add(Number(event.args.pollId));
+    }
+  });
+  return [...ids];
+}
+
+// Resolves to { mode, stop } once watching, where mode is 'subscription'
+// or 'polling'
+export async function watchPolls(contract, onChange) {
+  const provider = contract.runner.provider;
+  const address = await contract.getAddress();
+
+  if (await supportsFilters(provider, address)) {
+    const listener = (payload) => {
+      const ids = pollIdsOf(contract, [payload.log]);
+      if (ids.length > 0) onChange(ids);
+    };
+    await contract.on('*', listener);
+    return { mode: 'subscription', stop: () => contract.off('*', listener) };
+  }
+
+  let nextBlock = (await provider.getBlockNumber()) + 1;
+  const onBlock = async (blockNumber) => {
+    if (blockNumber < nextBlock) return;
+    const fromBlock = nextBlock;
+    nextBlock = blockNumber + 1;
+
+    try {
+      const logs = await provider.getLogs({ address, fromBlock, toBlock: blockNumber });
+      const ids = pollIdsOf(contract, logs);
+      if (ids.length > 0) onChange(ids);
+    } catch (error) {
+      // Retry the same range on the next block
+      console.warn('Error reading poll events:', error);
+      nextBlock = Math.min(nextBlock, fromBlock);
+    }
+  };
+  await provider.on('block', onBlock);
+  return { mode: 'polling', stop: () => provider.off('block', onBlock) };
+}
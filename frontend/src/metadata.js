@@ -0,0 +1,99 @@
+import { ethers } from 'ethers';
+
+// Off-chain poll metadata. Polls store only the keccak256 hash of a JSON
+// document with a description, category, tags and link. Documents are
+// served as <METADATA_URL>/<hash>.json (public/metadata in development) and
+// are checked against the on-chain hash before they are shown.
+
+export const METADATA_URL = (process.env.REACT_APP_METADATA_URL || '/metadata').replace(/\/+$/, '');
+
+const MAX_TAGS = 10;
+const cache = new Map();
+
+// Canonical document for the given fields, with its content hash. Keys are
+// always written in the same order so the same fields give the same hash.
+export function buildMetadata({ description, category, tags, link }) {
+  const document = {
+    version: 1,
+    description: description.trim(),
+    category: category.trim(),
+    tags: [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))].slice(0, MAX_TAGS),
+    link: link.trim()
+  };
+
+  if (document.link && !/^https?:\/\//i.test(document.link)) {
+    throw new Error('Link must start with http:// or https://');
+  }
+
+  const json = JSON.stringify(document);
+  return { document, json, hash: ethers.keccak256(ethers.toUtf8Bytes(json)) };
+}
+
+export function hasMetadata(hash) {
+  return !!hash && hash !== ethers.ZeroHash;
+}
+
+// Store a document on the metadata host. The development server accepts
+// uploads (see setupProxy.js); static hosts don't, so this resolves to false
+// and the creator has to publish the file themselves.
+export async function publishMetadata({ json, hash }) {
+  try {
+    const response = await fetch(`${METADATA_URL}/${hash}.json`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: json
+    });
+    return response.ok;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Fetch and verify the document for a content hash. Resolves to null when
+// the document can't be found; rejects when it doesn't match the hash.
+export function fetchMetadata(hash) {
+  if (!cache.has(hash)) {
+    const request = loadMetadata(hash).catch((error) => {
+      cache.delete(hash);
+      throw error;
+    });
+    cache.set(hash, request);
+  }
+  return cache.get(hash);
+}
+
+async function loadMetadata(hash) {
+  let response;
+  try {
+    response = await fetch(`${METADATA_URL}/${hash}.json`);
+  } catch (error) {
+    return null;
+  }
+  // Dev servers answer unknown paths with index.html, so check the type too
+  const type = response.headers.get('Content-Type') || '';
+  if (!response.ok || !type.includes('json')) return null;
+
+  const json = await response.text();
+  if (ethers.keccak256(ethers.toUtf8Bytes(json)) !== hash.toLowerCase()) {
+    throw new Error("Metadata doesn't match the poll's content hash");
+  }
+
+  const document = JSON.parse(json);
+  return {
+    description: typeof document.description === 'string' ? document.description : '',
+    category: typeof document.category === 'string' ? document.category : '',
+    tags: Array.isArray(document.tags) ? document.tags.filter(tag => typeof tag === 'string') : [],
+    // Only web links are rendered, whatever the document says
+    link: typeof document.link === 'string' && /^https?:\/\//i.test(document.link) ? document.link : ''
+  };
+}
+
+// Save a document as <hash>.json so the creator can publish it by hand
+export function downloadMetadata({ json, hash }) {
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${hash}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,95 @@
+import { ethers } from 'ethers';
+
+// Admin controls: roles, the emergency pause, the poll-creator allowlist,
+// the poll creation deposit and poll moderation. Moderation reasons only
+// live in PollModerated events, so they are rebuilt from the logs; the
+// latest event for a poll wins.
+
+const DEFAULT_CHUNK_SIZE = 5000;
+
+// Moderation states, matching Voting.ModerationStatus
+export const MODERATION = {
+  NONE: 0,
+  HIDDEN: 1,
+  CANCELLED: 2
+};
+
+// AccessControl role ids: the admin role is the zero hash
+export const ROLES = {
+  ADMIN: ethers.ZeroHash,
+  POLL_CREATOR: ethers.id('POLL_CREATOR_ROLE')
+};
+
+// What the connected account may do, whether the contract is paused, the
+// deposit (in wei) new polls need and what the account can withdraw
+export function emptyAccess() {
+  return {
+    paused: false,
+    creatorAllowlist: false,
+    isAdmin: false,
+    isPollCreator: false,
+    deposit: { amount: 0n, refundVotes: 0, treasury: ethers.ZeroAddress },
+    withdrawable: 0n
+  };
+}
+
+export async function fetchAccess(contract, account) {
+  const [paused, creatorAllowlist, isAdmin, isPollCreator, amount, refundVotes, treasury, withdrawable] = await Promise.all([
+    contract.paused(),
+    contract.creatorAllowlistEnabled(),
+    account ? contract.hasRole(ROLES.ADMIN, account) : false,
+    account ? contract.hasRole(ROLES.POLL_CREATOR, account) : false,
+    contract.creationDeposit(),
+    contract.depositRefundVotes(),
+    contract.depositTreasury(),
+    account ? contract.pendingWithdrawals(account) : 0n
+  ]);
+  return {
+    paused,
+    creatorAllowlist,
+    isAdmin,
+    isPollCreator,
+    deposit: { amount, refundVotes: Number(refundVotes), treasury },
+    withdrawable
+  };
+}
+
+// Whether the account may create polls right now
+export function canCreatePolls(access) {
+  return !access.paused && (!access.creatorAllowlist || access.isPollCreator);
+}
+
+// Map of poll id to { status, reason, blockNumber, transactionHash } for
+// every poll that has been moderated, including restored ones
+export async function fetchModerationLog(contract, {
+  fromBlock = 0,
+  chunkSize = DEFAULT_CHUNK_SIZE
+} = {}) {
+  const provider = contract.runner.provider;
+  const address = await contract.getAddress();
+  const latestBlock = await provider.getBlockNumber();
+  const topic = contract.interface.getEvent('PollModerated').topicHash;
+
+  const log = new Map();
+  for (let start = fromBlock; start <= latestBlock; start += chunkSize) {
+    const logs = await provider.getLogs({
+      address,
+      topics: [topic],
+      fromBlock: start,
+      toBlock: Math.min(start + chunkSize - 1, latestBlock)
+    });
+
+    for (const entry of logs) {
+      const event = contract.interface.parseLog(entry);
+      if (!event) continue;
+      log.set(Number(event.args.pollId), {
+        status: Number(event.args.status),
+        reason: event.args.reason,
+        blockNumber: entry.blockNumber,
+        transactionHash: entry.transactionHash
+      });
+    }
+  }
+
+  return log;
+}
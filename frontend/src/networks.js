@@ -0,0 +1,97 @@
+import { ethers } from 'ethers';
+
+// Chains the app knows how to add to a wallet, keyed by chainId. These match
+// the networks in hardhat.config.js.
+
+const SHM = { name: 'Shardeum', symbol: 'SHM', decimals: 18 };
+
+export const NETWORKS = {
+  8082: {
+    chainName: 'Shardeum Sphinx Testnet',
+    rpcUrls: ['https://sphinx.shardeum.org/'],
+    nativeCurrency: SHM,
+    blockExplorerUrls: ['https://explorer-sphinx.shardeum.org/']
+  },
+  8118: {
+    chainName: 'Shardeum',
+    rpcUrls: ['https://api.shardeum.org/'],
+    nativeCurrency: SHM,
+    blockExplorerUrls: ['https://explorer.shardeum.org/']
+  },
+  31337: {
+    chainName: 'Hardhat Local',
+    rpcUrls: ['http://127.0.0.1:8545'],
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }
+  }
+};
+
+// JSON-RPC endpoint used to browse polls without a wallet
+export const READ_RPC_URL = process.env.REACT_APP_RPC_URL || 'http://127.0.0.1:8545';
+
+export function getNetworkName(chainId) {
+  const network = NETWORKS[chainId];
+  return network ? network.chainName : `chain ${chainId}`;
+}
+
+// Symbol of the chain's native currency, which poll deposits are paid in
+export function getCurrencySymbol(chainId) {
+  const network = NETWORKS[chainId];
+  return network ? network.nativeCurrency.symbol : 'ETH';
+}
+
+// Block explorer page for a transaction, or null on chains without one
+export function getTxUrl(chainId, hash) {
+  const network = NETWORKS[chainId];
+  if (!network || !network.blockExplorerUrls) return null;
+  return `${network.blockExplorerUrls[0].replace(/\/+$/, '')}/tx/${hash}`;
+}
+
+// Parameters for wallet_addEthereumChain (EIP-3085)
+export function getChainParams(chainId) {
+  const network = NETWORKS[chainId];
+  if (!network) return null;
+  return { chainId: `0x${Number(chainId).toString(16)}`, ...network };
+}
+
+// Ask the wallet to switch chains, adding the chain first if it doesn't know it
+export async function switchChain(ethereum, chainId) {
+  const hexChainId = `0x${Number(chainId).toString(16)}`;
+  try {
+    await ethereum.request({
+      method: 'wallet_switchEthereumChain',
+      params: [{ chainId: hexChainId }]
+    });
+  } catch (error) {
+    // 4902: the wallet does not have this chain yet
+    const params = getChainParams(chainId);
+    if (error.code !== 4902 || !params) throw error;
+    await ethereum.request({
+      method: 'wallet_addEthereumChain',
+      params: [params]
+    });
+  }
+}
+
+// Connect to a JSON-RPC endpoint for read-only access. The chainId is probed
+// once up front so an unreachable node fails fast instead of ethers retrying
+// network detection forever; a node that answers the probe with an error or
+// no usable chainId is rejected the same way.
+export async function createReadProvider(url = READ_RPC_URL) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] })
+  });
+  if (!response.ok) {
+    throw new Error(`${url} answered eth_chainId with HTTP ${response.status}`);
+  }
+  const { result, error } = await response.json();
+  if (error) {
+    throw new Error(`${url} failed eth_chainId: ${error.message || JSON.stringify(error)}`);
+  }
+  const chainId = Number(result);
+  if (!Number.isSafeInteger(chainId) || chainId <= 0) {
+    throw new Error(`${url} returned an invalid chainId: ${result}`);
+  }
+  return new ethers.JsonRpcProvider(url, chainId, { staticNetwork: true });
+}
@@ -0,0 +1,101 @@
+// Search, filter, view and sort state for the poll list, kept in the URL
+// query string so a view can be shared: ?q=rust&status=active&view=mine&sort=ending
+
+export const STATUS_FILTERS = ['all', 'upcoming', 'active', 'ended'];
+export const VIEWS = ['all', 'mine', 'voted'];
+export const SORTS = ['newest', 'ending', 'votes'];
+
+export const DEFAULT_QUERY = {
+  q: '',
+  status: 'all',
+  view: 'all',
+  sort: 'newest',
+  category: ''
+};
+
+function oneOf(value, allowed) {
+  return allowed.includes(value) ? value : allowed[0];
+}
+
+export function parseQuery(search) {
+  const params = new URLSearchParams(search);
+  return {
+    q: params.get('q') || '',
+    status: oneOf(params.get('status'), STATUS_FILTERS),
+    view: oneOf(params.get('view'), VIEWS),
+    sort: oneOf(params.get('sort'), SORTS),
+    category: params.get('category') || ''
+  };
+}
+
+// Query string for a query, leaving out defaults ('' when everything is default)
+export function toSearch(query) {
+  const params = new URLSearchParams();
+  Object.keys(DEFAULT_QUERY).forEach((key) => {
+    if (query[key] && query[key] !== DEFAULT_QUERY[key]) {
+      params.set(key, query[key]);
+    }
+  });
+  const search = params.toString();
+  return search ? `?${search}` : '';
+}
+
+export function isDefaultQuery(query) {
+  return toSearch(query) === '';
+}
+
+// Every word of the search must appear in the question or one of the options
+function matchesSearch(poll, q) {
+  const words = q.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+  const text = [poll.question, ...poll.options].join('\n').toLowerCase();
+  return words.every(word => text.includes(word));
+}
+
+function matchesStatus(poll, status) {
+  if (status === 'upcoming') return poll.upcoming;
+  if (status === 'active') return poll.active;
+  if (status === 'ended') return !poll.active && !poll.upcoming;
+  return true;
+}
+
+function matchesView(poll, view, account) {
+  if (view === 'mine') return !!account && poll.creator.toLowerCase() === account.toLowerCase();
+  if (view === 'voted') return !!account && poll.hasVoted;
+  return true;
+}
+
+function matchesCategory(poll, category) {
+  return !category || (!!poll.metadata && poll.metadata.category === category);
+}
+
+// Open polls first, soonest deadline first; then upcoming polls by start
+// time; then ended polls, most recently ended first
+function endingRank(poll) {
+  if (poll.active) return [0, poll.endTime];
+  if (poll.upcoming) return [1, poll.startTime];
+  return [2, -poll.endTime];
+}
+
+const comparators = {
+  newest: (a, b) => b.id - a.id,
+  ending: (a, b) => {
+    const [groupA, timeA] = endingRank(a);
+    const [groupB, timeB] = endingRank(b);
+    return groupA - groupB || timeA - timeB || b.id - a.id;
+  },
+  // Ballot counts rather than weighted totals, so token-weighted and
+  // quadratic polls compare fairly with equal ones
+  votes: (a, b) => b.voterCount - a.voterCount || b.id - a.id
+};
+
+export function applyQuery(polls, query, account) {
+  return polls
+    .filter(poll =>
+      matchesSearch(poll, query.q) &&
+      matchesStatus(poll, query.status) &&
+      matchesView(poll, query.view, account) &&
+      matchesCategory(poll, query.category)
+    )
+    .sort(comparators[query.sort]);
+}
@@ -0,0 +1,238 @@
+import { ethers } from 'ethers';
+import { BALLOT_TYPES, toWeight } from './strategies';
+
+// Client-side poll store backed by the contract's paginated views.
+//
+// The first sync pages through getPollRange. After that the store reads
+// PollCreated, PollEnded, PollModerated, DepositSettled and vote event logs
+// since the last block it has seen and refreshes only the polls those
+// events touched, in getPolls batches. Live updates (see liveUpdates.js)
+// re-read single polls with update(). Summaries leave out the outcome of
+// ranked polls, so the list carries only their first choices; fetchPoll adds
+// the instant-runoff rounds and outcome when a poll is opened.
+
+const DEFAULT_CHUNK_SIZE = 5000;
+const DEFAULT_PAGE_SIZE = 50;
+const INDEXED_EVENTS = [
+  'PollCreated',
+  'VoteCast',
+  'QuadraticVoteCast',
+  'RankedVoteCast',
+  'ApprovalVoteCast',
+  'PollEnded',
+  'VoteCommitted',
+  'TieBroken',
+  'VoteChanged',
+  'VoteRetracted',
+  'PollExtended',
+  'DelegatedVoteCast',
+  'PollModerated',
+  'DepositSettled'
+];
+
+function toPoll(summary) {
+  const { config } = summary;
+  const strategy = Number(config.strategy);
+  return {
+    id: Number(summary.id),
+    question: summary.question,
+    metadataHash: config.metadataHash,
+    options: [...summary.options],
+    voteCounts: summary.voteCounts.map(v => toWeight(v, strategy)),
+    voterCount: Number(summary.voterCount),
+    creator: summary.creator,
+    startTime: Number(config.startTime),
+    endTime: Number(summary.endTime),
+    extended: summary.extended,
+    closed: summary.endedEarly,
+    hasVoted: summary.hasVoted,
+    voterChoice: Number(summary.voterChoice),
+    restricted: config.restricted,
+    merkleRoot: config.merkleRoot,
+    isEligible: summary.isEligible,
+    secret: config.secret,
+    revealEndTime: Number(config.revealEndTime),
+    hasRevealed: summary.hasRevealed,
+    strategy,
+    token: config.token,
+    credits: Number(config.credits),
+    votingPower: toWeight(summary.votingPower, strategy),
+    ballot: Number(config.ballot),
+    quorum: Number(config.quorum),
+    tieBreak: Number(config.tieBreak),
+    allowVoteChange: config.allowVoteChange,
+    results: toResults(summary.results),
+    carriedWeight: toWeight(summary.carriedWeight, strategy),
+    representedBy: summary.representedBy === ethers.ZeroAddress ? null : summary.representedBy,
+    moderation: Number(summary.moderation),
+    deposit: summary.deposit,
+    refundVotes: Number(summary.refundVotes),
+    minSelections: Number(summary.minSelections),
+    maxSelections: Number(summary.maxSelections),
+    runoff: null
+  };
+}
+
+function toResults(results) {
+  return {
+    winners: results.winners.map(Number),
+    tie: results.tie,
+    hasWinner: results.hasWinner,
+    winner: Number(results.winner),
+    turnout: Number(results.turnout),
+    quorumMet: results.quorumMet
+  };
+}
+
+function toRunoff([rounds, eliminated, winner], strategy) {
+  return {
+    rounds: rounds.map(round => round.map(v => toWeight(v, strategy))),
+    eliminated: eliminated.map(Number),
+    winner: Number(winner)
+  };
+}
+
+
+// Upcoming polls open and active polls close by the clock, without an
+// event, so these flags are re-derived whenever a start or end time passes
+export function withClock(poll, now = Math.floor(Date.now() / 1000)) {
+  return {
+    ...poll,
+    active: !poll.closed && now >= poll.startTime && now < poll.endTime,
+    upcoming: !poll.closed && now < poll.startTime
+  };
+}
+
+// The shape the UI expects
+function toView(poll, now) {
+  return withClock({
+    ...poll,
+    voteCounts: [...poll.voteCounts],
+    totalVotes: poll.voteCounts.reduce((a, b) => a + b, 0)
+  }, now);
+}
+
+// Swap updated polls into a newest-first list, adding new ones. Untouched
+// polls keep their identity.
+export function mergePolls(current, updated) {
+  const byId = new Map(updated.map(poll => [poll.id, poll]));
+  const merged = current.map(poll => byId.get(poll.id) || poll);
+  const known = new Set(current.map(poll => poll.id));
+  updated.forEach((poll) => {
+    if (!known.has(poll.id)) merged.push(poll);
+  });
+  return merged.sort((a, b) => b.id - a.id);
+}
+
+// Read a single poll without syncing the whole list, e.g. for a deep link.
+// Rejects with the PollNotFound custom error for unknown ids.
+export async function fetchPoll(contract, pollId) {
+  const blockTag = await contract.runner.provider.getBlockNumber();
+  const [summary] = await contract.getPolls([pollId], { blockTag });
+  const poll = toPoll(summary);
+  if (poll.ballot === BALLOT_TYPES.RANKED) {
+    const [runoff, results] = await Promise.all([
+      contract.getRankedResults(pollId, { blockTag }),
+      contract.getResults(pollId, { blockTag })
+    ]);
+    poll.runoff = toRunoff(runoff, poll.strategy);
+    poll.results = toResults(results);
+  }
+  return toView(poll, Math.floor(Date.now() / 1000));
+}
+
+export function createPollStore(contract, {
+  chunkSize = DEFAULT_CHUNK_SIZE,
+  pageSize = DEFAULT_PAGE_SIZE
+} = {}) {
+  const polls = new Map();
+  const topics = INDEXED_EVENTS.map((name) => contract.interface.getEvent(name).topicHash);
+  let nextBlock = null;
+  let pendingSync = null;
+
+  const storeSummaries = (summaries) => {
+    for (const summary of summaries) {
+      const poll = toPoll(summary);
+      polls.set(poll.id, poll);
+    }
+  };
+
+  // Initial load: page through every poll as of a single block
+  const loadAll = async (blockTag) => {
+    const pollCount = Number(await contract.pollCount({ blockTag }));
+    for (let offset = 0; offset < pollCount; offset += pageSize) {
+      storeSummaries(await contract.getPollRange(offset, pageSize, { blockTag }));
+    }
+  };
+
+  // Re-read the given polls in batches as of a single block
+  const refresh = async (pollIds, blockTag) => {
+    for (let i = 0; i < pollIds.length; i += pageSize) {
+      storeSummaries(await contract.getPolls(pollIds.slice(i, i + pageSize), { blockTag }));
+    }
+  };
+
+  const runSync = async () => {
+    const provider = contract.runner.provider;
+    const latestBlock = await provider.getBlockNumber();
+
+    if (nextBlock === null) {
+      await loadAll(latestBlock);
+      nextBlock = latestBlock + 1;
+      return;
+    }
+
+    const address = await contract.getAddress();
+    while (nextBlock <= latestBlock) {
+      const toBlock = Math.min(nextBlock + chunkSize - 1, latestBlock);
+      const logs = await provider.getLogs({
+        address,
+        topics: [topics],
+        fromBlock: nextBlock,
+        toBlock
+      });
+
+      const changed = new Set();
+      logs
+        .map(log => contract.interface.parseLog(log))
+        .filter(Boolean)
+        .forEach(event => changed.add(Number(event.args.pollId)));
+
+      await refresh([...changed], toBlock);
+      nextBlock = toBlock + 1;
+    }
+  };
+
+  // Fetch everything that changed since the last synced block. Concurrent
+  // callers share the same in-flight sync.
+  const sync = () => {
+    if (!pendingSync) {
+      pendingSync = runSync().finally(() => {
+        pendingSync = null;
+      });
+    }
+    return pendingSync;
+  };
+
+  // Re-read the given polls as of the latest block, e.g. when their events
+  // arrive. Resolves to their updated views.
+  const update = async (pollIds) => {
+    const blockTag = await contract.runner.provider.getBlockNumber();
+    await refresh(pollIds, blockTag);
+    const now = Math.floor(Date.now() / 1000);
+    return pollIds
+      .filter(id => polls.has(id))
+      .map(id => toView(polls.get(id), now));
+  };
+
+  // Build the poll list, newest first
+  const getPolls = () => {
+    const now = Math.floor(Date.now() / 1000);
+
+    return [...polls.values()]
+      .map(poll => toView(poll, now))
+      .sort((a, b) => b.id - a.id);
+  };
+
+  return { contract, sync, update, getPolls };
+}
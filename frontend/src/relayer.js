@@ -0,0 +1,110 @@
+import { isPublicSingleChoice } from './strategies';
+
+// Gasless voting through the ballot relayer (scripts/relayer.js). When
+// REACT_APP_RELAYER_URL is set, single-choice votes are signed as EIP-712
+// ballots and posted to the relayer, which submits them in batches and pays
+// the gas.
+
+export const RELAYER_URL = (process.env.REACT_APP_RELAYER_URL || '').replace(/\/+$/, '');
+
+// Matches Voting.BALLOT_TYPEHASH
+const BALLOT_TYPE = {
+  Ballot: [
+    { name: 'pollId', type: 'uint256' },
+    { name: 'optionIndex', type: 'uint256' },
+    { name: 'voter', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// How long a signed ballot stays valid, in seconds
+const SIGNATURE_TTL = 60 * 60;
+const STATUS_INTERVAL_MS = 2000;
+const STATUS_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Relayed votes go through voteBySig. A delegate's vote isn't relayed, as
+// their delegators are counted in the same transaction.
+export function canRelay(poll) {
+  return Boolean(RELAYER_URL) &&
+    isPublicSingleChoice(poll) &&
+    !(poll.delegators && poll.delegators.length > 0);
+}
+
+function relayerError(message) {
+  const error = new Error(message);
+  error.reason = message;
+  return error;
+}
+
+// Sign a ballot with the contract's signer and return the body for POST /ballots
+export async function signBallot(contract, pollId, optionIndex, proof) {
+  const signer = contract.runner;
+  const voter = await signer.getAddress();
+  const { chainId } = await signer.provider.getNetwork();
+
+  const domain = {
+    name: 'Voting',
+    version: '1',
+    chainId,
+    verifyingContract: await contract.getAddress()
+  };
+  const ballot = {
+    pollId,
+    optionIndex,
+    voter,
+    nonce: await contract.nonces(voter),
+    deadline: Math.floor(Date.now() / 1000) + SIGNATURE_TTL
+  };
+  const signature = await signer.signTypedData(domain, BALLOT_TYPE, ballot);
+
+  return { pollId, optionIndex, voter, deadline: ballot.deadline, signature, proof: proof || [] };
+}
+
+// Post a signed ballot and resolve to the relayer's ballot id
+export async function submitBallot(body) {
+  let response;
+  try {
+    response = await fetch(`${RELAYER_URL}/ballots`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  } catch (error) {
+    throw relayerError('Relayer is unreachable');
+  }
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw relayerError(data.error || 'Relayer rejected the ballot');
+  }
+  return data.id;
+}
+
+// Poll the relayer until the ballot is confirmed on-chain or fails
+export async function waitForBallot(id) {
+  const deadline = Date.now() + STATUS_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    const response = await fetch(`${RELAYER_URL}/ballots/${id}`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw relayerError(data.error || 'Relayer lost the ballot');
+    }
+    if (data.status === 'confirmed') return data;
+    if (data.status === 'failed') {
+      throw relayerError(data.error || 'Relayer failed to submit the ballot');
+    }
+    await new Promise(resolve => setTimeout(resolve, STATUS_INTERVAL_MS));
+  }
+  throw relayerError('Timed out waiting for the relayer');
+}
+
+// A submitted ballot in the shape txManager tracks: it has no hash of its
+// own, only the relayer's once its batch is mined
+export function relayedBallot(id) {
+  return {
+    hash: null,
+    wait: async () => ({ hash: (await waitForBallot(id)).txHash })
+  };
+}
@@ -0,0 +1,44 @@
+import { ethers } from 'ethers';
+import { STRATEGIES } from './strategies';
+import { exportedBallot, toCsv } from './ballotReplay.mjs';
+
+export { formatChoice, toCsv } from './ballotReplay.mjs';
+
+// Poll results as CSV or JSON downloads, formatted by the same code as
+// scripts/export.js: one row per ballot from the vote history, with the
+// raw on-chain weight it carries (token units for token-weighted polls).
+
+// Fill in the weight of ballots the events don't carry one for: a quadratic
+// ballot weighs the votes it allocates, anything else the voter's power
+async function withWeights(contract, poll, ballots) {
+  return Promise.all(ballots.map(async (ballot) => {
+    if (ballot.weight !== null) return ballot;
+    const weight = poll.strategy === STRATEGIES.QUADRATIC
+      ? ethers.toBigInt(ballot.choice.reduce((sum, votes) => sum + votes, 0))
+      : await contract.getVotingPower(poll.id, ballot.voter);
+    return { ...ballot, weight };
+  }));
+}
+
+export function toJson(poll, ballots) {
+  const report = {
+    poll: { id: poll.id, question: poll.question, options: poll.options },
+    ballots: ballots.map(ballot => exportedBallot(poll, ballot))
+  };
+  return JSON.stringify(report, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2) + '\n';
+}
+
+// Save a poll's ballots as poll-<id>.csv or poll-<id>.json
+export async function downloadResults(contract, poll, ballots, format) {
+  const weighted = await withWeights(contract, poll, ballots);
+  const [content, type] = format === 'csv'
+    ? [toCsv(poll, weighted), 'text/csv']
+    : [toJson(poll, weighted), 'application/json'];
+
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `poll-${poll.id}.${format}`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,53 @@
+import { useEffect, useState } from 'react';
+
+// Minimal client-side routing on the History API:
+//   /           poll list
+//   /poll/:id   poll detail page
+// Static hosts must serve index.html for unknown paths so deep links load.
+
+const ROUTE_CHANGE = 'votechain:navigate';
+
+export function matchRoute(pathname) {
+  const match = pathname.match(/^\/poll\/(\d+)\/?$/);
+  if (match) return { name: 'poll', pollId: Number(match[1]) };
+  return { name: 'home' };
+}
+
+export function navigate(to) {
+  window.history.pushState(null, '', to);
+  window.dispatchEvent(new Event(ROUTE_CHANGE));
+  window.scrollTo(0, 0);
+}
+
+export function useRoute() {
+  const [route, setRoute] = useState(() => matchRoute(window.location.pathname));
+
+  useEffect(() => {
+    const update = () => setRoute(matchRoute(window.location.pathname));
+    window.addEventListener('popstate', update);
+    window.addEventListener(ROUTE_CHANGE, update);
+    return () => {
+      window.removeEventListener('popstate', update);
+      window.removeEventListener(ROUTE_CHANGE, update);
+    };
+  }, []);
+
+  return route;
+}
+
+// An <a> that navigates in place, leaving modified clicks (new tab, etc.)
+// to the browser
+export function Link({ to, onClick, children, ...props }) {
+  const handleClick = (e) => {
+    if (onClick) onClick(e);
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  );
+}
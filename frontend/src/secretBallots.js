@@ -0,0 +1,57 @@
+import { ethers } from 'ethers';
+
+// Commit-reveal ballots. The salt never leaves this browser until the voter
+// reveals, so it is kept in localStorage per contract, poll and voter.
+
+const STORAGE_PREFIX = 'votechain:ballot:';
+
+function storageKey(contractAddress, pollId, voter) {
+  return `${STORAGE_PREFIX}${contractAddress.toLowerCase()}:${pollId}:${voter.toLowerCase()}`;
+}
+
+// Matches the commitment Voting.revealVote checks:
+// keccak256(abi.encode(pollId, voter, optionIndex, salt))
+export function sealBallot(pollId, voter, optionIndex) {
+  const salt = ethers.hexlify(ethers.randomBytes(32));
+  const commitment = ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ['uint256', 'address', 'uint256', 'bytes32'],
+      [pollId, voter, optionIndex, salt]
+    )
+  );
+  return { salt, commitment };
+}
+
+export function saveBallot(contractAddress, pollId, voter, ballot) {
+  localStorage.setItem(storageKey(contractAddress, pollId, voter), JSON.stringify(ballot));
+}
+
+export function loadBallot(contractAddress, pollId, voter) {
+  try {
+    const stored = localStorage.getItem(storageKey(contractAddress, pollId, voter));
+    return stored ? JSON.parse(stored) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+export function clearBallot(contractAddress, pollId, voter) {
+  localStorage.removeItem(storageKey(contractAddress, pollId, voter));
+}
+
+// 'commit' while voting is open, 'reveal' until revealEndTime, then 'closed'
+export function getBallotPhase(poll) {
+  const now = Math.floor(Date.now() / 1000);
+  if (poll.active || poll.upcoming) return 'commit';
+  if (now < poll.revealEndTime) return 'reveal';
+  return 'closed';
+}
+
+// Sealed votes this browser can still reveal
+export function needsReveal(poll) {
+  return poll.secret &&
+    poll.hasVoted &&
+    !poll.hasRevealed &&
+    !!poll.savedBallot &&
+    getBallotPhase(poll) === 'reveal';
+}
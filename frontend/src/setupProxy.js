@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Development-only metadata host, picked up by `npm start`. Documents PUT to
+// /metadata/<hash>.json are checked against their hash and written to
+// public/metadata, which the dev server already serves. Production builds
+// read metadata from REACT_APP_METADATA_URL instead.
+
+const METADATA_DIR = path.join(__dirname, '..', 'public', 'metadata');
+const MAX_BODY_BYTES = 16 * 1024;
+
+module.exports = function (app) {
+  app.put('/metadata/:file', (req, res) => {
+    const match = req.params.file.match(/^(0x[0-9a-f]{64})\.json$/);
+    if (!match) {
+      res.status(400).json({ error: 'Expected /metadata/<keccak256 hash>.json' });
+      return;
+    }
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        res.status(413).json({ error: 'Document too large' });
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (ethers.keccak256(ethers.toUtf8Bytes(body)) !== match[1]) {
+        res.status(422).json({ error: "Document doesn't match its hash" });
+        return;
+      }
+
+      fs.mkdirSync(METADATA_DIR, { recursive: true });
+      fs.writeFileSync(path.join(METADATA_DIR, req.params.file), body);
+      res.status(201).json({ hash: match[1] });
+    });
+  });
+};
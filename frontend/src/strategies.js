@@ -0,0 +1,86 @@
+import { ethers } from 'ethers';
+
+// Voting strategies, matching Voting.VotingStrategy. Token-weighted polls
+// count each voter's token votes at the poll's snapshot block; quadratic
+// polls give every voter a credit budget where n votes cost n*n credits.
+
+export const STRATEGIES = {
+  EQUAL: 0,
+  TOKEN_WEIGHTED: 1,
+  QUADRATIC: 2
+};
+
+// Ballot types, matching Voting.BallotType. Ranked ballots order every
+// option and are tallied by instant runoff; approval ballots select a set of
+// options, sent as a bitmask, and count for each of them.
+export const BALLOT_TYPES = {
+  SINGLE_CHOICE: 0,
+  RANKED: 1,
+  APPROVAL: 2
+};
+
+// Tie-break rules, matching Voting.TieBreak
+export const TIE_BREAKS = {
+  NONE: 0,
+  LISTED_FIRST: 1,
+  CREATOR_CASTS: 2
+};
+
+// Vote tokens are assumed to use 18 decimals; weights are shown in whole tokens
+const TOKEN_DECIMALS = 18;
+
+// Convert an on-chain weight to a plain number for display and percentages
+export function toWeight(value, strategy) {
+  return strategy === STRATEGIES.TOKEN_WEIGHTED
+    ? Number(ethers.formatUnits(value, TOKEN_DECIMALS))
+    : Number(value);
+}
+
+export function formatWeight(value) {
+  return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+export function weightUnit(strategy) {
+  return strategy === STRATEGIES.TOKEN_WEIGHTED ? 'tokens' : 'votes';
+}
+
+// What option shares are taken over. Approval ballots count for several
+// options each, so on equal-weight approval polls a share is of voters;
+// weighted approvals can only be shown as a share of all approvals.
+export function resultShare(poll, totalVotes) {
+  if (poll.ballot === BALLOT_TYPES.APPROVAL) {
+    return poll.strategy === STRATEGIES.EQUAL
+      ? { total: poll.voterCount, label: 'of voters' }
+      : { total: totalVotes, label: 'of approvals' };
+  }
+  return { total: totalVotes, label: '' };
+}
+
+// Credits spent by a quadratic allocation
+export function quadraticCost(allocation) {
+  return allocation.reduce((sum, votes) => sum + votes * votes, 0);
+}
+
+// Bitmask for an approval ballot: bit i selects option i
+export function selectionMask(indexes) {
+  return indexes.reduce((mask, index) => mask | (1 << index), 0);
+}
+
+// Option indexes selected by an approval bitmask, shared with the ballot replay
+export { selectedOptions } from './ballotReplay.mjs';
+
+// Move the item at `from` to position `to`, for reordering a ranking
+export function moveItem(items, from, to) {
+  const next = [...items];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+// A single option on a public ballot: the only kind of vote voteBySig and
+// castDelegatedVotes take
+export function isPublicSingleChoice(poll) {
+  return !poll.secret &&
+    poll.strategy !== STRATEGIES.QUADRATIC &&
+    poll.ballot === BALLOT_TYPES.SINGLE_CHOICE;
+}
@@ -0,0 +1,27 @@
+// Countdowns and duration labels shown on poll cards and forms
+
+// Countdown to the start of an upcoming poll, or to the end once it is open
+export function getTimeLeft(endTime, startTime = 0) {
+  const now = Math.floor(Date.now() / 1000);
+  if (now < startTime) return `Starts in ${formatCountdown(startTime - now)}`;
+
+  const diff = endTime - now;
+  if (diff <= 0) return 'Ended';
+  return `${formatCountdown(diff)} left`;
+}
+
+function formatCountdown(seconds) {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+
+// Label for a duration preset: 30m, 1h, 24h
+export function formatMinutes(mins) {
+  return mins < 60 ? `${mins}m` : `${mins / 60}h`;
+}
+
@@ -0,0 +1,135 @@
+import { describeError } from './errors';
+
+// Transaction lifecycle tracking. Every write goes through track(), which
+// dry-runs it first so calls the contract would reject never reach the
+// wallet, then records it as 'signing' while the wallet prompts, 'pending' once it is
+// sent, then 'confirmed', 'reverted', 'replaced' (cancelled or swapped for
+// another transaction in the wallet) or 'failed' when it never got mined.
+// Recent history is kept in localStorage per account.
+
+export const TX_STATES = {
+  SIGNING: 'signing',
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  REVERTED: 'reverted',
+  REPLACED: 'replaced',
+  FAILED: 'failed'
+};
+
+const STORAGE_PREFIX = 'votechain:transactions:';
+const MAX_HISTORY = 25;
+
+export function isInFlight(entry) {
+  return entry.state === TX_STATES.SIGNING || entry.state === TX_STATES.PENDING;
+}
+
+function loadHistory(key) {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function errorMessage(error) {
+  return describeError(error, null, error.shortMessage || error.message || 'Transaction failed');
+}
+
+// The { simulate, send } pair for a contract write. simulate() runs it as
+// a staticCall from the sender, throwing the contract's custom error if it
+// would revert.
+export function contractCall(contract, method, ...args) {
+  return {
+    simulate: () => contract[method].staticCall(...args),
+    send: () => contract[method](...args)
+  };
+}
+
+export function createTxManager(account, onChange) {
+  const key = STORAGE_PREFIX + account.toLowerCase();
+  let entries = loadHistory(key);
+
+  const commit = (next) => {
+    entries = next.slice(0, MAX_HISTORY);
+    try {
+      localStorage.setItem(key, JSON.stringify(entries));
+    } catch (e) {
+      // History is a convenience; a full quota shouldn't break voting
+    }
+    onChange(entries);
+  };
+
+  const patch = (id, changes) => {
+    commit(entries.map(entry => entry.id === id ? { ...entry, ...changes, updatedAt: Date.now() } : entry));
+  };
+
+  // Run `call.simulate` if given, then `call.send`, which prompts the wallet
+  // and resolves to a transaction (or anything with a hash and wait()), and
+  // record each step. A failed simulation rejects without recording
+  // anything. `details` is { label, pollId, chainId }. Resolves to the
+  // receipt; rejects with the original error after recording it.
+  const track = async (details, { simulate, send }) => {
+    if (simulate) await simulate();
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const now = Date.now();
+    commit([{ id, ...details, state: TX_STATES.SIGNING, hash: null, createdAt: now, updatedAt: now }, ...entries]);
+
+    let tx;
+    try {
+      tx = await send();
+    } catch (error) {
+      patch(id, { state: TX_STATES.FAILED, error: errorMessage(error) });
+      throw error;
+    }
+    patch(id, { state: TX_STATES.PENDING, hash: tx.hash || null });
+
+    try {
+      const receipt = await tx.wait();
+      patch(id, { state: TX_STATES.CONFIRMED, hash: receipt.hash || tx.hash || null });
+      return receipt;
+    } catch (error) {
+      if (error.code === 'TRANSACTION_REPLACED') {
+        // Sped up in the wallet: the same call under a new hash
+        if (!error.cancelled && error.receipt && error.receipt.status === 1) {
+          patch(id, { state: TX_STATES.CONFIRMED, hash: error.replacement.hash });
+          return error.receipt;
+        }
+        patch(id, { state: TX_STATES.REPLACED, replacedBy: error.replacement.hash });
+      } else if (error.code === 'CALL_EXCEPTION') {
+        patch(id, { state: TX_STATES.REVERTED, error: errorMessage(error) });
+      } else {
+        patch(id, { state: TX_STATES.FAILED, error: errorMessage(error) });
+      }
+      throw error;
+    }
+  };
+
+  // Settle entries left in flight by an earlier visit. Transactions with a
+  // hash on this chain are awaited; prompts and relayed ballots without one
+  // can't be followed after a reload. Other chains wait for a later call.
+  let stale = entries.filter(isInFlight);
+  const resume = (provider, chainId) => {
+    const settling = stale.filter(entry => !entry.hash || entry.chainId === chainId);
+    stale = stale.filter(entry => !settling.includes(entry));
+
+    settling.forEach((entry) => {
+      if (!entry.hash) {
+        patch(entry.id, { state: TX_STATES.FAILED, error: 'Interrupted by a page reload' });
+        return;
+      }
+
+      provider.waitForTransaction(entry.hash)
+        .then(receipt => patch(entry.id, {
+          state: receipt && receipt.status === 1 ? TX_STATES.CONFIRMED : TX_STATES.REVERTED
+        }))
+        .catch(error => console.warn('Error resuming transaction:', error));
+    });
+  };
+
+  // Forget finished transactions, keeping the ones still in flight
+  const clear = () => commit(entries.filter(isInFlight));
+
+  return { account: account.toLowerCase(), track, resume, clear, list: () => entries };
+}
@@ -0,0 +1,9 @@
+import { replayBallots } from './ballotReplay.mjs';
+
+// A poll's ballots rebuilt from its vote events up to the latest block, the
+// same replay scripts/export.js audits. See replayBallots in ballotReplay.mjs
+// for the events it applies and the shape of each ballot.
+export async function fetchVoteHistory(contract, pollId, options) {
+  const { ballots } = await replayBallots(contract, pollId, options);
+  return ballots;
+}
@@ -1,8 +1,29 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { deployProxy, upgradeProxy, recordLayout } = require("./upgrades");
+const { LOCAL_NETWORKS, createAddressBook } = require("./deployments");
+
+// DEPLOY_ACTION picks what to do:
+//   deploy   (default) a new Voting proxy, recorded in the address book
+//   upgrade  the proxy recorded for this chain to the compiled Voting,
+//            keeping its polls and address
+const ACTION = process.env.DEPLOY_ACTION || "deploy";
+
+const contractsDir = path.join(__dirname, "..", "frontend", "src", "contracts");
+const addressBook = createAddressBook();
 
 async function main() {
+  if (ACTION === "upgrade") {
+    await upgrade();
+  } else if (ACTION === "deploy") {
+    await deploy();
+  } else {
+    throw new Error(`Unknown DEPLOY_ACTION "${ACTION}", expected "deploy" or "upgrade"`);
+  }
+}
+
+async function deploy() {
   console.log("🚀 Deploying Voting contract...\n");
 
   // Get the deployer account
@@ -12,42 +33,55 @@ async function main() {
   const balance = await hre.ethers.provider.getBalance(deployer.address);
   console.log("💰 Account balance:", hre.ethers.formatEther(balance), "ETH\n");
 
-  // Deploy the contract
-  const Voting = await hre.ethers.getContractFactory("Voting");
-  const voting = await Voting.deploy();
-  
-  await voting.waitForDeployment();
+  // Deploy the implementation behind a proxy, with the deployer as admin
+  const startBlock = await hre.ethers.provider.getBlockNumber();
+  const voting = await deployProxy(deployer.address);
   const contractAddress = await voting.getAddress();
-  
+  const implementation = await getImplementation(contractAddress);
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
   console.log("✅ Voting contract deployed to:", contractAddress);
-  console.log("🔗 Network:", hre.network.name);
+  console.log("   Implementation:", implementation, `(v${await voting.version()})`);
+  console.log("   Admin:", deployer.address);
+  console.log("🔗 Network:", hre.network.name, `(chainId ${chainId})`);
 
-  // Save the contract address and ABI for the frontend
-  const contractsDir = path.join(__dirname, "..", "frontend", "src", "contracts");
-  
-  if (!fs.existsSync(contractsDir)) {
-    fs.mkdirSync(contractsDir, { recursive: true });
-  }
+  const isLocalNetwork = LOCAL_NETWORKS.includes(hre.network.name);
+  const deployment = {
+    network: hre.network.name,
+    Voting: contractAddress,
+    implementation,
+    // Logs are read from here on, so the block before the deployment is safe
+    startBlock
+  };
 
-  // Save contract address
-  const addressFile = path.join(contractsDir, "contract-address.json");
-  fs.writeFileSync(
-    addressFile,
-    JSON.stringify({ Voting: contractAddress }, null, 2)
-  );
-  console.log("\n📄 Contract address saved to:", addressFile);
+  // Deploy a mock vote token on local networks so token-weighted polls can be
+  // tried out. Each local account gets 1000 tokens, self-delegated so the
+  // balance counts as votes.
+  if (isLocalNetwork) {
+    console.log("\n🪙 Deploying mock vote token...");
 
-  // Copy the ABI
-  const VotingArtifact = await hre.artifacts.readArtifact("Voting");
-  const abiFile = path.join(contractsDir, "Voting.json");
-  fs.writeFileSync(
-    abiFile,
-    JSON.stringify(VotingArtifact, null, 2)
-  );
-  console.log("📄 Contract ABI saved to:", abiFile);
+    const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy("VoteChain Token", "VOTE");
+    await token.waitForDeployment();
+    deployment.MockERC20 = await token.getAddress();
+
+    const holders = (await hre.ethers.getSigners()).slice(0, 5);
+    for (const holder of holders) {
+      await (await token.mint(holder.address, hre.ethers.parseEther("1000"))).wait();
+      await (await token.connect(holder).delegate(holder.address)).wait();
+    }
+
+    console.log("✅ Mock token deployed to:", deployment.MockERC20);
+    console.log(`   Minted 1000 VOTE to ${holders.length} local accounts`);
+  }
+
+  saveDeployment(chainId, deployment);
+  await saveArtifact();
+  await saveLayout(await voting.version());
 
   // Create a sample poll if on local network
-  if (hre.network.name === "localhost" || hre.network.name === "hardhat") {
+  if (isLocalNetwork) {
     console.log("\n🗳️  Creating sample poll...");
     
     const tx = await voting.createPoll(
@@ -67,9 +101,78 @@ async function main() {
   console.log("3. npm start");
 }
 
+async function upgrade() {
+  const [deployer] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deployment = addressBook.getDeployment(chainId);
+  if (!deployment || !deployment.Voting) {
+    throw new Error(`No Voting deployment recorded for chainId ${chainId}; deploy one first`);
+  }
+
+  console.log("⬆️  Upgrading Voting contract...\n");
+  console.log("📍 Upgrading with account:", deployer.address);
+  console.log("🔗 Network:", hre.network.name, `(chainId ${chainId})`);
+  console.log("🗳️  Proxy:", deployment.Voting);
+
+  const previous = await (await hre.ethers.getContractAt("Voting", deployment.Voting)).version();
+  const voting = await upgradeProxy(deployment.Voting);
+  const implementation = await getImplementation(deployment.Voting);
+
+  console.log(`✅ Upgraded from v${previous} to v${await voting.version()}`);
+  console.log("   Implementation:", implementation);
+  console.log(`   ${await voting.pollCount()} polls kept at the same address`);
+
+  // The address and start block stay; only the implementation changes
+  saveDeployment(chainId, { ...deployment, implementation });
+  await saveArtifact();
+  await saveLayout(await voting.version());
+
+  console.log("\n🎉 Upgrade complete! Rebuild the frontend to pick up the new ABI.");
+}
+
+// Current implementation behind an ERC1967 proxy
+async function getImplementation(proxyAddress) {
+  // bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+  const slot = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+  const value = await hre.ethers.provider.getStorage(proxyAddress, slot);
+  return hre.ethers.getAddress(hre.ethers.dataSlice(value, 12));
+}
+
+// Record the deployment in the address book, or in the rehearsal book when
+// a local node runs under a real network's chain id
+function saveDeployment(chainId, deployment) {
+  const file = addressBook.saveDeployment(chainId, deployment);
+  const rehearsed = addressBook.rehearsedNetwork(chainId);
+  if (rehearsed) {
+    console.log(`\n📄 Rehearsal address saved to: ${file}`);
+    console.log(`   ${rehearsed}'s entry for chainId ${chainId} is left alone`);
+  } else {
+    console.log("\n📄 Contract address saved to:", file);
+  }
+}
+
+// Copy the ABI for the frontend
+async function saveArtifact() {
+  const VotingArtifact = await hre.artifacts.readArtifact("Voting");
+  fs.mkdirSync(contractsDir, { recursive: true });
+  const abiFile = path.join(contractsDir, "Voting.json");
+  fs.writeFileSync(
+    abiFile,
+    JSON.stringify(VotingArtifact, null, 2)
+  );
+  console.log("📄 Contract ABI saved to:", abiFile);
+}
+
+// Record the deployed version's storage layout, checked by the next upgrade
+async function saveLayout(version) {
+  if (await recordLayout(version)) {
+    console.log(`📄 Storage layout of v${version} recorded in storage-layouts/; commit it with the release`);
+  }
+}
+
 main()
   .then(() => process.exit(0))
   .catch((error) => {
-    console.error("❌ Deployment failed:", error);
+    console.error(`❌ ${ACTION === "upgrade" ? "Upgrade" : "Deployment"} failed:`, error);
     process.exit(1);
   });
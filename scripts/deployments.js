@@ -0,0 +1,87 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+// The address book deploy.js writes, keyed by chain id, and read access to it
+// for scripts that talk to a deployed Voting contract.
+//
+// Deployments go to frontend/src/contracts/contract-address.json, which the
+// frontend serves. A local node running under a real network's chain id
+// (HARDHAT_CHAIN_ID) is a rehearsal: its deployments go to
+// rehearsal-address.json instead, so the frontend never sends that network's
+// users to a contract that only exists locally.
+
+const ADDRESS_FILE = path.join(__dirname, "..", "frontend", "src", "contracts", "contract-address.json");
+const REHEARSAL_FILE = path.join(__dirname, "..", "rehearsal-address.json");
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+function readBook(file) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  const existing = JSON.parse(fs.readFileSync(file, "utf8"));
+  // Drop the old single-address format
+  return typeof existing.Voting === "string" ? {} : existing;
+}
+
+function createAddressBook({
+  file = ADDRESS_FILE,
+  rehearsalFile = REHEARSAL_FILE,
+  network = hre.network.name,
+  networks = hre.config.networks
+} = {}) {
+  // The configured network whose chain id a local node runs under, or null
+  const rehearsedNetwork = (chainId) => {
+    if (!LOCAL_NETWORKS.includes(network)) {
+      return null;
+    }
+    const match = Object.entries(networks).find(
+      ([name, config]) => !LOCAL_NETWORKS.includes(name) && config.chainId === Number(chainId)
+    );
+    return match ? match[0] : null;
+  };
+
+  const fileFor = (chainId) => (rehearsedNetwork(chainId) ? rehearsalFile : file);
+
+  const getDeployment = (chainId) => readBook(fileFor(chainId))[chainId.toString()] || null;
+
+  // Save the deployment under its chainId, keeping deployments on other
+  // networks so a single frontend build can serve all of them. Returns the
+  // file written.
+  const saveDeployment = (chainId, deployment) => {
+    const target = fileFor(chainId);
+    const addresses = readBook(target);
+    addresses[chainId.toString()] = deployment;
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, JSON.stringify(addresses, null, 2));
+    return target;
+  };
+
+  return { rehearsedNetwork, getDeployment, saveDeployment };
+}
+
+// Voting address for the current chain, from VOTING_ADDRESS or the address
+// book
+function getVotingAddress(chainId) {
+  if (process.env.VOTING_ADDRESS) {
+    return process.env.VOTING_ADDRESS;
+  }
+
+  const deployment = createAddressBook().getDeployment(chainId);
+  if (!deployment) {
+    throw new Error(`No Voting deployment for chain ${chainId}. Deploy first or set VOTING_ADDRESS.`);
+  }
+  return deployment.Voting;
+}
+
+// First block worth scanning for the contract's events: the recorded
+// deployment block, unless VOTING_ADDRESS points somewhere else
+function getStartBlock(chainId) {
+  if (process.env.VOTING_ADDRESS) {
+    return 0;
+  }
+  const deployment = createAddressBook().getDeployment(chainId);
+  return deployment && deployment.startBlock ? deployment.startBlock : 0;
+}
+
+module.exports = { LOCAL_NETWORKS, createAddressBook, getVotingAddress, getStartBlock };
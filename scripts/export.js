@@ -0,0 +1,227 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { getVotingAddress, getStartBlock } = require("./deployments");
+
+// Results export and audit for one poll. Every ballot is rebuilt from the
+// poll's vote events, the tallies and winner are recomputed from those
+// ballots, and both are checked against the contract's own views at the same
+// block. The ballots are written as CSV and the whole report as JSON.
+//
+//   POLL_ID=3 npm run export:local
+//
+// EXPORT_DIR (default exports/) and VOTING_ADDRESS are optional. The script
+// exits with an error if the replay and the contract disagree.
+
+const STRATEGY = { TokenWeighted: 1, Quadratic: 2 };
+const BALLOT = { Ranked: 1, Approval: 2 };
+const TIE_BREAK = { ListedFirst: 1, CreatorCasts: 2 };
+const MODERATION = { Cancelled: 2 };
+
+// The ballot replay and export formatting the app uses. An ES module, so
+// it's loaded with import() rather than require.
+function loadBallotReplay() {
+  return import("../frontend/src/ballotReplay.mjs");
+}
+
+// Instant-runoff rounds over weighted rankings, as PollTally.rankedTally
+// runs them
+function runoff(optionCount, ballots) {
+  const out = new Array(optionCount).fill(false);
+  const rounds = [];
+  for (let remaining = optionCount; remaining > 0; remaining--) {
+    const counts = new Array(optionCount).fill(0n);
+    let total = 0n;
+    for (const { choice, weight } of ballots) {
+      const option = choice.find((index) => !out[index]);
+      counts[option] += weight;
+      total += weight;
+    }
+    rounds.push(counts);
+
+    let leader = -1;
+    let trailer = -1;
+    for (let i = 0; i < optionCount; i++) {
+      if (out[i]) continue;
+      if (leader === -1 || counts[i] > counts[leader]) leader = i;
+      if (trailer === -1 || counts[i] <= counts[trailer]) trailer = i;
+    }
+    if (total === 0n || counts[leader] * 2n > total || counts[leader] === counts[trailer]) {
+      break;
+    }
+    out[trailer] = true;
+  }
+  return rounds;
+}
+
+// Vote counts, turnout and the getWinner outcome implied by the ballots:
+// { winner, votes } or { error } with the custom error getWinner should raise
+function tallyBallots(poll, ballots, castingVote) {
+  const voteCounts = poll.options.map(() => 0n);
+  for (const { choice, weight } of ballots) {
+    if (poll.strategy === STRATEGY.Quadratic) {
+      choice.forEach((votes, index) => { voteCounts[index] += BigInt(votes); });
+    } else if (poll.ballot === BALLOT.Approval) {
+      choice.forEach((index) => { voteCounts[index] += weight; });
+    } else {
+      voteCounts[poll.ballot === BALLOT.Ranked ? choice[0] : choice] += weight;
+    }
+  }
+
+  const counts = poll.ballot === BALLOT.Ranked
+    ? runoff(poll.options.length, ballots).pop()
+    : voteCounts;
+  const winningVotes = counts.reduce((max, count) => (count > max ? count : max), 0n);
+  const winners = winningVotes > 0n ? counts.flatMap((count, index) => (count === winningVotes ? [index] : [])) : [];
+
+  let outcome;
+  if (poll.moderation === MODERATION.Cancelled) {
+    outcome = { error: "PollCancelled" };
+  } else if (winners.length === 0) {
+    outcome = { error: "NoVotesCast" };
+  } else if (ballots.length < poll.quorum) {
+    outcome = { error: "QuorumNotMet" };
+  } else if (winners.length === 1 || poll.tieBreak === TIE_BREAK.ListedFirst) {
+    outcome = { winner: winners[0], votes: winningVotes };
+  } else if (poll.tieBreak === TIE_BREAK.CreatorCasts && castingVote !== null) {
+    outcome = { winner: castingVote, votes: winningVotes };
+  } else {
+    outcome = { error: "PollTied" };
+  }
+
+  return { voteCounts, voterCount: ballots.length, outcome };
+}
+
+// Name of the custom error a call reverted with: decoded by ethers, or raw
+// return data as the in-process Hardhat network reports it
+function revertName(voting, error) {
+  if (error.revert) {
+    return error.revert.name;
+  }
+  if (typeof error.data === "string") {
+    try {
+      const parsed = voting.interface.parseError(error.data);
+      if (parsed) return parsed.name;
+    } catch (e) {
+      // Not one of ours, fall through
+    }
+  }
+  return null;
+}
+
+async function readOutcome(voting, pollId, blockTag) {
+  try {
+    const [winner, , votes] = await voting.getWinner(pollId, { blockTag });
+    return { winner: Number(winner), votes };
+  } catch (error) {
+    const name = revertName(voting, error);
+    if (!name) throw error;
+    return { error: name };
+  }
+}
+
+// Replay and check a poll as of `blockTag` (default: the latest block).
+// Resolves to a report whose `ok` is false if any check failed.
+async function auditPoll(voting, pollId, { fromBlock = 0, blockTag, chunkSize } = {}) {
+  const block = blockTag === undefined ? await voting.runner.provider.getBlockNumber() : blockTag;
+  const [summary] = await voting.getPolls([pollId], { blockTag: block });
+  const { config } = summary;
+  const poll = {
+    id: Number(summary.id),
+    question: summary.question,
+    options: [...summary.options],
+    strategy: Number(config.strategy),
+    ballot: Number(config.ballot),
+    quorum: Number(config.quorum),
+    tieBreak: Number(config.tieBreak),
+    secret: config.secret,
+    moderation: Number(summary.moderation)
+  };
+
+  const { replayBallots } = await loadBallotReplay();
+  const { ballots, castingVote } = await replayBallots(voting, pollId, { fromBlock, toBlock: block, chunkSize });
+  for (const ballot of ballots) {
+    if (ballot.weight !== null) continue;
+    ballot.weight = poll.strategy === STRATEGY.Quadratic
+      ? BigInt(ballot.choice.reduce((sum, votes) => sum + votes, 0))
+      : await voting.getVotingPower(pollId, ballot.voter, { blockTag: block });
+  }
+  const tally = tallyBallots(poll, ballots, castingVote);
+
+  const [, , , voteCounts] = await voting.getPoll(pollId, { blockTag: block });
+  const onChain = {
+    voteCounts: [...voteCounts],
+    voterCount: Number(summary.voterCount),
+    outcome: await readOutcome(voting, pollId, block)
+  };
+  const checks = ["voteCounts", "voterCount", "outcome"].map((name) => ({
+    name,
+    replayed: tally[name],
+    contract: onChain[name],
+    ok: stringify(tally[name]) === stringify(onChain[name])
+  }));
+
+  return {
+    contract: await voting.getAddress(),
+    chainId: Number((await voting.runner.provider.getNetwork()).chainId),
+    block,
+    poll,
+    tally,
+    checks,
+    ok: checks.every((check) => check.ok),
+    ballots
+  };
+}
+
+// JSON with bigints as decimal strings
+function stringify(value, space) {
+  return JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item), space);
+}
+
+async function toCsv(report) {
+  const { toCsv: ballotsCsv } = await loadBallotReplay();
+  return ballotsCsv(report.poll, report.ballots);
+}
+
+async function toJson(report) {
+  const { exportedBallot } = await loadBallotReplay();
+  const ballots = report.ballots.map((ballot) => exportedBallot(report.poll, ballot));
+  return stringify({ ...report, ballots }, 2) + "\n";
+}
+
+async function main() {
+  const pollId = Number(process.env.POLL_ID);
+  if (!Number.isInteger(pollId) || pollId < 1) {
+    throw new Error("Set POLL_ID to the poll to export");
+  }
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const voting = await hre.ethers.getContractAt("Voting", getVotingAddress(chainId));
+
+  console.log(`📊 Auditing poll #${pollId} on ${await voting.getAddress()} (chainId ${chainId})...\n`);
+  const report = await auditPoll(voting, pollId, { fromBlock: getStartBlock(chainId) });
+
+  console.log(`   "${report.poll.question}" at block ${report.block}, ${report.ballots.length} ballots`);
+  for (const check of report.checks) {
+    console.log(`   ${check.ok ? "✅" : "❌"} ${check.name}: replayed ${stringify(check.replayed)}, contract ${stringify(check.contract)}`);
+  }
+
+  const dir = process.env.EXPORT_DIR || path.join(__dirname, "..", "exports");
+  fs.mkdirSync(dir, { recursive: true });
+  const base = path.join(dir, `poll-${pollId}-block-${report.block}`);
+  fs.writeFileSync(`${base}.csv`, await toCsv(report));
+  fs.writeFileSync(`${base}.json`, await toJson(report));
+  console.log(`\n💾 Wrote ${base}.csv and ${base}.json`);
+
+  if (!report.ok) {
+    throw new Error("The replayed votes don't match the contract's tallies");
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Export failed:", error.message || error);
+    process.exit(1);
+  });
+}
+
+module.exports = { tallyBallots, auditPoll, toCsv, toJson };
@@ -0,0 +1,316 @@
+const hre = require("hardhat");
+const http = require("http");
+const { getVotingAddress } = require("./deployments");
+
+// Gasless voting relayer. Voters sign EIP-712 ballots in the browser and POST
+// them here. Each ballot is checked against the contract when it arrives and
+// queued; queued ballots are submitted in batches through Voting.multicall,
+// with the relayer account paying the gas.
+//
+//   POST /ballots      { pollId, optionIndex, voter, deadline, signature, proof? }
+//   GET  /ballots/:id  { id, status, txHash, error }
+//   GET  /health       { relayer, queued }
+//
+// Status is one of queued, submitted, confirmed or failed. A batch that
+// reverts only fails the ballots the contract now rejects; the rest are
+// queued again.
+
+const PORT = Number(process.env.RELAYER_PORT || 8787);
+const BATCH_SIZE = Number(process.env.RELAYER_BATCH_SIZE || 20);
+const BATCH_INTERVAL_MS = Number(process.env.RELAYER_BATCH_INTERVAL_MS || 5000);
+const MAX_BODY_BYTES = 16 * 1024;
+
+function createRelayer(voting, { batchSize = BATCH_SIZE } = {}) {
+  const ballots = new Map();
+  const queue = [];
+  let nextId = 1;
+  let pendingFlush = null;
+
+  const toArgs = (ballot) => [
+    ballot.pollId,
+    ballot.optionIndex,
+    ballot.voter,
+    ballot.deadline,
+    ballot.signature,
+    ballot.proof
+  ];
+
+  // Resolves to the revert reason if the contract would reject the ballot now
+  const check = async (ballot) => {
+    try {
+      await voting.voteBySig.staticCall(...toArgs(ballot));
+      return null;
+    } catch (error) {
+      return describeError(error, voting.interface);
+    }
+  };
+
+  const submit = async (body) => {
+    const ballot = parseBallot(body);
+    const reason = await check(ballot);
+    if (reason) {
+      throw httpError(422, reason);
+    }
+
+    const id = String(nextId++);
+    ballots.set(id, { ballot, status: "queued" });
+    queue.push(id);
+    return id;
+  };
+
+  // Send up to batchSize queued ballots in one multicall. Ballots are checked
+  // again first, since the poll may have ended or the voter may have voted
+  // directly while they were queued.
+  const runFlush = async () => {
+    const batch = [];
+    const voters = new Set();
+    const deferred = [];
+
+    while (queue.length > 0 && batch.length < batchSize) {
+      const id = queue.shift();
+      const entry = ballots.get(id);
+
+      // A voter's later ballots depend on the nonce used by the earlier one,
+      // so they wait for the next batch
+      if (voters.has(entry.ballot.voter)) {
+        deferred.push(id);
+        continue;
+      }
+
+      const reason = await check(entry.ballot);
+      if (reason) {
+        entry.status = "failed";
+        entry.error = reason;
+        continue;
+      }
+      voters.add(entry.ballot.voter);
+      batch.push(id);
+    }
+    queue.unshift(...deferred);
+
+    if (batch.length === 0) {
+      return 0;
+    }
+
+    const calls = batch.map((id) =>
+      voting.interface.encodeFunctionData("voteBySig", toArgs(ballots.get(id).ballot))
+    );
+    batch.forEach((id) => {
+      ballots.get(id).status = "submitted";
+    });
+
+    try {
+      const tx = await voting.multicall(calls);
+      batch.forEach((id) => {
+        ballots.get(id).txHash = tx.hash;
+      });
+      await tx.wait();
+      batch.forEach((id) => {
+        ballots.get(id).status = "confirmed";
+      });
+    } catch (error) {
+      // One ballot going bad after its check (the poll closing, the voter
+      // voting directly) reverts the whole multicall. Check each again and
+      // queue the ones that would still pass for the next batch.
+      const retry = [];
+      for (const id of batch) {
+        const entry = ballots.get(id);
+        const reason = await check(entry.ballot);
+        if (reason) {
+          entry.status = "failed";
+          entry.error = reason;
+        } else {
+          entry.status = "queued";
+          delete entry.txHash;
+          retry.push(id);
+        }
+      }
+      queue.unshift(...retry);
+    }
+    return batch.length;
+  };
+
+  // Concurrent callers share the same in-flight batch
+  const flush = () => {
+    if (!pendingFlush) {
+      pendingFlush = runFlush().finally(() => {
+        pendingFlush = null;
+      });
+    }
+    return pendingFlush;
+  };
+
+  const getStatus = (id) => {
+    const entry = ballots.get(id);
+    if (!entry) return null;
+    return { id, status: entry.status, txHash: entry.txHash || null, error: entry.error || null };
+  };
+
+  const handleRequest = async (req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    try {
+      if (req.method === "POST" && req.url === "/ballots") {
+        const id = await submit(await readJson(req));
+        sendJson(res, 202, { id, status: "queued" });
+        return;
+      }
+
+      const match = req.url.match(/^\/ballots\/(\d+)$/);
+      if (req.method === "GET" && match) {
+        const status = getStatus(match[1]);
+        if (!status) throw httpError(404, "Unknown ballot");
+        sendJson(res, 200, status);
+        return;
+      }
+
+      if (req.method === "GET" && req.url === "/health") {
+        sendJson(res, 200, { relayer: await voting.runner.getAddress(), queued: queue.length });
+        return;
+      }
+
+      throw httpError(404, "Not found");
+    } catch (error) {
+      sendJson(res, error.status || 500, { error: error.message });
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res);
+  });
+
+  return { server, submit, flush, getStatus };
+}
+
+// Validate the JSON body of POST /ballots
+function parseBallot(body) {
+  const { ethers } = hre;
+  if (!body || typeof body !== "object") {
+    throw httpError(400, "Expected a JSON ballot");
+  }
+
+  const toUint = (value, name) => {
+    try {
+      const number = BigInt(value);
+      if (number < 0n) throw new Error();
+      return number;
+    } catch (e) {
+      throw httpError(400, `Invalid ${name}`);
+    }
+  };
+
+  if (!ethers.isAddress(body.voter)) {
+    throw httpError(400, "Invalid voter");
+  }
+  if (!ethers.isHexString(body.signature) || ethers.dataLength(body.signature) !== 65) {
+    throw httpError(400, "Invalid signature");
+  }
+  const proof = body.proof || [];
+  if (!Array.isArray(proof) || !proof.every((node) => ethers.isHexString(node, 32))) {
+    throw httpError(400, "Invalid proof");
+  }
+
+  return {
+    pollId: toUint(body.pollId, "pollId"),
+    optionIndex: toUint(body.optionIndex, "optionIndex"),
+    voter: ethers.getAddress(body.voter),
+    deadline: toUint(body.deadline, "deadline"),
+    signature: body.signature,
+    proof
+  };
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(httpError(413, "Request too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (e) {
+        reject(httpError(400, "Invalid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Revert reason of a failed call: the custom error's name (e.g. "AlreadyVoted")
+// or a require message. The in-process Hardhat network reports reverts as raw
+// return data rather than a decoded ethers error.
+function describeError(error, iface) {
+  if (error.revert) {
+    return error.revert.name === "Error" ? error.revert.args[0] : error.revert.name;
+  }
+  if (error.reason) {
+    return error.reason;
+  }
+  if (error.data) {
+    try {
+      const parsed = iface.parseError(error.data);
+      if (parsed) return parsed.name === "Error" ? parsed.args[0] : parsed.name;
+    } catch (e) {
+      // Not decodable, fall through
+    }
+  }
+  return error.shortMessage || error.message;
+}
+
+async function main() {
+  const [relayerAccount] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const voting = await hre.ethers.getContractAt("Voting", getVotingAddress(chainId), relayerAccount);
+
+  console.log("🛰️  Starting ballot relayer...\n");
+  console.log("📍 Relaying with account:", relayerAccount.address);
+  console.log("🗳️  Voting contract:", await voting.getAddress(), `(chainId ${chainId})`);
+
+  const relayer = createRelayer(voting);
+  relayer.server.listen(PORT, () => {
+    console.log(`✅ Listening on http://127.0.0.1:${PORT}`);
+    console.log(`   Batches of up to ${BATCH_SIZE} ballots every ${BATCH_INTERVAL_MS / 1000}s`);
+  });
+
+  setInterval(async () => {
+    try {
+      const sent = await relayer.flush();
+      if (sent > 0) console.log(`📦 Submitted a batch of ${sent} ballots`);
+    } catch (error) {
+      console.error("❌ Batch failed:", error);
+    }
+  }, BATCH_INTERVAL_MS);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Relayer failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { createRelayer };
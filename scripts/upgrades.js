@@ -0,0 +1,184 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+// Proxy deployment and upgrades for Voting, shared by deploy.js and the tests.
+//
+// Voting sits behind a VotingProxy (ERC1967) and upgrades itself (UUPS). The
+// storage layout of every released version() is recorded in
+// storage-layouts/Voting.v<version>.json; an upgrade is refused unless the
+// new implementation keeps the deployed version's layout, only appending
+// state variables and fields of structs kept in mappings.
+
+const LAYOUT_DIR = path.join(__dirname, "..", "storage-layouts");
+const CONTRACT = "Voting";
+// Linked libraries Voting delegates to
+const LIBRARIES = ["PollTally", "PollBallots", "PollSetup", "PollDelegation"];
+
+function layoutFile(version) {
+  return path.join(LAYOUT_DIR, `${CONTRACT}.v${version}.json`);
+}
+
+// Storage layout of a compiled contract, with compiler-specific type ids
+// replaced by nested descriptions so layouts from different builds compare
+async function getStorageLayout(name = CONTRACT) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const { storage, types } = buildInfo.output.contracts[artifact.sourceName][artifact.contractName].storageLayout;
+
+  const describe = (typeId) => {
+    const type = types[typeId];
+    const described = { label: type.label, numberOfBytes: type.numberOfBytes };
+    if (type.members) described.members = type.members.map(toEntry);
+    if (type.key) described.key = describe(type.key);
+    if (type.value) described.value = describe(type.value);
+    if (type.base) described.base = describe(type.base);
+    return described;
+  };
+  const toEntry = (entry) => ({
+    label: entry.label,
+    slot: entry.slot,
+    offset: entry.offset,
+    type: describe(entry.type)
+  });
+
+  return storage.map(toEntry);
+}
+
+// Reasons `next` can't take over storage written with `previous`, or an
+// empty list. Structs may only grow where nothing is stored after them: as
+// the value of a mapping.
+function compareLayouts(previous, next) {
+  const problems = [];
+
+  const compareType = (where, before, after, canGrow) => {
+    if (before.label !== after.label) {
+      problems.push(`${where}: type changed from ${before.label} to ${after.label}`);
+      return;
+    }
+    if (before.members) {
+      if (!canGrow && before.numberOfBytes !== after.numberOfBytes) {
+        problems.push(`${where}: ${before.label} changed size but is stored in place`);
+      }
+      compareEntries(`${where}.`, before.members, after.members);
+    } else if (before.numberOfBytes !== after.numberOfBytes) {
+      problems.push(`${where}: size changed from ${before.numberOfBytes} to ${after.numberOfBytes} bytes`);
+    }
+    if (before.key) compareType(`${where}[key]`, before.key, after.key, false);
+    if (before.value) compareType(`${where}[value]`, before.value, after.value, true);
+    if (before.base) compareType(`${where}[]`, before.base, after.base, false);
+  };
+
+  const compareEntries = (prefix, before, after) => {
+    before.forEach((entry, i) => {
+      const where = `${prefix}${entry.label}`;
+      const replacement = after[i];
+      if (!replacement) {
+        problems.push(`${where}: removed`);
+        return;
+      }
+      if (replacement.label !== entry.label) {
+        problems.push(`${where}: replaced by ${replacement.label}`);
+        return;
+      }
+      if (replacement.slot !== entry.slot || replacement.offset !== entry.offset) {
+        problems.push(`${where}: moved from slot ${entry.slot}+${entry.offset} to ${replacement.slot}+${replacement.offset}`);
+        return;
+      }
+      compareType(where, entry.type, replacement.type, false);
+    });
+  };
+
+  compareEntries("", previous, next);
+  return problems;
+}
+
+function readLayout(version) {
+  const file = layoutFile(version);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+// Record the compiled layout as `version`'s. A version's layout never
+// changes once recorded, so an existing record must match.
+async function recordLayout(version) {
+  const layout = await getStorageLayout();
+  const recorded = readLayout(version);
+  if (recorded) {
+    const problems = compareLayouts(recorded, layout).concat(compareLayouts(layout, recorded));
+    if (problems.length > 0) {
+      throw new Error(`Storage layout of ${CONTRACT} v${version} changed; bump version():\n  ${problems.join("\n  ")}`);
+    }
+    return false;
+  }
+
+  fs.mkdirSync(LAYOUT_DIR, { recursive: true });
+  fs.writeFileSync(layoutFile(version), JSON.stringify(layout, null, 2) + "\n");
+  return true;
+}
+
+// A factory for `name` (Voting or a contract extending it), linked against
+// freshly deployed copies of the libraries it uses
+async function getVotingFactory(name = CONTRACT) {
+  const libraries = {};
+  for (const library of LIBRARIES) {
+    const factory = await hre.ethers.getContractFactory(library);
+    const deployed = await factory.deploy();
+    await deployed.waitForDeployment();
+    libraries[library] = await deployed.getAddress();
+  }
+  return hre.ethers.getContractFactory(name, { libraries });
+}
+
+// Deploy an implementation and a proxy initialized with `admin` as
+// DEFAULT_ADMIN_ROLE. Resolves to the Voting contract at the proxy address.
+async function deployProxy(admin, { implementation = CONTRACT } = {}) {
+  const Voting = await getVotingFactory(implementation);
+  const logic = await Voting.deploy();
+  await logic.waitForDeployment();
+
+  const VotingProxy = await hre.ethers.getContractFactory("VotingProxy");
+  const initData = Voting.interface.encodeFunctionData("initialize", [admin]);
+  const proxy = await VotingProxy.deploy(await logic.getAddress(), initData);
+  await proxy.waitForDeployment();
+
+  return Voting.attach(await proxy.getAddress());
+}
+
+// Point the proxy at a newly deployed `implementation`, after checking its
+// storage layout against the deployed version's record. The new
+// implementation's version() must be higher. Resolves to the contract at the
+// proxy address with the new ABI.
+async function upgradeProxy(proxyAddress, { implementation = CONTRACT } = {}) {
+  const Voting = await getVotingFactory(implementation);
+  const current = await Voting.attach(proxyAddress).version();
+
+  const recorded = readLayout(current);
+  if (!recorded) {
+    throw new Error(`No storage layout recorded for deployed ${CONTRACT} v${current} (${layoutFile(current)})`);
+  }
+  const problems = compareLayouts(recorded, await getStorageLayout(implementation));
+  if (problems.length > 0) {
+    throw new Error(`Upgrade would corrupt storage:\n  ${problems.join("\n  ")}`);
+  }
+
+  const logic = await Voting.deploy();
+  await logic.waitForDeployment();
+  const next = await logic.version();
+  if (next <= current) {
+    throw new Error(`Implementation version ${next} must be greater than the deployed version ${current}`);
+  }
+
+  const voting = Voting.attach(proxyAddress);
+  await (await voting.upgradeTo(await logic.getAddress())).wait();
+  return voting;
+}
+
+module.exports = {
+  getVotingFactory,
+  getStorageLayout,
+  compareLayouts,
+  readLayout,
+  recordLayout,
+  deployProxy,
+  upgradeProxy
+};
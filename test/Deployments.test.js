@@ -0,0 +1,75 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createAddressBook } = require("../scripts/deployments");
+
+describe("Address book", function () {
+  let dir;
+  let file;
+  let rehearsalFile;
+
+  const testnet = { network: "shardeumTestnet", Voting: "0x0000000000000000000000000000000000000001", startBlock: 100 };
+  const local = { network: "localhost", Voting: "0x0000000000000000000000000000000000000002", startBlock: 1 };
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "address-book-"));
+    file = path.join(dir, "contracts", "contract-address.json");
+    rehearsalFile = path.join(dir, "rehearsal-address.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function bookOn(network) {
+    return createAddressBook({ file, rehearsalFile, network });
+  }
+
+  function read(target) {
+    return JSON.parse(fs.readFileSync(target, "utf8"));
+  }
+
+  it("Should keep deployments on other chains", function () {
+    expect(bookOn("shardeumTestnet").saveDeployment(8082, testnet)).to.equal(file);
+    expect(bookOn("localhost").saveDeployment(31337, local)).to.equal(file);
+
+    expect(read(file)).to.deep.equal({ 8082: testnet, 31337: local });
+    expect(bookOn("localhost").getDeployment(31337)).to.deep.equal(local);
+    expect(bookOn("localhost").getDeployment(1)).to.be.null;
+    expect(fs.existsSync(rehearsalFile)).to.be.false;
+  });
+
+  it("Should drop the old single-address format", function () {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ Voting: "0x0000000000000000000000000000000000000003" }));
+
+    expect(bookOn("localhost").getDeployment(31337)).to.be.null;
+    bookOn("localhost").saveDeployment(31337, local);
+    expect(read(file)).to.deep.equal({ 31337: local });
+  });
+
+  it("Should keep rehearsals under a real chain id out of the address book", function () {
+    bookOn("shardeumTestnet").saveDeployment(8082, testnet);
+    const book = bookOn("localhost");
+    expect(book.rehearsedNetwork(8082)).to.equal("shardeumTestnet");
+    expect(book.rehearsedNetwork(31337)).to.be.null;
+    expect(bookOn("shardeumTestnet").rehearsedNetwork(8082)).to.be.null;
+
+    // Nothing to upgrade until the rehearsal deploys: the real proxy is
+    // never handed to a local upgrade
+    expect(book.getDeployment(8082)).to.be.null;
+
+    expect(book.saveDeployment(8082, local)).to.equal(rehearsalFile);
+    expect(read(file)).to.deep.equal({ 8082: testnet });
+    expect(read(rehearsalFile)).to.deep.equal({ 8082: local });
+
+    // A rehearsed upgrade finds the rehearsed deployment and records its new
+    // implementation there
+    expect(book.getDeployment(8082)).to.deep.equal(local);
+    book.saveDeployment(8082, { ...local, implementation: "0x0000000000000000000000000000000000000004" });
+    expect(read(file)).to.deep.equal({ 8082: testnet });
+    expect(read(rehearsalFile)[8082].implementation).to.equal("0x0000000000000000000000000000000000000004");
+    expect(bookOn("shardeumTestnet").getDeployment(8082)).to.deep.equal(testnet);
+  });
+});
@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getVotingFactory, deployProxy } = require("../scripts/upgrades");
+const { auditPoll, toCsv, toJson } = require("../scripts/export");
+const { Strategy, Ballot, TieBreak, pollSettings } = require("./fixtures");
+
+describe("Results export", function () {
+  let voting;
+  let owner;
+  let voter1;
+  let voter2;
+  let voter3;
+
+  const options = ["JavaScript", "Python", "Rust"];
+
+  beforeEach(async function () {
+    [owner, voter1, voter2, voter3] = await ethers.getSigners();
+    const Voting = await getVotingFactory();
+    voting = await Voting.deploy();
+    await voting.waitForDeployment();
+  });
+
+  function outcomeOf(report) {
+    return report.checks.find((check) => check.name === "outcome").replayed;
+  }
+
+  it("Should replay changed, retracted and delegated votes", async function () {
+    await voting.createPollWithSettings("Best language?", options, 60, pollSettings({ allowVoteChange: true }));
+    await voting.connect(voter1).vote(1, 0);
+    await voting.connect(voter1).changeVote(1, 2);
+    await voting.connect(voter2).vote(1, 1);
+    await voting.connect(voter2).retractVote(1);
+    await voting.connect(voter3).delegateVote(voter1.address);
+    await voting.connect(voter1).castDelegatedVotes(1, [voter3.address]);
+
+    const report = await auditPoll(voting, 1);
+    expect(report.ok).to.be.true;
+    expect(report.tally.voteCounts).to.deep.equal([0n, 0n, 2n]);
+    expect(outcomeOf(report)).to.deep.equal({ winner: 2, votes: 2n });
+    expect(report.ballots.map((ballot) => [ballot.voter, ballot.choice, ballot.delegate])).to.deep.equal([
+      [voter1.address, 2, null],
+      [voter3.address, 2, voter1.address]
+    ]);
+  });
+
+  it("Should weight token, quadratic and ranked ballots", async function () {
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy("Vote Token", "VOTE");
+    await token.mint(voter1.address, ethers.parseEther("30"));
+    await token.mint(voter2.address, ethers.parseEther("20"));
+    await token.mint(voter3.address, ethers.parseEther("15"));
+    for (const voter of [voter1, voter2, voter3]) {
+      await token.connect(voter).delegate(voter.address);
+    }
+
+    await voting.createPollWithSettings("Weighted", options, 60, pollSettings({
+      strategy: Strategy.TokenWeighted,
+      token: await token.getAddress()
+    }));
+    await voting.createPollWithSettings("Quadratic", options, 60, pollSettings({ strategy: Strategy.Quadratic, credits: 9 }));
+    await voting.createPollWithSettings("Ranked", options, 60, pollSettings({
+      strategy: Strategy.TokenWeighted,
+      token: await token.getAddress(),
+      ballot: Ballot.Ranked
+    }));
+
+    await voting.connect(voter1).vote(1, 1);
+    await voting.connect(voter2).vote(1, 0);
+    await voting.connect(voter1).voteQuadratic(2, [2, 2, 0], []);
+    await voting.connect(voter2).voteQuadratic(2, [0, 0, 3], []);
+    // Rust leads on first choices but loses the runoff once Python is out
+    await voting.connect(voter1).voteRanked(3, [2, 0, 1], []);
+    await voting.connect(voter2).voteRanked(3, [0, 2, 1], []);
+    await voting.connect(voter3).voteRanked(3, [1, 0, 2], []);
+
+    const [weighted, quadratic, ranked] = [await auditPoll(voting, 1), await auditPoll(voting, 2), await auditPoll(voting, 3)];
+    expect(weighted.ok && quadratic.ok && ranked.ok).to.be.true;
+    expect(weighted.ballots[0].weight).to.equal(ethers.parseEther("30"));
+    expect(quadratic.tally.voteCounts).to.deep.equal([2n, 2n, 3n]);
+    expect(outcomeOf(ranked)).to.deep.equal({ winner: 0, votes: ethers.parseEther("35") });
+  });
+
+  it("Should replay approval ballots", async function () {
+    await voting.createPollWithSettings("Approval", options, 60, pollSettings({
+      ballot: Ballot.Approval,
+      minSelections: 1,
+      maxSelections: 3
+    }));
+    await voting.connect(voter1).voteApproval(1, 0b011, []);
+    await voting.connect(voter2).voteApproval(1, 0b110, []);
+
+    const report = await auditPoll(voting, 1);
+    expect(report.ok).to.be.true;
+    expect(report.tally.voteCounts).to.deep.equal([1n, 2n, 1n]);
+    expect(report.ballots[0].choice).to.deep.equal([0, 1]);
+    expect(JSON.parse(await toJson(report)).ballots[1].option).to.equal("Python; Rust");
+  });
+
+  it("Should report the same failure as getWinner", async function () {
+    await voting.createPollWithSettings("Quorum", options, 60, pollSettings({ quorum: 3 }));
+    await voting.createPollWithSettings("Tie", options, 60, pollSettings({ tieBreak: TieBreak.CreatorCasts }));
+    await voting.createPoll("Empty", options, 60);
+    await voting.connect(voter1).vote(1, 0);
+    await voting.connect(voter1).vote(2, 0);
+    await voting.connect(voter2).vote(2, 1);
+
+    expect(outcomeOf(await auditPoll(voting, 1))).to.deep.equal({ error: "QuorumNotMet" });
+    expect(outcomeOf(await auditPoll(voting, 2))).to.deep.equal({ error: "PollTied" });
+    expect(outcomeOf(await auditPoll(voting, 3))).to.deep.equal({ error: "NoVotesCast" });
+
+    await time.increase(61 * 60);
+    await voting.breakTie(2, 1);
+    const broken = await auditPoll(voting, 2);
+    expect(broken.ok).to.be.true;
+    expect(outcomeOf(broken)).to.deep.equal({ winner: 1, votes: 1n });
+  });
+
+  it("Should report cancelled polls without a winner", async function () {
+    voting = await deployProxy(owner.address);
+    await voting.createPoll("Best language?", options, 60);
+    await voting.connect(voter1).vote(1, 0);
+    await voting.moderatePoll(1, 2, "Abusive");
+
+    const report = await auditPoll(voting, 1);
+    expect(report.ok).to.be.true;
+    expect(outcomeOf(report)).to.deep.equal({ error: "PollCancelled" });
+  });
+
+  it("Should flag tallies the events don't account for", async function () {
+    await voting.createPoll("Best language?", options, 60);
+    await voting.connect(voter1).vote(1, 0);
+    const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+    await voting.connect(voter2).vote(1, 1);
+
+    // Starting the scan after the first vote misses it
+    const report = await auditPoll(voting, 1, { fromBlock });
+    expect(report.ok).to.be.false;
+    const failed = report.checks.filter((check) => !check.ok).map((check) => check.name);
+    expect(failed).to.deep.equal(["voteCounts", "voterCount", "outcome"]);
+  });
+
+  it("Should audit the poll as of a past block", async function () {
+    await voting.createPoll("Best language?", options, 60);
+    await voting.connect(voter1).vote(1, 0);
+    const block = await ethers.provider.getBlockNumber();
+    await voting.connect(voter2).vote(1, 1);
+
+    const report = await auditPoll(voting, 1, { blockTag: block });
+    expect(report.ok).to.be.true;
+    expect(report.block).to.equal(block);
+    expect(report.ballots).to.have.length(1);
+  });
+
+  it("Should export ballots as CSV and JSON", async function () {
+    await voting.createPoll("Best language?", ["JavaScript", "Python, of course", "Rust"], 60);
+    const tx = await voting.connect(voter1).vote(1, 1);
+    const receipt = await tx.wait();
+
+    const report = await auditPoll(voting, 1);
+    const [header, row] = (await toCsv(report)).trim().split("\n");
+    expect(header).to.equal("voter,option,weight,delegate,blockNumber,transactionHash");
+    expect(row).to.equal(`${voter1.address},"Python, of course",1,,${receipt.blockNumber},${receipt.hash}`);
+
+    const json = JSON.parse(await toJson(report));
+    expect(json.ok).to.be.true;
+    expect(json.tally.voteCounts).to.deep.equal(["0", "1", "0"]);
+    expect(json.ballots[0]).to.include({ voter: voter1.address, option: "Python, of course", weight: "1" });
+  });
+});
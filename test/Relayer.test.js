@@ -0,0 +1,166 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createRelayer } = require("../scripts/relayer");
+const { getVotingFactory } = require("../scripts/upgrades");
+
+describe("Ballot Relayer", function () {
+  let voting;
+  let relayer;
+  let baseUrl;
+  let owner;
+  let voter1;
+  let voter2;
+
+  const types = {
+    Ballot: [
+      { name: "pollId", type: "uint256" },
+      { name: "optionIndex", type: "uint256" },
+      { name: "voter", type: "address" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  beforeEach(async function () {
+    [owner, voter1, voter2] = await ethers.getSigners();
+
+    const Voting = await getVotingFactory();
+    voting = await Voting.deploy();
+    await voting.waitForDeployment();
+    await voting.createPoll("Best language?", ["JavaScript", "Python", "Rust"], 60);
+
+    relayer = createRelayer(voting.connect(owner), { batchSize: 10 });
+    await new Promise((resolve) => relayer.server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${relayer.server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => relayer.server.close(resolve));
+  });
+
+  // Sign a ballot the way the frontend does and return the JSON body to post
+  async function signedBallot(signer, pollId, optionIndex) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = { name: "Voting", version: "1", chainId, verifyingContract: await voting.getAddress() };
+    const ballot = {
+      pollId,
+      optionIndex,
+      voter: signer.address,
+      nonce: await voting.nonces(signer.address),
+      deadline: (await time.latest()) + 600
+    };
+    const signature = await signer.signTypedData(domain, types, ballot);
+    return { pollId, optionIndex, voter: signer.address, deadline: ballot.deadline, signature };
+  }
+
+  async function post(body) {
+    const response = await fetch(`${baseUrl}/ballots`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function getStatus(id) {
+    const response = await fetch(`${baseUrl}/ballots/${id}`);
+    return response.json();
+  }
+
+  it("Should queue signed ballots and submit them in one batch", async function () {
+    const first = await post(await signedBallot(voter1, 1, 0));
+    const second = await post(await signedBallot(voter2, 1, 2));
+    expect(first.status).to.equal(202);
+    expect(second.status).to.equal(202);
+    expect((await getStatus(first.body.id)).status).to.equal("queued");
+
+    expect(await relayer.flush()).to.equal(2);
+
+    const [firstStatus, secondStatus] = [await getStatus(first.body.id), await getStatus(second.body.id)];
+    expect(firstStatus.status).to.equal("confirmed");
+    expect(secondStatus.status).to.equal("confirmed");
+    expect(firstStatus.txHash).to.equal(secondStatus.txHash);
+
+    const poll = await voting.getPoll(1);
+    expect(poll.voteCounts[0]).to.equal(1);
+    expect(poll.voteCounts[2]).to.equal(1);
+    expect(await voting.hasVoted(1, voter1.address)).to.be.true;
+  });
+
+  it("Should reject ballots the contract would not accept", async function () {
+    const ballot = await signedBallot(voter1, 1, 0);
+    const tampered = await post({ ...ballot, optionIndex: 1 });
+    expect(tampered.status).to.equal(422);
+    expect(tampered.body.error).to.equal("InvalidSignature");
+
+    await voting.connect(voter2).vote(1, 1);
+    const duplicate = await post(await signedBallot(voter2, 1, 0));
+    expect(duplicate.status).to.equal(422);
+    expect(duplicate.body.error).to.equal("AlreadyVoted");
+  });
+
+  it("Should reject malformed requests", async function () {
+    const ballot = await signedBallot(voter1, 1, 0);
+    expect((await post({ ...ballot, voter: "nobody" })).status).to.equal(400);
+    expect((await post({ ...ballot, signature: "0x1234" })).status).to.equal(400);
+    expect((await post({ ...ballot, pollId: "-1" })).status).to.equal(400);
+
+    const response = await fetch(`${baseUrl}/ballots/999`);
+    expect(response.status).to.equal(404);
+  });
+
+  it("Should fail ballots that became invalid while queued", async function () {
+    const queued = await post(await signedBallot(voter1, 1, 0));
+    await voting.connect(voter1).vote(1, 1);
+
+    expect(await relayer.flush()).to.equal(0);
+    const status = await getStatus(queued.body.id);
+    expect(status.status).to.equal("failed");
+    expect(status.error).to.equal("AlreadyVoted");
+  });
+
+  it("Should requeue the rest of a batch when one ballot goes bad on the way", async function () {
+    // voter1 votes directly after the batch was checked, so the multicall reverts
+    let raced = false;
+    const racing = {
+      interface: voting.interface,
+      runner: voting.runner,
+      voteBySig: voting.voteBySig,
+      multicall: async (calls) => {
+        if (!raced) {
+          raced = true;
+          await voting.connect(voter1).vote(1, 1);
+        }
+        return voting.connect(owner).multicall(calls);
+      }
+    };
+    const racingRelayer = createRelayer(racing, { batchSize: 10 });
+    const first = await racingRelayer.submit(await signedBallot(voter1, 1, 0));
+    const second = await racingRelayer.submit(await signedBallot(voter2, 1, 2));
+
+    expect(await racingRelayer.flush()).to.equal(2);
+    expect(racingRelayer.getStatus(first)).to.include({ status: "failed", error: "AlreadyVoted" });
+    expect(racingRelayer.getStatus(second)).to.include({ status: "queued", txHash: null });
+
+    expect(await racingRelayer.flush()).to.equal(1);
+    expect(racingRelayer.getStatus(second).status).to.equal("confirmed");
+    const poll = await voting.getPoll(1);
+    expect(poll.voteCounts[1]).to.equal(1);
+    expect(poll.voteCounts[2]).to.equal(1);
+  });
+
+  it("Should hold a voter's second ballot for the next batch", async function () {
+    await voting.createPoll("Second poll?", ["Yes", "No"], 60);
+    const first = await post(await signedBallot(voter1, 1, 0));
+    // Signed with the same nonce, so only one of the two can ever be counted
+    const second = await post(await signedBallot(voter1, 2, 1));
+
+    expect(await relayer.flush()).to.equal(1);
+    expect((await getStatus(first.body.id)).status).to.equal("confirmed");
+    expect((await getStatus(second.body.id)).status).to.equal("queued");
+
+    await relayer.flush();
+    expect((await getStatus(second.body.id)).status).to.equal("failed");
+  });
+});
@@ -0,0 +1,280 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  getVotingFactory,
+  deployProxy,
+  upgradeProxy,
+  getStorageLayout,
+  compareLayouts,
+  readLayout
+} = require("../scripts/upgrades");
+const { Ballot, pollSettings } = require("./fixtures");
+
+describe("Upgrades", function () {
+  let voting;
+  let owner;
+  let voter1;
+  let voter2;
+  let voter3;
+  // version() of the current Voting implementation
+  let current;
+
+  const options = ["JavaScript", "Python", "Rust"];
+  const salt = ethers.id("upgrade salt");
+  const implementationSlot = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+  beforeEach(async function () {
+    [owner, voter1, voter2, voter3] = await ethers.getSigners();
+    voting = await deployProxy(owner.address);
+    current = await voting.version();
+  });
+
+  async function implementationOf(proxy) {
+    const value = await ethers.provider.getStorage(await proxy.getAddress(), implementationSlot);
+    return ethers.getAddress(ethers.dataSlice(value, 12));
+  }
+
+  function commitmentFor(pollId, voter, optionIndex) {
+    return ethers.keccak256(
+      ethers.AbiCoder.defaultAbiCoder().encode(
+        ["uint256", "address", "uint256", "bytes32"],
+        [pollId, voter, optionIndex, salt]
+      )
+    );
+  }
+
+  async function signedBallot(signer, pollId, optionIndex) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = { name: "Voting", version: "1", chainId, verifyingContract: await voting.getAddress() };
+    const types = {
+      Ballot: [
+        { name: "pollId", type: "uint256" },
+        { name: "optionIndex", type: "uint256" },
+        { name: "voter", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    const deadline = (await time.latest()) + 600;
+    const ballot = { pollId, optionIndex, voter: signer.address, nonce: await voting.nonces(signer.address), deadline };
+    const signature = await signer.signTypedData(domain, types, ballot);
+    return [pollId, optionIndex, signer.address, deadline, signature, []];
+  }
+
+  describe("Deployment", function () {
+    it("Should initialize the proxy with the admin", async function () {
+      expect(current).to.equal(6);
+      expect(await voting.hasRole(await voting.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+      expect(await voting.hasRole(await voting.DEFAULT_ADMIN_ROLE(), voter1.address)).to.be.false;
+    });
+
+    it("Should not initialize twice", async function () {
+      await expect(voting.initialize(voter1.address)).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+
+      // Nor can anyone take over the implementation itself
+      const implementation = await ethers.getContractAt("Voting", await implementationOf(voting));
+      await expect(implementation.initialize(voter1.address)).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+    });
+
+    it("Should accept signed ballots for the proxy's address", async function () {
+      await voting.createPoll("Best language?", options, 60);
+      await voting.connect(voter3).voteBySig(...(await signedBallot(voter1, 1, 2)));
+      expect(await voting.getVoterChoice(1, voter1.address)).to.equal(2);
+    });
+  });
+
+  describe("Upgrading", function () {
+    beforeEach(async function () {
+      await voting.createPoll("Best language?", options, 60);
+      await voting.createPollWithSettings("Change your mind?", options, 60, pollSettings({ allowVoteChange: true }));
+      await voting.createPollWithSettings("Rank them", options, 60, pollSettings({ ballot: Ballot.Ranked }));
+      await voting.createPollWithSettings("Sealed", options, 60, pollSettings({ secret: true, revealDurationInMinutes: 60 }));
+
+      await voting.connect(voter1).vote(1, 0);
+      await voting.connect(owner).voteBySig(...(await signedBallot(voter2, 1, 1)));
+      await voting.connect(voter1).vote(2, 0);
+      await voting.connect(voter1).changeVote(2, 2);
+      await voting.connect(voter1).voteRanked(3, [2, 0, 1], []);
+      await voting.connect(voter2).voteRanked(3, [1, 2, 0], []);
+      await voting.connect(voter1).commitVote(4, commitmentFor(4, voter1.address, 1), []);
+    });
+
+    it("Should keep polls, votes and nonces", async function () {
+      const address = await voting.getAddress();
+      const before = await voting.connect(voter1).getPolls([1, 2, 3, 4]);
+      const rankedBefore = await voting.getRankedResults(3);
+      const nonce = await voting.nonces(voter2.address);
+      const implementation = await implementationOf(voting);
+
+      const upgraded = await upgradeProxy(address, { implementation: "VotingV2Mock" });
+
+      expect(await upgraded.getAddress()).to.equal(address);
+      expect(await implementationOf(upgraded)).to.not.equal(implementation);
+      expect(await upgraded.version()).to.equal(current + 1n);
+      expect(await upgraded.pollCount()).to.equal(4);
+      expect(await upgraded.connect(voter1).getPolls([1, 2, 3, 4])).to.deep.equal(before);
+      expect(await upgraded.getRankedResults(3)).to.deep.equal(rankedBefore);
+      expect(await upgraded.nonces(voter2.address)).to.equal(nonce);
+      expect(await upgraded.getVoterChoice(1, voter2.address)).to.equal(1);
+      expect(await upgraded.getVoterChoice(2, voter1.address)).to.equal(2);
+      expect(await upgraded.hasRole(await upgraded.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+    });
+
+    it("Should keep enforcing the rules on old ballots", async function () {
+      const upgraded = await upgradeProxy(await voting.getAddress(), { implementation: "VotingV2Mock" });
+
+      await expect(upgraded.connect(voter1).vote(1, 2))
+        .to.be.revertedWithCustomError(upgraded, "AlreadyVoted")
+        .withArgs(1, voter1.address);
+      await upgraded.connect(voter3).vote(1, 2);
+      expect((await upgraded.getPoll(1)).voteCounts).to.deep.equal([1n, 1n, 1n]);
+
+      // A commitment made before the upgrade can be revealed after it
+      await time.increase(61 * 60);
+      await upgraded.connect(voter1).revealVote(4, 1, salt);
+      expect((await upgraded.getPoll(4)).voteCounts).to.deep.equal([0n, 1n, 0n]);
+    });
+
+    it("Should add new state without touching the old", async function () {
+      const upgraded = await upgradeProxy(await voting.getAddress(), { implementation: "VotingV2Mock" });
+
+      await upgraded.setAnnouncement("Polls close at midnight");
+      expect(await upgraded.announcement()).to.equal("Polls close at midnight");
+      expect((await upgraded.getPoll(1)).question).to.equal("Best language?");
+      await expect(upgraded.connect(voter1).setAnnouncement("Hi")).to.be.reverted;
+    });
+
+    it("Should only let the admin upgrade", async function () {
+      const V2 = await getVotingFactory("VotingV2Mock");
+      const implementation = await V2.deploy();
+      const role = await voting.DEFAULT_ADMIN_ROLE();
+
+      await expect(voting.connect(voter1).upgradeTo(await implementation.getAddress())).to.be.revertedWith(
+        `AccessControl: account ${voter1.address.toLowerCase()} is missing role ${role}`
+      );
+
+      await voting.grantRole(role, voter1.address);
+      await voting.connect(voter1).upgradeTo(await implementation.getAddress());
+      expect(await voting.version()).to.equal(current + 1n);
+    });
+
+    it("Should refuse an implementation that isn't a newer version", async function () {
+      const error = await upgradeProxy(await voting.getAddress()).catch((e) => e);
+      expect(error.message).to.include(`must be greater than the deployed version ${current}`);
+      expect(await voting.version()).to.equal(current);
+    });
+  });
+
+  describe("Upgrading a released version", function () {
+    // Voting v5 and its linked libraries as compiled for that release, so
+    // the upgrade runs against the storage the old code actually wrote
+    const release = require("./releases/Voting.v5.json");
+
+    async function deployRelease(admin) {
+      const libraries = {};
+      for (const name of Object.keys(release).filter((name) => name !== "Voting")) {
+        const library = await (await ethers.getContractFactoryFromArtifact(release[name])).deploy();
+        libraries[name] = await library.getAddress();
+      }
+      const Voting = await ethers.getContractFactoryFromArtifact(release.Voting, { libraries });
+      const logic = await Voting.deploy();
+
+      const VotingProxy = await ethers.getContractFactory("VotingProxy");
+      const initData = Voting.interface.encodeFunctionData("initialize", [admin]);
+      const proxy = await VotingProxy.deploy(await logic.getAddress(), initData);
+      return Voting.attach(await proxy.getAddress());
+    }
+
+    it("Should keep the polls and votes of v5", async function () {
+      const released = await deployRelease(owner.address);
+      expect(await released.version()).to.equal(5);
+
+      await released.createPoll("Best language?", options, 60);
+      await released.createPollWithSettings("Change your mind?", options, 60, pollSettings({ allowVoteChange: true }));
+      await released.createPollWithSettings("Rank them", options, 60, pollSettings({ ballot: Ballot.Ranked }));
+      await released.connect(voter1).vote(1, 0);
+      await released.connect(voter2).vote(1, 1);
+      await released.connect(voter3).delegateVoteForPoll(1, voter1.address);
+      await released.connect(voter1).castDelegatedVotes(1, [voter3.address]);
+      await released.connect(voter1).vote(2, 0);
+      await released.connect(voter1).changeVote(2, 2);
+      await released.connect(voter1).voteRanked(3, [2, 0, 1], []);
+      await released.connect(voter2).voteRanked(3, [1, 2, 0], []);
+
+      const before = await released.connect(voter1).getPolls([1, 2]);
+      const rankedBefore = await released.getRankedResults(3);
+      const upgraded = await upgradeProxy(await released.getAddress());
+
+      expect(await upgraded.version()).to.equal(current);
+      expect(await upgraded.pollCount()).to.equal(3);
+      expect(await upgraded.connect(voter1).getPolls([1, 2])).to.deep.equal(before);
+      expect(await upgraded.getRankedResults(3)).to.deep.equal(rankedBefore);
+      expect((await upgraded.getPoll(1)).voteCounts).to.deep.equal([2n, 1n, 0n]);
+      expect(await upgraded.getVoterChoice(2, voter1.address)).to.equal(2);
+      expect(await upgraded.getDelegate(1, voter3.address)).to.equal(voter1.address);
+      expect(await upgraded.hasRole(await upgraded.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+
+      // The old ballots still count against the new code's rules
+      await expect(upgraded.connect(voter2).vote(1, 2))
+        .to.be.revertedWithCustomError(upgraded, "AlreadyVoted")
+        .withArgs(1, voter2.address);
+      await upgraded.connect(voter1).changeVote(2, 1);
+      expect((await upgraded.getPoll(2)).voteCounts).to.deep.equal([0n, 1n, 0n]);
+    });
+  });
+
+  describe("Storage layout", function () {
+    it("Should be compatible with every recorded version", async function () {
+      const layout = await getStorageLayout();
+      const files = fs.readdirSync(path.join(__dirname, "..", "storage-layouts"));
+      expect(files).to.include(`Voting.v${current}.json`);
+
+      for (const file of files) {
+        const version = Number(file.match(/^Voting\.v(\d+)\.json$/)[1]);
+        expect(compareLayouts(readLayout(version), layout), file).to.deep.equal([]);
+      }
+    });
+
+    it("Should allow appending state and poll fields", async function () {
+      const layout = await getStorageLayout();
+      const next = structuredClone(layout);
+      const last = next[next.length - 1];
+      next.push({ label: "announcement", slot: String(Number(last.slot) + 1), offset: 0, type: { label: "uint256", numberOfBytes: "32" } });
+      const poll = next.find((entry) => entry.label === "polls").type.value;
+      poll.members.push({ label: "flagged", slot: "99", offset: 0, type: { label: "bool", numberOfBytes: "1" } });
+
+      expect(compareLayouts(layout, next)).to.deep.equal([]);
+    });
+
+    it("Should flag changes that would corrupt storage", async function () {
+      const layout = await getStorageLayout();
+
+      const inserted = structuredClone(layout);
+      const index = inserted.findIndex((entry) => entry.label === "pollCount");
+      inserted.splice(index, 0, { ...inserted[index], label: "paused" });
+      expect(compareLayouts(layout, inserted)).to.include("pollCount: replaced by paused");
+
+      const retyped = structuredClone(layout);
+      retyped.find((entry) => entry.label === "pollCount").type = { label: "uint128", numberOfBytes: "16" };
+      expect(compareLayouts(layout, retyped)).to.include("pollCount: type changed from uint256 to uint128");
+
+      // PollConfig sits inside Poll, so growing it shifts every later field
+      const grown = structuredClone(layout);
+      const config = grown
+        .find((entry) => entry.label === "polls").type.value.members
+        .find((member) => member.label === "config").type;
+      config.members.push({ label: "deposit", slot: "14", offset: 0, type: { label: "uint256", numberOfBytes: "32" } });
+      config.numberOfBytes = String(Number(config.numberOfBytes) + 32);
+      expect(compareLayouts(layout, grown)).to.include(
+        "polls[value].config: struct Voting.PollConfig changed size but is stored in place"
+      );
+    });
+  });
+});
@@ -1,6 +1,9 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+const { getVotingFactory, deployProxy } = require("../scripts/upgrades");
+const { Strategy, Ballot, TieBreak, pollSettings } = require("./fixtures");
 
 describe("Voting Contract", function () {
   let voting;
@@ -16,7 +19,7 @@ describe("Voting Contract", function () {
   beforeEach(async function () {
     [owner, voter1, voter2, voter3] = await ethers.getSigners();
     
-    const Voting = await ethers.getContractFactory("Voting");
+    const Voting = await getVotingFactory();
     voting = await Voting.deploy();
     await voting.waitForDeployment();
   });
@@ -39,38 +42,38 @@ describe("Voting Contract", function () {
     it("Should fail if question is empty", async function () {
       await expect(
         voting.createPoll("", sampleOptions, duration)
-      ).to.be.revertedWith("Question cannot be empty");
+      ).to.be.revertedWithCustomError(voting, "EmptyQuestion");
     });
 
     it("Should fail if less than 2 options", async function () {
       await expect(
         voting.createPoll(sampleQuestion, ["Only one"], duration)
-      ).to.be.revertedWith("Need at least 2 options");
+      ).to.be.revertedWithCustomError(voting, "InvalidOptionCount");
     });
 
     it("Should fail if more than 10 options", async function () {
       const tooManyOptions = Array(11).fill("Option");
       await expect(
         voting.createPoll(sampleQuestion, tooManyOptions, duration)
-      ).to.be.revertedWith("Maximum 10 options allowed");
+      ).to.be.revertedWithCustomError(voting, "InvalidOptionCount");
     });
 
     it("Should fail if duration is 0", async function () {
       await expect(
         voting.createPoll(sampleQuestion, sampleOptions, 0)
-      ).to.be.revertedWith("Duration must be positive");
+      ).to.be.revertedWithCustomError(voting, "InvalidDuration");
     });
 
     it("Should fail if duration exceeds 7 days", async function () {
       await expect(
         voting.createPoll(sampleQuestion, sampleOptions, 10081)
-      ).to.be.revertedWith("Max duration is 7 days");
+      ).to.be.revertedWithCustomError(voting, "InvalidDuration");
     });
 
     it("Should fail if an option is empty", async function () {
       await expect(
         voting.createPoll(sampleQuestion, ["Valid", ""], duration)
-      ).to.be.revertedWith("Option cannot be empty");
+      ).to.be.revertedWithCustomError(voting, "EmptyOption");
     });
   });
 
@@ -102,19 +105,19 @@ describe("Voting Contract", function () {
       await voting.connect(voter1).vote(1, 0);
       await expect(
         voting.connect(voter1).vote(1, 1)
-      ).to.be.revertedWith("Already voted");
+      ).to.be.revertedWithCustomError(voting, "AlreadyVoted").withArgs(1, voter1.address);
     });
 
     it("Should fail for invalid option index", async function () {
       await expect(
         voting.connect(voter1).vote(1, 10)
-      ).to.be.revertedWith("Invalid option");
+      ).to.be.revertedWithCustomError(voting, "InvalidOption").withArgs(1, 10);
     });
 
     it("Should fail for non-existent poll", async function () {
       await expect(
         voting.connect(voter1).vote(99, 0)
-      ).to.be.revertedWith("Poll does not exist");
+      ).to.be.revertedWithCustomError(voting, "PollNotFound").withArgs(99);
     });
 
     it("Should fail after poll ends", async function () {
@@ -123,7 +126,7 @@ describe("Voting Contract", function () {
       
       await expect(
         voting.connect(voter1).vote(1, 0)
-      ).to.be.revertedWith("Poll has ended");
+      ).to.be.revertedWithCustomError(voting, "PollClosed");
     });
 
     it("Should track voter choice correctly", async function () {
@@ -149,19 +152,121 @@ describe("Voting Contract", function () {
     it("Should prevent non-creator from ending poll", async function () {
       await expect(
         voting.connect(voter1).endPoll(1)
-      ).to.be.revertedWith("Only creator can end poll");
+      ).to.be.revertedWithCustomError(voting, "NotCreator").withArgs(1, owner.address);
     });
 
     it("Should prevent ending already ended poll", async function () {
       await voting.endPoll(1);
-      await expect(voting.endPoll(1)).to.be.revertedWith("Poll already ended");
+      await expect(voting.endPoll(1)).to.be.revertedWithCustomError(voting, "PollClosed");
     });
 
     it("Should prevent voting on ended poll", async function () {
       await voting.endPoll(1);
       await expect(
         voting.connect(voter1).vote(1, 0)
-      ).to.be.revertedWith("Poll is not active");
+      ).to.be.revertedWithCustomError(voting, "PollClosed");
+    });
+  });
+
+  describe("Metadata", function () {
+    it("Should store the metadata content hash", async function () {
+      const document = JSON.stringify({ version: 1, description: "Pick one", category: "Engineering", tags: [], link: "" });
+      const metadataHash = ethers.keccak256(ethers.toUtf8Bytes(document));
+      await voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({ metadataHash }));
+      await voting.createPoll(sampleQuestion, sampleOptions, duration);
+
+      const [withMetadata, plain] = await voting.getPolls([1, 2]);
+      expect(withMetadata.config.metadataHash).to.equal(metadataHash);
+      expect(plain.config.metadataHash).to.equal(ethers.ZeroHash);
+    });
+  });
+
+  describe("Scheduling", function () {
+    let startTime;
+
+    beforeEach(async function () {
+      startTime = (await time.latest()) + 3600;
+      await voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({ startTime }));
+    });
+
+    it("Should open scheduled polls at their start time", async function () {
+      const [summary] = await voting.getPolls([1]);
+      expect(summary.config.startTime).to.equal(startTime);
+      expect(summary.endTime).to.equal(startTime + duration * 60);
+      expect(summary.active).to.be.false;
+      expect(summary.endedEarly).to.be.false;
+      expect(await voting.getActivePolls()).to.deep.equal([]);
+
+      await expect(
+        voting.connect(voter1).vote(1, 0)
+      ).to.be.revertedWithCustomError(voting, "PollNotStarted").withArgs(1, startTime);
+
+      await time.increaseTo(startTime);
+      await voting.connect(voter1).vote(1, 0);
+      expect(await voting.getActivePolls()).to.deep.equal([1n]);
+    });
+
+    it("Should start plain polls immediately", async function () {
+      await voting.createPoll(sampleQuestion, sampleOptions, duration);
+      const [summary] = await voting.getPolls([2]);
+      expect(summary.config.startTime).to.equal(await time.latest());
+      expect(summary.active).to.be.true;
+    });
+
+    it("Should reject start times in the past", async function () {
+      await expect(
+        voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({
+          startTime: (await time.latest()) - 1
+        }))
+      ).to.be.revertedWithCustomError(voting, "StartTimeInPast");
+    });
+
+    it("Should let the creator cancel an upcoming poll", async function () {
+      await voting.endPoll(1);
+      await time.increaseTo(startTime);
+      const [summary] = await voting.getPolls([1]);
+      expect(summary.active).to.be.false;
+      expect(summary.endedEarly).to.be.true;
+    });
+
+    it("Should let the creator extend a poll once", async function () {
+      const newEndTime = startTime + (duration + 30) * 60;
+      await expect(voting.extendPoll(1, 30))
+        .to.emit(voting, "PollExtended")
+        .withArgs(1, newEndTime);
+
+      const [summary] = await voting.getPolls([1]);
+      expect(summary.endTime).to.equal(newEndTime);
+      expect(summary.extended).to.be.true;
+
+      await expect(voting.extendPoll(1, 30)).to.be.revertedWithCustomError(voting, "AlreadyExtended");
+    });
+
+    it("Should restrict extensions", async function () {
+      await expect(
+        voting.connect(voter1).extendPoll(1, 30)
+      ).to.be.revertedWithCustomError(voting, "NotCreator");
+      await expect(voting.extendPoll(1, 0)).to.be.revertedWithCustomError(voting, "InvalidDuration");
+      await expect(
+        voting.extendPoll(1, 10080 - duration + 1)
+      ).to.be.revertedWithCustomError(voting, "InvalidDuration");
+      await voting.extendPoll(1, 10080 - duration);
+
+      await voting.createPoll(sampleQuestion, sampleOptions, duration);
+      await time.increase(duration * 60 * 2);
+      await expect(voting.extendPoll(2, 30)).to.be.revertedWithCustomError(voting, "PollClosed");
+    });
+
+    it("Should move the reveal window with the end time", async function () {
+      await voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({
+        secret: true,
+        revealDurationInMinutes: 30
+      }));
+      const [before] = await voting.getPolls([2]);
+      await voting.extendPoll(2, 60);
+      const [after] = await voting.getPolls([2]);
+      expect(after.config.revealEndTime).to.equal(before.config.revealEndTime + 3600n);
+      expect(after.config.revealEndTime - after.endTime).to.equal(30n * 60n);
     });
   });
 
@@ -207,6 +312,1400 @@ describe("Voting Contract", function () {
     });
   });
 
+  describe("Paginated Queries", function () {
+    beforeEach(async function () {
+      await voting.createPoll("Poll 1?", ["Yes", "No"], duration);
+      await voting.connect(voter1).createPoll("Poll 2?", ["Yes", "No"], duration);
+      await voting.createPoll("Poll 3?", ["Yes", "No"], duration);
+      await voting.connect(voter1).createPoll("Poll 4?", ["Yes", "No"], duration);
+      await voting.createPoll("Poll 5?", ["Yes", "No"], duration);
+    });
+
+    it("Should return a page of polls by ID range", async function () {
+      const page = await voting.getPollRange(1, 2);
+      expect(page.length).to.equal(2);
+      expect(page[0].id).to.equal(2);
+      expect(page[0].question).to.equal("Poll 2?");
+      expect(page[1].id).to.equal(3);
+    });
+
+    it("Should truncate the last page and return nothing past the end", async function () {
+      expect((await voting.getPollRange(3, 10)).length).to.equal(2);
+      expect((await voting.getPollRange(5, 10)).length).to.equal(0);
+    });
+
+    it("Should return batched summaries with the caller's voted flag", async function () {
+      await voting.connect(voter2).vote(3, 1);
+
+      const summaries = await voting.connect(voter2).getPolls([3, 1]);
+      expect(summaries.length).to.equal(2);
+      expect(summaries[0].id).to.equal(3);
+      expect(summaries[0].voteCounts[1]).to.equal(1);
+      expect(summaries[0].totalVotes).to.equal(1);
+      expect(summaries[0].hasVoted).to.be.true;
+      expect(summaries[1].hasVoted).to.be.false;
+
+      const asOther = await voting.connect(voter3).getPolls([3]);
+      expect(asOther[0].hasVoted).to.be.false;
+    });
+
+    it("Should reject batches containing unknown polls", async function () {
+      await expect(voting.getPolls([1, 99])).to.be.revertedWithCustomError(voting, "PollNotFound");
+    });
+
+    it("Should page through active polls with a cursor", async function () {
+      await voting.endPoll(3);
+
+      let [ids, cursor] = await voting.getActivePollsPage(0, 2);
+      expect(ids).to.deep.equal([1n, 2n]);
+      expect(cursor).to.equal(3);
+
+      [ids, cursor] = await voting.getActivePollsPage(cursor, 2);
+      expect(ids).to.deep.equal([4n]);
+      expect(cursor).to.equal(5);
+
+      [ids, cursor] = await voting.getActivePollsPage(cursor, 2);
+      expect(ids).to.deep.equal([5n]);
+      expect(cursor).to.equal(0);
+    });
+
+    it("Should scan to the end when the limit runs past the last poll", async function () {
+      const [ids, cursor] = await voting.getActivePollsPage(2, ethers.MaxUint256);
+      expect(ids).to.deep.equal([2n, 3n, 4n, 5n]);
+      expect(cursor).to.equal(0);
+    });
+
+    it("Should return poll IDs by creator", async function () {
+      const [ids, total] = await voting.getPollsByCreator(voter1.address, 0, 10);
+      expect(ids).to.deep.equal([2n, 4n]);
+      expect(total).to.equal(2);
+
+      const [page] = await voting.getPollsByCreator(owner.address, 1, 1);
+      expect(page).to.deep.equal([3n]);
+    });
+  });
+
+  describe("Voter Eligibility", function () {
+    it("Should leave polls open when no list is attached", async function () {
+      await voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings());
+      expect(await voting.isEligible(1, voter3.address)).to.be.true;
+      await expect(voting.connect(voter3).vote(1, 0)).to.emit(voting, "VoteCast");
+    });
+
+    describe("Explicit allowlist", function () {
+      beforeEach(async function () {
+        await voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({
+          allowlist: [voter1.address, voter2.address]
+        }));
+      });
+
+      it("Should accept listed voters", async function () {
+        expect(await voting.isEligible(1, voter1.address)).to.be.true;
+        await expect(voting.connect(voter1).vote(1, 2))
+          .to.emit(voting, "VoteCast")
+          .withArgs(1, voter1.address, 2);
+      });
+
+      it("Should reject voters not on the list", async function () {
+        expect(await voting.isEligible(1, voter3.address)).to.be.false;
+        await expect(
+          voting.connect(voter3).vote(1, 0)
+        ).to.be.revertedWithCustomError(voting, "NotEligible");
+        await expect(
+          voting.connect(voter3).voteWithProof(1, 0, [])
+        ).to.be.revertedWithCustomError(voting, "NotEligible");
+      });
+
+      it("Should report eligibility in poll summaries", async function () {
+        const [asListed] = await voting.connect(voter1).getPolls([1]);
+        expect(asListed.config.restricted).to.be.true;
+        expect(asListed.isEligible).to.be.true;
+
+        const [asOther] = await voting.connect(voter3).getPolls([1]);
+        expect(asOther.isEligible).to.be.false;
+      });
+    });
+
+    describe("Merkle root", function () {
+      let tree;
+
+      beforeEach(async function () {
+        tree = StandardMerkleTree.of([[voter1.address], [voter2.address]], ["address"]);
+        await voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({
+          merkleRoot: tree.root
+        }));
+      });
+
+      it("Should accept a vote with a valid proof", async function () {
+        const proof = tree.getProof([voter1.address]);
+        await expect(voting.connect(voter1).voteWithProof(1, 1, proof))
+          .to.emit(voting, "VoteCast")
+          .withArgs(1, voter1.address, 1);
+        expect(await voting.isEligible(1, voter1.address)).to.be.true;
+      });
+
+      it("Should reject a plain vote before eligibility is proven", async function () {
+        await expect(
+          voting.connect(voter1).vote(1, 1)
+        ).to.be.revertedWithCustomError(voting, "NotEligible");
+      });
+
+      it("Should reject a proof for another address", async function () {
+        const proof = tree.getProof([voter1.address]);
+        await expect(
+          voting.connect(voter3).voteWithProof(1, 1, proof)
+        ).to.be.revertedWithCustomError(voting, "InvalidProof");
+      });
+
+      it("Should still prevent double voting", async function () {
+        const proof = tree.getProof([voter2.address]);
+        await voting.connect(voter2).voteWithProof(1, 0, proof);
+        await expect(
+          voting.connect(voter2).voteWithProof(1, 0, proof)
+        ).to.be.revertedWithCustomError(voting, "AlreadyVoted");
+      });
+    });
+  });
+
+  describe("Commit-Reveal Ballots", function () {
+    const revealDuration = 30; // 30 minutes
+    const salt = ethers.id("voter1-salt");
+
+    function commitmentFor(pollId, voter, optionIndex, voteSalt) {
+      return ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(
+          ["uint256", "address", "uint256", "bytes32"],
+          [pollId, voter, optionIndex, voteSalt]
+        )
+      );
+    }
+
+    beforeEach(async function () {
+      await voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({
+        secret: true,
+        revealDurationInMinutes: revealDuration
+      }));
+    });
+
+    it("Should commit a ballot without revealing the choice", async function () {
+      await expect(voting.connect(voter1).commitVote(1, commitmentFor(1, voter1.address, 2, salt), []))
+        .to.emit(voting, "VoteCommitted")
+        .withArgs(1, voter1.address);
+
+      const poll = await voting.getPoll(1);
+      expect(poll.totalVotes).to.equal(0);
+      expect(await voting.hasVoted(1, voter1.address)).to.be.true;
+    });
+
+    it("Should reject public votes on a secret poll", async function () {
+      await expect(
+        voting.connect(voter1).vote(1, 0)
+      ).to.be.revertedWithCustomError(voting, "WrongBallotType");
+    });
+
+    it("Should reject commits on a public poll", async function () {
+      await voting.createPoll(sampleQuestion, sampleOptions, duration);
+      await expect(
+        voting.connect(voter1).commitVote(2, commitmentFor(2, voter1.address, 0, salt), [])
+      ).to.be.revertedWithCustomError(voting, "WrongBallotType");
+    });
+
+    it("Should prevent committing twice", async function () {
+      await voting.connect(voter1).commitVote(1, commitmentFor(1, voter1.address, 2, salt), []);
+      await expect(
+        voting.connect(voter1).commitVote(1, commitmentFor(1, voter1.address, 1, salt), [])
+      ).to.be.revertedWithCustomError(voting, "AlreadyVoted");
+    });
+
+    it("Should not allow revealing while voting is open", async function () {
+      await voting.connect(voter1).commitVote(1, commitmentFor(1, voter1.address, 2, salt), []);
+      await expect(
+        voting.connect(voter1).revealVote(1, 2, salt)
+      ).to.be.revertedWithCustomError(voting, "VotingStillOpen");
+    });
+
+    it("Should count a ballot once revealed", async function () {
+      await voting.connect(voter1).commitVote(1, commitmentFor(1, voter1.address, 2, salt), []);
+      await time.increase(duration * 60);
+
+      await expect(voting.connect(voter1).revealVote(1, 2, salt))
+        .to.emit(voting, "VoteCast")
+        .withArgs(1, voter1.address, 2);
+
+      const poll = await voting.getPoll(1);
+      expect(poll.voteCounts[2]).to.equal(1);
+      expect(await voting.getVoterChoice(1, voter1.address)).to.equal(2);
+    });
+
+    it("Should allow revealing once the creator ends the poll early", async function () {
+      await voting.connect(voter1).commitVote(1, commitmentFor(1, voter1.address, 0, salt), []);
+      await voting.endPoll(1);
+      await expect(voting.connect(voter1).revealVote(1, 0, salt)).to.emit(voting, "VoteCast");
+    });
+
+    it("Should reject a reveal that does not match the commitment", async function () {
+      await voting.connect(voter1).commitVote(1, commitmentFor(1, voter1.address, 2, salt), []);
+      await time.increase(duration * 60);
+
+      await expect(
+        voting.connect(voter1).revealVote(1, 1, salt)
+      ).to.be.revertedWithCustomError(voting, "CommitmentMismatch");
+      await expect(
+        voting.connect(voter1).revealVote(1, 2, ethers.id("wrong"))
+      ).to.be.revertedWithCustomError(voting, "CommitmentMismatch");
+    });
+
+    it("Should reject copying another voter's commitment", async function () {
+      const commitment = commitmentFor(1, voter1.address, 2, salt);
+      await voting.connect(voter1).commitVote(1, commitment, []);
+      await voting.connect(voter2).commitVote(1, commitment, []);
+      await time.increase(duration * 60);
+
+      await expect(
+        voting.connect(voter2).revealVote(1, 2, salt)
+      ).to.be.revertedWithCustomError(voting, "CommitmentMismatch");
+    });
+
+    it("Should prevent revealing twice", async function () {
+      await voting.connect(voter1).commitVote(1, commitmentFor(1, voter1.address, 2, salt), []);
+      await time.increase(duration * 60);
+      await voting.connect(voter1).revealVote(1, 2, salt);
+
+      await expect(
+        voting.connect(voter1).revealVote(1, 2, salt)
+      ).to.be.revertedWithCustomError(voting, "AlreadyRevealed");
+    });
+
+    it("Should not count ballots revealed after the reveal window", async function () {
+      await voting.connect(voter1).commitVote(1, commitmentFor(1, voter1.address, 2, salt), []);
+      await time.increase((duration + revealDuration) * 60);
+
+      await expect(
+        voting.connect(voter1).revealVote(1, 2, salt)
+      ).to.be.revertedWithCustomError(voting, "RevealPeriodEnded");
+      expect((await voting.getPoll(1)).totalVotes).to.equal(0);
+    });
+
+    it("Should hide the choice of unrevealed ballots", async function () {
+      await voting.connect(voter1).commitVote(1, commitmentFor(1, voter1.address, 2, salt), []);
+      await expect(
+        voting.getVoterChoice(1, voter1.address)
+      ).to.be.revertedWithCustomError(voting, "VoteNotRevealed");
+    });
+  });
+
+  describe("Voting Strategies", function () {
+    it("Should count one vote per voter on equal polls", async function () {
+      await voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings());
+      expect(await voting.getVotingPower(1, voter1.address)).to.equal(1);
+
+      await voting.connect(voter1).vote(1, 0);
+      const [summary] = await voting.getPolls([1]);
+      expect(summary.config.strategy).to.equal(Strategy.Equal);
+      expect(summary.totalVotes).to.equal(1);
+      expect(summary.voterCount).to.equal(1);
+    });
+
+    describe("Token-weighted", function () {
+      let token;
+
+      beforeEach(async function () {
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        token = await MockERC20.deploy("Vote Token", "VOTE");
+        await token.mint(voter1.address, ethers.parseEther("100"));
+        await token.mint(voter2.address, ethers.parseEther("25"));
+        await token.connect(voter1).delegate(voter1.address);
+        await token.connect(voter2).delegate(voter2.address);
+
+        await voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({
+          strategy: Strategy.TokenWeighted,
+          token: await token.getAddress()
+        }));
+      });
+
+      it("Should weight votes by token balance", async function () {
+        await voting.connect(voter1).vote(1, 0);
+        await voting.connect(voter2).vote(1, 1);
+
+        const poll = await voting.getPoll(1);
+        expect(poll.voteCounts[0]).to.equal(ethers.parseEther("100"));
+        expect(poll.voteCounts[1]).to.equal(ethers.parseEther("25"));
+        expect(poll.totalVotes).to.equal(ethers.parseEther("125"));
+
+        const [summary] = await voting.getPolls([1]);
+        expect(summary.voterCount).to.equal(2);
+      });
+
+      it("Should use balances from the snapshot block", async function () {
+        await token.connect(voter1).transfer(voter3.address, ethers.parseEther("60"));
+        await token.connect(voter3).delegate(voter3.address);
+
+        expect(await voting.getVotingPower(1, voter1.address)).to.equal(ethers.parseEther("100"));
+        expect(await voting.getVotingPower(1, voter3.address)).to.equal(0);
+        await expect(
+          voting.connect(voter3).vote(1, 0)
+        ).to.be.revertedWithCustomError(voting, "NoVotingPower");
+      });
+
+      it("Should report the caller's voting power in summaries", async function () {
+        const [summary] = await voting.connect(voter2).getPolls([1]);
+        expect(summary.config.token).to.equal(await token.getAddress());
+        expect(summary.votingPower).to.equal(ethers.parseEther("25"));
+      });
+
+      it("Should require a token contract", async function () {
+        await expect(
+          voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({
+            strategy: Strategy.TokenWeighted,
+            token: voter1.address
+          }))
+        ).to.be.revertedWithCustomError(voting, "InvalidToken");
+      });
+    });
+
+    describe("Quadratic", function () {
+      beforeEach(async function () {
+        await voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({
+          strategy: Strategy.Quadratic,
+          credits: 100
+        }));
+      });
+
+      it("Should let voters spread credits across options", async function () {
+        await expect(voting.connect(voter1).voteQuadratic(1, [6, 8, 0, 0], []))
+          .to.emit(voting, "QuadraticVoteCast")
+          .withArgs(1, voter1.address, [6, 8, 0, 0]);
+
+        const poll = await voting.getPoll(1);
+        expect(poll.voteCounts[0]).to.equal(6);
+        expect(poll.voteCounts[1]).to.equal(8);
+        expect(await voting.hasVoted(1, voter1.address)).to.be.true;
+      });
+
+      it("Should reject allocations that cost more than the budget", async function () {
+        await expect(
+          voting.connect(voter1).voteQuadratic(1, [10, 1, 0, 0], [])
+        ).to.be.revertedWithCustomError(voting, "NotEnoughCredits").withArgs(1, 101, 100);
+      });
+
+      it("Should reject empty or mis-sized allocations", async function () {
+        await expect(
+          voting.connect(voter1).voteQuadratic(1, [0, 0, 0, 0], [])
+        ).to.be.revertedWithCustomError(voting, "InvalidBallot");
+        await expect(
+          voting.connect(voter1).voteQuadratic(1, [1, 1], [])
+        ).to.be.revertedWithCustomError(voting, "InvalidBallot");
+      });
+
+      it("Should reject single-choice votes", async function () {
+        await expect(
+          voting.connect(voter1).vote(1, 0)
+        ).to.be.revertedWithCustomError(voting, "WrongBallotType");
+      });
+
+      it("Should prevent voting twice", async function () {
+        await voting.connect(voter1).voteQuadratic(1, [1, 0, 0, 0], []);
+        await expect(
+          voting.connect(voter1).voteQuadratic(1, [1, 0, 0, 0], [])
+        ).to.be.revertedWithCustomError(voting, "AlreadyVoted");
+      });
+
+      it("Should reject quadratic ballots on other polls", async function () {
+        await voting.createPoll(sampleQuestion, sampleOptions, duration);
+        await expect(
+          voting.connect(voter1).voteQuadratic(2, [1, 0, 0, 0], [])
+        ).to.be.revertedWithCustomError(voting, "WrongBallotType");
+      });
+    });
+  });
+
+  describe("Ranked-Choice Ballots", function () {
+    let voters;
+
+    beforeEach(async function () {
+      voters = (await ethers.getSigners()).slice(1, 8);
+      await voting.createPollWithSettings(sampleQuestion, ["Alice", "Bob", "Carol"], duration, pollSettings({
+        ballot: Ballot.Ranked
+      }));
+    });
+
+    async function castRankings(rankings) {
+      for (let i = 0; i < rankings.length; i++) {
+        await voting.connect(voters[i]).voteRanked(1, rankings[i], []);
+      }
+    }
+
+    it("Should record a full ranking and count the first choice", async function () {
+      await expect(voting.connect(voter1).voteRanked(1, [2, 0, 1], []))
+        .to.emit(voting, "RankedVoteCast")
+        .withArgs(1, voter1.address, [2, 0, 1]);
+
+      const poll = await voting.getPoll(1);
+      expect(poll.voteCounts[2]).to.equal(1);
+      expect(await voting.getVoterChoice(1, voter1.address)).to.equal(2);
+    });
+
+    it("Should reject partial, duplicate or invalid rankings", async function () {
+      await expect(
+        voting.connect(voter1).voteRanked(1, [0, 1], [])
+      ).to.be.revertedWithCustomError(voting, "InvalidBallot");
+      await expect(
+        voting.connect(voter1).voteRanked(1, [0, 0, 1], [])
+      ).to.be.revertedWithCustomError(voting, "InvalidBallot");
+      await expect(
+        voting.connect(voter1).voteRanked(1, [0, 1, 3], [])
+      ).to.be.revertedWithCustomError(voting, "InvalidOption");
+    });
+
+    it("Should reject single-choice votes", async function () {
+      await expect(
+        voting.connect(voter1).vote(1, 0)
+      ).to.be.revertedWithCustomError(voting, "WrongBallotType");
+    });
+
+    it("Should declare a first-round majority winner without runoff", async function () {
+      await castRankings([[0, 1, 2], [0, 2, 1], [1, 0, 2]]);
+
+      const [rounds, eliminated, winner] = await voting.getRankedResults(1);
+      expect(rounds.length).to.equal(1);
+      expect(eliminated.length).to.equal(0);
+      expect(rounds[0]).to.deep.equal([2n, 1n, 0n]);
+      expect(winner).to.equal(0);
+    });
+
+    it("Should transfer eliminated ballots to the next preference", async function () {
+      // First round: Alice 3, Bob 2, Carol 2. Carol is eliminated (last listed
+      // among the fewest) and both Carol ballots move to Bob.
+      await castRankings([
+        [0, 1, 2], [0, 2, 1], [0, 1, 2],
+        [1, 0, 2], [1, 2, 0],
+        [2, 1, 0], [2, 1, 0]
+      ]);
+
+      const [rounds, eliminated, winner] = await voting.getRankedResults(1);
+      expect(rounds.length).to.equal(2);
+      expect(rounds[0]).to.deep.equal([3n, 2n, 2n]);
+      expect(eliminated).to.deep.equal([2n]);
+      expect(rounds[1]).to.deep.equal([3n, 4n, 0n]);
+      expect(winner).to.equal(1);
+
+      const result = await voting.getWinner(1);
+      expect(result.winningOption).to.equal(1);
+      expect(result.winningOptionText).to.equal("Bob");
+      expect(result.winningVoteCount).to.equal(4);
+    });
+
+    it("Should leave the runoff out of poll summaries", async function () {
+      await castRankings([[0, 1, 2], [0, 2, 1], [0, 1, 2], [1, 0, 2], [2, 1, 0]]);
+
+      const [summary] = await voting.getPolls([1]);
+      expect(summary.voteCounts).to.deep.equal([3n, 1n, 1n]);
+      expect(summary.results.winners).to.deep.equal([]);
+      expect(summary.results.hasWinner).to.be.false;
+      expect(summary.results.turnout).to.equal(5);
+      expect(summary.results.quorumMet).to.be.true;
+
+      const results = await voting.getResults(1);
+      expect(results.winners).to.deep.equal([0n]);
+      expect(results.hasWinner).to.be.true;
+    });
+
+    it("Should reject ranked results for other polls", async function () {
+      await voting.createPoll(sampleQuestion, sampleOptions, duration);
+      await expect(voting.getRankedResults(2)).to.be.revertedWithCustomError(voting, "WrongBallotType");
+      await expect(
+        voting.connect(voter1).voteRanked(2, [0, 1, 2, 3], [])
+      ).to.be.revertedWithCustomError(voting, "WrongBallotType");
+    });
+
+    it("Should not combine ranked ballots with secret or quadratic polls", async function () {
+      await expect(
+        voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({
+          ballot: Ballot.Ranked,
+          secret: true,
+          revealDurationInMinutes: 60
+        }))
+      ).to.be.revertedWithCustomError(voting, "UnsupportedSettings");
+      await expect(
+        voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({
+          ballot: Ballot.Ranked,
+          strategy: Strategy.Quadratic,
+          credits: 100
+        }))
+      ).to.be.revertedWithCustomError(voting, "UnsupportedSettings");
+    });
+  });
+
+  describe("Approval Ballots", function () {
+    beforeEach(async function () {
+      await voting.createPollWithSettings(sampleQuestion, ["Alice", "Bob", "Carol"], duration, pollSettings({
+        ballot: Ballot.Approval,
+        minSelections: 1,
+        maxSelections: 2
+      }));
+    });
+
+    it("Should count every approved option and keep the selection", async function () {
+      // Bits 0 and 2: Alice and Carol
+      await expect(voting.connect(voter1).voteApproval(1, 0b101, []))
+        .to.emit(voting, "ApprovalVoteCast")
+        .withArgs(1, voter1.address, 0b101);
+      await voting.connect(voter2).voteApproval(1, 0b100, []);
+
+      const poll = await voting.getPoll(1);
+      expect(poll.voteCounts).to.deep.equal([1n, 0n, 2n]);
+      expect(poll.totalVotes).to.equal(3);
+      expect(await voting.getVoterChoice(1, voter1.address)).to.equal(0b101);
+
+      const [summary] = await voting.getPolls([1]);
+      expect(summary.voterCount).to.equal(2);
+      expect(summary.config.ballot).to.equal(Ballot.Approval);
+      expect(summary.minSelections).to.equal(1);
+      expect(summary.maxSelections).to.equal(2);
+    });
+
+    it("Should reject empty, unknown or out-of-range selections", async function () {
+      await expect(
+        voting.connect(voter1).voteApproval(1, 0, [])
+      ).to.be.revertedWithCustomError(voting, "InvalidBallot");
+      await expect(
+        voting.connect(voter1).voteApproval(1, 0b1001, [])
+      ).to.be.revertedWithCustomError(voting, "InvalidBallot");
+      await expect(voting.connect(voter1).voteApproval(1, 0b111, []))
+        .to.be.revertedWithCustomError(voting, "SelectionOutOfRange")
+        .withArgs(1, 3, 1, 2);
+    });
+
+    it("Should reject other ballots on approval polls and approvals elsewhere", async function () {
+      await expect(
+        voting.connect(voter1).vote(1, 0)
+      ).to.be.revertedWithCustomError(voting, "WrongBallotType");
+      await expect(
+        voting.connect(voter1).voteRanked(1, [0, 1, 2], [])
+      ).to.be.revertedWithCustomError(voting, "WrongBallotType");
+
+      await voting.createPoll(sampleQuestion, sampleOptions, duration);
+      await expect(
+        voting.connect(voter1).voteApproval(2, 0b1, [])
+      ).to.be.revertedWithCustomError(voting, "WrongBallotType");
+    });
+
+    it("Should validate the selection limits", async function () {
+      for (const [min, max] of [[0, 2], [3, 2], [1, 4]]) {
+        await expect(
+          voting.createPollWithSettings(sampleQuestion, ["Alice", "Bob", "Carol"], duration, pollSettings({
+            ballot: Ballot.Approval,
+            minSelections: min,
+            maxSelections: max
+          }))
+        ).to.be.revertedWithCustomError(voting, "InvalidSelectionLimits").withArgs(min, max);
+      }
+      await expect(
+        voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({
+          ballot: Ballot.Approval,
+          minSelections: 1,
+          maxSelections: 2,
+          strategy: Strategy.Quadratic,
+          credits: 100
+        }))
+      ).to.be.revertedWithCustomError(voting, "UnsupportedSettings");
+    });
+
+    it("Should weight approvals by token balance", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Vote Token", "VOTE");
+      await token.mint(voter1.address, ethers.parseEther("5"));
+      await token.connect(voter1).delegate(voter1.address);
+
+      await voting.createPollWithSettings(sampleQuestion, ["Alice", "Bob", "Carol"], duration, pollSettings({
+        ballot: Ballot.Approval,
+        minSelections: 2,
+        maxSelections: 3,
+        strategy: Strategy.TokenWeighted,
+        token: await token.getAddress()
+      }));
+      await voting.connect(voter1).voteApproval(2, 0b011, []);
+
+      const poll = await voting.getPoll(2);
+      expect(poll.voteCounts).to.deep.equal([ethers.parseEther("5"), ethers.parseEther("5"), 0n]);
+      await expect(
+        voting.connect(voter2).voteApproval(2, 0b011, [])
+      ).to.be.revertedWithCustomError(voting, "NoVotingPower");
+    });
+  });
+
+  describe("Results", function () {
+    it("Should report no votes without a winner", async function () {
+      await voting.createPoll(sampleQuestion, sampleOptions, duration);
+
+      const results = await voting.getResults(1);
+      expect(results.winners).to.deep.equal([]);
+      expect(results.tie).to.be.false;
+      expect(results.hasWinner).to.be.false;
+      expect(results.turnout).to.equal(0);
+      await expect(voting.getWinner(1)).to.be.revertedWithCustomError(voting, "NoVotesCast");
+    });
+
+    it("Should report a single winner with turnout", async function () {
+      await voting.createPoll(sampleQuestion, sampleOptions, duration);
+      await voting.connect(voter1).vote(1, 1);
+      await voting.connect(voter2).vote(1, 1);
+      await voting.connect(voter3).vote(1, 3);
+
+      const results = await voting.getResults(1);
+      expect(results.winners).to.deep.equal([1n]);
+      expect(results.winningVotes).to.equal(2);
+      expect(results.hasWinner).to.be.true;
+      expect(results.winner).to.equal(1);
+      expect(results.turnout).to.equal(3);
+      expect(results.quorumMet).to.be.true;
+    });
+
+    it("Should report every tied option and no winner by default", async function () {
+      await voting.createPoll(sampleQuestion, sampleOptions, duration);
+      await voting.connect(voter1).vote(1, 2);
+      await voting.connect(voter2).vote(1, 0);
+
+      const results = await voting.getResults(1);
+      expect(results.winners).to.deep.equal([0n, 2n]);
+      expect(results.tie).to.be.true;
+      expect(results.hasWinner).to.be.false;
+      await expect(voting.getWinner(1)).to.be.revertedWithCustomError(voting, "PollTied");
+    });
+
+    it("Should break ties by listing order when configured", async function () {
+      await voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({
+        tieBreak: TieBreak.ListedFirst
+      }));
+      await voting.connect(voter1).vote(1, 3);
+      await voting.connect(voter2).vote(1, 1);
+
+      const results = await voting.getResults(1);
+      expect(results.tie).to.be.true;
+      expect(results.hasWinner).to.be.true;
+      expect(results.winner).to.equal(1);
+      expect((await voting.getWinner(1)).winningOption).to.equal(1);
+    });
+
+    it("Should withhold the winner until the quorum is met", async function () {
+      await voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({
+        quorum: 2
+      }));
+      await voting.connect(voter1).vote(1, 0);
+
+      let results = await voting.getResults(1);
+      expect(results.quorumMet).to.be.false;
+      expect(results.hasWinner).to.be.false;
+      expect(results.winners).to.deep.equal([0n]);
+      await expect(voting.getWinner(1)).to.be.revertedWithCustomError(voting, "QuorumNotMet").withArgs(1, 1, 2);
+
+      await voting.connect(voter2).vote(1, 0);
+      results = await voting.getResults(1);
+      expect(results.quorumMet).to.be.true;
+      expect(results.hasWinner).to.be.true;
+    });
+
+    it("Should include results in poll summaries", async function () {
+      await voting.createPoll(sampleQuestion, sampleOptions, duration);
+      await voting.connect(voter1).vote(1, 2);
+
+      const [summary] = await voting.getPolls([1]);
+      expect(summary.results.winners).to.deep.equal([2n]);
+      expect(summary.results.hasWinner).to.be.true;
+    });
+
+    describe("Creator casting vote", function () {
+      beforeEach(async function () {
+        await voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({
+          tieBreak: TieBreak.CreatorCasts
+        }));
+        await voting.connect(voter1).vote(1, 0);
+        await voting.connect(voter2).vote(1, 3);
+      });
+
+      it("Should let the creator break a tie once voting closes", async function () {
+        await expect(voting.breakTie(1, 3)).to.be.revertedWithCustomError(voting, "VotingStillOpen");
+
+        await voting.endPoll(1);
+        await expect(voting.breakTie(1, 3))
+          .to.emit(voting, "TieBroken")
+          .withArgs(1, 3);
+
+        const results = await voting.getResults(1);
+        expect(results.tie).to.be.true;
+        expect(results.hasWinner).to.be.true;
+        expect(results.winner).to.equal(3);
+      });
+
+      it("Should only accept one of the tied options, once, from the creator", async function () {
+        await voting.endPoll(1);
+        await expect(voting.connect(voter1).breakTie(1, 0)).to.be.revertedWithCustomError(voting, "NotCreator");
+        await expect(voting.breakTie(1, 1)).to.be.revertedWithCustomError(voting, "NotTied");
+
+        await voting.breakTie(1, 0);
+        await expect(voting.breakTie(1, 3)).to.be.revertedWithCustomError(voting, "TieAlreadyBroken");
+      });
+
+      it("Should reject a casting vote when there is no tie", async function () {
+        await voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({
+          tieBreak: TieBreak.CreatorCasts
+        }));
+        await voting.connect(voter1).vote(2, 0);
+        await voting.endPoll(2);
+        await expect(voting.breakTie(2, 0)).to.be.revertedWithCustomError(voting, "NotTied");
+      });
+
+      it("Should reject a casting vote on polls without the rule", async function () {
+        await voting.createPoll(sampleQuestion, sampleOptions, duration);
+        await voting.endPoll(2);
+        await expect(voting.breakTie(2, 0)).to.be.revertedWithCustomError(voting, "ActionNotAllowed");
+      });
+    });
+
+    it("Should report a tie when the final runoff round is even", async function () {
+      await voting.createPollWithSettings(sampleQuestion, ["Alice", "Bob", "Carol"], duration, pollSettings({
+        ballot: Ballot.Ranked
+      }));
+      await voting.connect(voter1).voteRanked(1, [0, 1, 2], []);
+      await voting.connect(voter2).voteRanked(1, [1, 0, 2], []);
+
+      const [rounds, eliminated] = await voting.getRankedResults(1);
+      expect(rounds.length).to.equal(2);
+      expect(eliminated).to.deep.equal([2n]);
+
+      const results = await voting.getResults(1);
+      expect(results.winners).to.deep.equal([0n, 1n]);
+      expect(results.tie).to.be.true;
+    });
+  });
+
+  describe("Signed Ballots", function () {
+    const types = {
+      Ballot: [
+        { name: "pollId", type: "uint256" },
+        { name: "optionIndex", type: "uint256" },
+        { name: "voter", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+
+    async function signBallot(signer, pollId, optionIndex, overrides = {}) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "Voting",
+        version: "1",
+        chainId,
+        verifyingContract: await voting.getAddress()
+      };
+      const ballot = {
+        pollId,
+        optionIndex,
+        voter: signer.address,
+        nonce: await voting.nonces(signer.address),
+        deadline: (await time.latest()) + 3600,
+        ...overrides
+      };
+      return { ballot, signature: await signer.signTypedData(domain, types, ballot) };
+    }
+
+    beforeEach(async function () {
+      await voting.createPoll(sampleQuestion, sampleOptions, duration);
+    });
+
+    it("Should count a ballot submitted by a relayer", async function () {
+      const { ballot, signature } = await signBallot(voter1, 1, 2);
+
+      await expect(
+        voting.connect(owner).voteBySig(1, 2, voter1.address, ballot.deadline, signature, [])
+      ).to.emit(voting, "VoteCast").withArgs(1, voter1.address, 2);
+
+      expect(await voting.hasVoted(1, voter1.address)).to.be.true;
+      expect(await voting.hasVoted(1, owner.address)).to.be.false;
+      expect(await voting.nonces(voter1.address)).to.equal(1);
+    });
+
+    it("Should reject a signature from another account", async function () {
+      const { ballot, signature } = await signBallot(voter2, 1, 2, { voter: voter1.address });
+      await expect(
+        voting.voteBySig(1, 2, voter1.address, ballot.deadline, signature, [])
+      ).to.be.revertedWithCustomError(voting, "InvalidSignature");
+    });
+
+    it("Should reject a tampered ballot", async function () {
+      const { ballot, signature } = await signBallot(voter1, 1, 2);
+      await expect(
+        voting.voteBySig(1, 3, voter1.address, ballot.deadline, signature, [])
+      ).to.be.revertedWithCustomError(voting, "InvalidSignature");
+    });
+
+    it("Should reject an expired signature", async function () {
+      const { ballot, signature } = await signBallot(voter1, 1, 2, { deadline: (await time.latest()) + 60 });
+      await time.increaseTo(ballot.deadline + 1);
+      await expect(
+        voting.voteBySig(1, 2, voter1.address, ballot.deadline, signature, [])
+      ).to.be.revertedWithCustomError(voting, "SignatureExpired");
+    });
+
+    it("Should not allow replaying a signature", async function () {
+      await voting.createPoll(sampleQuestion, sampleOptions, duration);
+      const { ballot, signature } = await signBallot(voter1, 1, 2);
+      await voting.voteBySig(1, 2, voter1.address, ballot.deadline, signature, []);
+
+      // The nonce moved on, so the same signature no longer verifies
+      await expect(
+        voting.voteBySig(1, 2, voter1.address, ballot.deadline, signature, [])
+      ).to.be.revertedWithCustomError(voting, "InvalidSignature");
+    });
+
+    it("Should still prevent double voting", async function () {
+      await voting.connect(voter1).vote(1, 0);
+      const { ballot, signature } = await signBallot(voter1, 1, 2);
+      await expect(
+        voting.voteBySig(1, 2, voter1.address, ballot.deadline, signature, [])
+      ).to.be.revertedWithCustomError(voting, "AlreadyVoted");
+    });
+
+    it("Should batch several signed ballots with multicall", async function () {
+      const calls = [];
+      for (const [signer, option] of [[voter1, 0], [voter2, 1], [voter3, 1]]) {
+        const { ballot, signature } = await signBallot(signer, 1, option);
+        calls.push(voting.interface.encodeFunctionData("voteBySig", [
+          1, option, signer.address, ballot.deadline, signature, []
+        ]));
+      }
+
+      await voting.multicall(calls);
+      const poll = await voting.getPoll(1);
+      expect(poll.voteCounts[0]).to.equal(1);
+      expect(poll.voteCounts[1]).to.equal(2);
+    });
+  });
+
+  describe("Vote Changes", function () {
+    beforeEach(async function () {
+      await voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({
+        allowVoteChange: true
+      }));
+      await voting.connect(voter1).vote(1, 0);
+    });
+
+    it("Should move a vote to another option", async function () {
+      await expect(voting.connect(voter1).changeVote(1, 2))
+        .to.emit(voting, "VoteChanged")
+        .withArgs(1, voter1.address, 0, 2);
+
+      const poll = await voting.getPoll(1);
+      expect(poll.voteCounts[0]).to.equal(0);
+      expect(poll.voteCounts[2]).to.equal(1);
+      expect(poll.totalVotes).to.equal(1);
+      expect(await voting.getVoterChoice(1, voter1.address)).to.equal(2);
+
+      const [summary] = await voting.connect(voter1).getPolls([1]);
+      expect(summary.config.allowVoteChange).to.be.true;
+      expect(summary.voterChoice).to.equal(2);
+      expect(summary.voterCount).to.equal(1);
+    });
+
+    it("Should retract a vote and allow voting again", async function () {
+      await expect(voting.connect(voter1).retractVote(1))
+        .to.emit(voting, "VoteRetracted")
+        .withArgs(1, voter1.address, 0);
+
+      const [summary] = await voting.connect(voter1).getPolls([1]);
+      expect(summary.hasVoted).to.be.false;
+      expect(summary.voteCounts[0]).to.equal(0);
+      expect(summary.voterCount).to.equal(0);
+
+      await voting.connect(voter1).vote(1, 3);
+      expect(await voting.getVoterChoice(1, voter1.address)).to.equal(3);
+    });
+
+    it("Should move the full weight on token-weighted polls", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Vote Token", "VOTE");
+      await token.mint(voter2.address, ethers.parseEther("40"));
+      await token.connect(voter2).delegate(voter2.address);
+      await voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({
+        strategy: Strategy.TokenWeighted,
+        token: await token.getAddress(),
+        allowVoteChange: true
+      }));
+
+      await voting.connect(voter2).vote(2, 1);
+      await voting.connect(voter2).changeVote(2, 0);
+      let poll = await voting.getPoll(2);
+      expect(poll.voteCounts[0]).to.equal(ethers.parseEther("40"));
+      expect(poll.voteCounts[1]).to.equal(0);
+
+      await voting.connect(voter2).retractVote(2);
+      poll = await voting.getPoll(2);
+      expect(poll.totalVotes).to.equal(0);
+    });
+
+    it("Should reject invalid changes", async function () {
+      await expect(
+        voting.connect(voter1).changeVote(1, 0)
+      ).to.be.revertedWithCustomError(voting, "SameOption");
+      await expect(
+        voting.connect(voter1).changeVote(1, 9)
+      ).to.be.revertedWithCustomError(voting, "InvalidOption");
+      await expect(
+        voting.connect(voter2).changeVote(1, 1)
+      ).to.be.revertedWithCustomError(voting, "NotVoted");
+      await expect(
+        voting.connect(voter2).retractVote(1)
+      ).to.be.revertedWithCustomError(voting, "NotVoted");
+    });
+
+    it("Should not allow changes after the poll closes", async function () {
+      await time.increase(duration * 60 + 1);
+      await expect(
+        voting.connect(voter1).changeVote(1, 1)
+      ).to.be.revertedWithCustomError(voting, "PollClosed");
+      await expect(
+        voting.connect(voter1).retractVote(1)
+      ).to.be.revertedWithCustomError(voting, "PollClosed");
+    });
+
+    it("Should keep votes final unless the poll opts in", async function () {
+      await voting.createPoll(sampleQuestion, sampleOptions, duration);
+      await voting.connect(voter1).vote(2, 0);
+      await expect(
+        voting.connect(voter1).changeVote(2, 1)
+      ).to.be.revertedWithCustomError(voting, "ActionNotAllowed");
+      await expect(
+        voting.connect(voter1).retractVote(2)
+      ).to.be.revertedWithCustomError(voting, "ActionNotAllowed");
+    });
+
+    it("Should only allow changes on public single-choice polls", async function () {
+      const invalid = [
+        { secret: true, revealDurationInMinutes: 30 },
+        { strategy: Strategy.Quadratic, credits: 9 },
+        { ballot: Ballot.Ranked }
+      ];
+      for (const overrides of invalid) {
+        await expect(
+          voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({
+            ...overrides,
+            allowVoteChange: true
+          }))
+        ).to.be.revertedWithCustomError(voting, "UnsupportedSettings");
+      }
+    });
+  });
+
+  describe("Delegation", function () {
+    beforeEach(async function () {
+      await voting.createPoll(sampleQuestion, sampleOptions, duration);
+    });
+
+    it("Should count delegators with the delegate's choice", async function () {
+      await expect(voting.connect(voter1).delegateVote(voter3.address))
+        .to.emit(voting, "VoteDelegated")
+        .withArgs(voter1.address, voter3.address);
+      await voting.connect(voter2).delegateVoteForPoll(1, voter3.address);
+
+      await voting.connect(voter3).vote(1, 2);
+      await expect(voting.connect(voter3).castDelegatedVotes(1, [voter1.address, voter2.address]))
+        .to.emit(voting, "DelegatedVoteCast")
+        .withArgs(1, voter3.address, voter1.address, 1);
+
+      const [summary] = await voting.connect(voter3).getPolls([1]);
+      expect(summary.voteCounts[2]).to.equal(3);
+      expect(summary.voterCount).to.equal(3);
+      expect(summary.carriedWeight).to.equal(2);
+      const [delegator] = await voting.connect(voter1).getPolls([1]);
+      expect(delegator.hasVoted).to.be.false;
+      expect(delegator.representedBy).to.equal(voter3.address);
+
+      // Counting someone twice is a no-op
+      await voting.connect(voter3).castDelegatedVotes(1, [voter1.address]);
+      expect((await voting.getPoll(1)).voteCounts[2]).to.equal(3);
+    });
+
+    it("Should resolve chains to the first delegate who voted", async function () {
+      await voting.connect(voter1).delegateVote(voter2.address);
+      await voting.connect(voter2).delegateVote(voter3.address);
+      expect(await voting.getDelegate(1, voter1.address)).to.equal(voter3.address);
+      expect(await voting.getDelegate(1, owner.address)).to.equal(owner.address);
+
+      // Once voter2 votes, voter1's chain stops there
+      await voting.connect(voter2).vote(1, 0);
+      expect(await voting.getDelegate(1, voter1.address)).to.equal(voter2.address);
+      await voting.connect(voter2).castDelegatedVotes(1, [voter1.address]);
+      expect((await voting.getPoll(1)).voteCounts[0]).to.equal(2);
+
+      await voting.connect(voter3).vote(1, 1);
+      await voting.connect(voter3).castDelegatedVotes(1, [voter1.address, voter2.address]);
+      const poll = await voting.getPoll(1);
+      expect(poll.voteCounts[0]).to.equal(2);
+      expect(poll.voteCounts[1]).to.equal(1);
+    });
+
+    it("Should move delegators to a delegate in their chain who overrides by voting", async function () {
+      await voting.connect(voter1).delegateVote(voter2.address);
+      await voting.connect(voter2).delegateVote(voter3.address);
+      await voting.connect(voter3).vote(1, 1);
+      await voting.connect(voter3).castDelegatedVotes(1, [voter1.address, voter2.address]);
+      expect((await voting.getPoll(1)).voteCounts[1]).to.equal(3);
+
+      // voter2 takes their own weight back; voter1 now follows voter2, not voter3
+      await voting.connect(voter2).vote(1, 0);
+      expect(await voting.getDelegate(1, voter1.address)).to.equal(voter2.address);
+      await voting.connect(voter3).castDelegatedVotes(1, [voter1.address]);
+      const poll = await voting.getPoll(1);
+      expect(poll.voteCounts[0]).to.equal(1);
+      expect(poll.voteCounts[1]).to.equal(2);
+
+      await expect(voting.connect(voter2).castDelegatedVotes(1, [voter1.address]))
+        .to.emit(voting, "DelegatedVoteCast")
+        .withArgs(1, voter2.address, voter1.address, 1);
+      const [delegator] = await voting.connect(voter1).getPolls([1]);
+      expect(delegator.voteCounts[0]).to.equal(2);
+      expect(delegator.voteCounts[1]).to.equal(1);
+      expect(delegator.voterCount).to.equal(3);
+      expect(delegator.representedBy).to.equal(voter2.address);
+      expect((await voting.connect(voter2).getPolls([1]))[0].carriedWeight).to.equal(1);
+      expect((await voting.connect(voter3).getPolls([1]))[0].carriedWeight).to.equal(0);
+    });
+
+    it("Should prefer the poll's delegate over the standing one", async function () {
+      await voting.connect(voter1).delegateVote(voter2.address);
+      await expect(voting.connect(voter1).delegateVoteForPoll(1, voter3.address))
+        .to.emit(voting, "PollVoteDelegated")
+        .withArgs(1, voter1.address, voter3.address);
+      expect(await voting.getDelegate(1, voter1.address)).to.equal(voter3.address);
+
+      await voting.createPoll(sampleQuestion, sampleOptions, duration);
+      expect(await voting.getDelegate(2, voter1.address)).to.equal(voter2.address);
+    });
+
+    it("Should reject cycles and overlong chains", async function () {
+      await expect(voting.connect(voter1).delegateVote(voter1.address))
+        .to.be.revertedWithCustomError(voting, "DelegationCycle")
+        .withArgs(voter1.address, voter1.address);
+
+      await voting.connect(voter1).delegateVote(voter2.address);
+      await voting.connect(voter2).delegateVoteForPoll(1, voter3.address);
+      await expect(voting.connect(voter3).delegateVoteForPoll(1, voter1.address))
+        .to.be.revertedWithCustomError(voting, "DelegationCycle")
+        .withArgs(voter3.address, voter1.address);
+      // The standing link would close the loop through voter2's poll 1 delegate
+      await expect(voting.connect(voter3).delegateVote(voter1.address))
+        .to.be.revertedWithCustomError(voting, "DelegationCycle")
+        .withArgs(voter3.address, voter1.address);
+
+      const signers = (await ethers.getSigners()).slice(4, 14);
+      const depth = Number(await voting.MAX_DELEGATION_DEPTH());
+      for (let i = 0; i < depth; i++) {
+        await voting.connect(signers[i]).delegateVote(signers[i + 1].address);
+      }
+      await expect(voting.connect(signers[depth + 1]).delegateVote(signers[0].address))
+        .to.be.revertedWithCustomError(voting, "DelegationTooLong")
+        .withArgs(signers[0].address);
+    });
+
+    it("Should refuse standing chains that run too long through a poll delegate", async function () {
+      const signers = (await ethers.getSigners()).slice(4, 15);
+      const depth = Number(await voting.MAX_DELEGATION_DEPTH());
+      // signers[1] -> ... -> signers[4] on poll 1, then standing up to signers[depth + 1]
+      await voting.connect(signers[4]).delegateVoteForPoll(1, signers[5].address);
+      for (let i = depth; i >= 5; i--) {
+        await voting.connect(signers[i]).delegateVote(signers[i + 1].address);
+      }
+      for (let i = 3; i >= 1; i--) {
+        await voting.connect(signers[i]).delegateVote(signers[i + 1].address);
+      }
+
+      // Fine on its own, but one link too many on poll 1
+      await expect(voting.connect(signers[0]).delegateVote(signers[1].address))
+        .to.be.revertedWithCustomError(voting, "DelegationTooLong")
+        .withArgs(signers[1].address);
+      await voting.createPoll(sampleQuestion, sampleOptions, duration);
+      await voting.connect(signers[0]).delegateVoteForPoll(2, signers[1].address);
+
+      // Closed polls don't count
+      await time.increase(duration * 60);
+      await voting.connect(signers[0]).delegateVote(signers[1].address);
+    });
+
+    it("Should cut chains that grew too long at the last delegate followed", async function () {
+      const signers = (await ethers.getSigners()).slice(4, 15);
+      const depth = Number(await voting.MAX_DELEGATION_DEPTH());
+      // Built from the top down, each link is checked only below it
+      for (let i = 0; i <= depth; i++) {
+        await voting.connect(signers[i]).delegateVote(signers[i + 1].address);
+      }
+      expect(await voting.getDelegate(1, signers[0].address)).to.equal(signers[depth].address);
+
+      await voting.connect(signers[depth]).vote(1, 1);
+      await expect(voting.connect(signers[depth]).castDelegatedVotes(1, [signers[0].address]))
+        .to.emit(voting, "DelegatedVoteCast")
+        .withArgs(1, signers[depth].address, signers[0].address, 1);
+    });
+
+    it("Should let a delegator override before the deadline", async function () {
+      await voting.connect(voter1).delegateVote(voter3.address);
+      await voting.connect(voter3).vote(1, 2);
+      await voting.connect(voter3).castDelegatedVotes(1, [voter1.address]);
+
+      await voting.connect(voter1).vote(1, 0);
+      const poll = await voting.getPoll(1);
+      expect(poll.voteCounts[0]).to.equal(1);
+      expect(poll.voteCounts[2]).to.equal(1);
+      const [summary] = await voting.connect(voter3).getPolls([1]);
+      expect(summary.voterCount).to.equal(2);
+      expect(summary.carriedWeight).to.equal(0);
+
+      await time.increase(duration * 60 + 1);
+      await expect(
+        voting.connect(voter1).delegateVoteForPoll(1, voter2.address)
+      ).to.be.revertedWithCustomError(voting, "PollClosed");
+    });
+
+    it("Should carry token weight and move it with vote changes", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Vote Token", "VOTE");
+      await token.mint(voter1.address, ethers.parseEther("30"));
+      await token.mint(voter3.address, ethers.parseEther("10"));
+      await token.connect(voter1).delegate(voter1.address);
+      await token.connect(voter3).delegate(voter3.address);
+      await voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({
+        strategy: Strategy.TokenWeighted,
+        token: await token.getAddress(),
+        allowVoteChange: true
+      }));
+
+      await voting.connect(voter1).delegateVoteForPoll(2, voter3.address);
+      await voting.connect(voter3).vote(2, 0);
+      await voting.connect(voter3).castDelegatedVotes(2, [voter1.address]);
+      await voting.connect(voter3).changeVote(2, 1);
+
+      const poll = await voting.getPoll(2);
+      expect(poll.voteCounts[0]).to.equal(0);
+      expect(poll.voteCounts[1]).to.equal(ethers.parseEther("40"));
+      await expect(
+        voting.connect(voter3).retractVote(2)
+      ).to.be.revertedWithCustomError(voting, "ActionNotAllowed");
+    });
+
+    it("Should require the delegate to have voted on a supported poll", async function () {
+      await voting.connect(voter1).delegateVote(voter3.address);
+      await expect(
+        voting.connect(voter3).castDelegatedVotes(1, [voter1.address])
+      ).to.be.revertedWithCustomError(voting, "NotVoted");
+
+      await voting.createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings({
+        ballot: Ballot.Ranked
+      }));
+      await voting.connect(voter3).voteRanked(2, [0, 1, 2, 3], []);
+      await expect(
+        voting.connect(voter3).castDelegatedVotes(2, [voter1.address])
+      ).to.be.revertedWithCustomError(voting, "WrongBallotType");
+    });
+  });
+
+  describe("Moderation", function () {
+    const Moderation = { None: 0, Hidden: 1, Cancelled: 2 };
+
+    // Admin functions need an initialized proxy, with owner as admin
+    beforeEach(async function () {
+      voting = await deployProxy(owner.address);
+      await voting.createPoll(sampleQuestion, sampleOptions, duration);
+    });
+
+    function missingRole(account, role) {
+      return `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+    }
+
+    it("Should let admins hide and restore a poll with a reason", async function () {
+      const adminRole = await voting.DEFAULT_ADMIN_ROLE();
+      await expect(
+        voting.connect(voter1).moderatePoll(1, Moderation.Hidden, "Spam")
+      ).to.be.revertedWith(missingRole(voter1, adminRole));
+      await expect(
+        voting.moderatePoll(1, Moderation.Hidden, "")
+      ).to.be.revertedWithCustomError(voting, "EmptyReason");
+
+      await expect(voting.moderatePoll(1, Moderation.Hidden, "Spam"))
+        .to.emit(voting, "PollModerated")
+        .withArgs(1, Moderation.Hidden, "Spam");
+      let [summary] = await voting.getPolls([1]);
+      expect(summary.moderation).to.equal(Moderation.Hidden);
+
+      // Hidden polls keep running
+      await voting.connect(voter1).vote(1, 0);
+      await voting.moderatePoll(1, Moderation.None, "Reviewed");
+      [summary] = await voting.getPolls([1]);
+      expect(summary.moderation).to.equal(Moderation.None);
+      expect(summary.voteCounts[0]).to.equal(1);
+    });
+
+    it("Should close a cancelled poll for good without a winner", async function () {
+      await voting.connect(voter1).vote(1, 0);
+      await voting.moderatePoll(1, Moderation.Cancelled, "Abusive");
+
+      await expect(
+        voting.connect(voter2).vote(1, 0)
+      ).to.be.revertedWithCustomError(voting, "PollClosed");
+      await expect(voting.getWinner(1))
+        .to.be.revertedWithCustomError(voting, "PollCancelled")
+        .withArgs(1);
+      expect((await voting.getResults(1)).hasWinner).to.be.false;
+      expect(await voting.getActivePolls()).to.deep.equal([]);
+
+      await expect(
+        voting.moderatePoll(1, Moderation.None, "Mistake")
+      ).to.be.revertedWithCustomError(voting, "PollCancelled");
+    });
+
+    it("Should pause poll creation and voting", async function () {
+      await expect(
+        voting.connect(voter1).setPaused(true)
+      ).to.be.revertedWith(missingRole(voter1, await voting.DEFAULT_ADMIN_ROLE()));
+      await expect(voting.setPaused(true))
+        .to.emit(voting, "PausedChanged")
+        .withArgs(true);
+      expect(await voting.paused()).to.be.true;
+
+      await expect(
+        voting.createPoll(sampleQuestion, sampleOptions, duration)
+      ).to.be.revertedWithCustomError(voting, "VotingPaused");
+      await expect(
+        voting.connect(voter1).vote(1, 0)
+      ).to.be.revertedWithCustomError(voting, "VotingPaused");
+      await expect(
+        voting.connect(voter1).voteRanked(1, [0, 1, 2, 3], [])
+      ).to.be.revertedWithCustomError(voting, "VotingPaused");
+
+      await voting.setPaused(false);
+      await voting.connect(voter1).vote(1, 0);
+      expect((await voting.getPoll(1)).voteCounts[0]).to.equal(1);
+    });
+
+    it("Should limit poll creation to poll creators when enabled", async function () {
+      const creatorRole = await voting.POLL_CREATOR_ROLE();
+      await expect(voting.setCreatorAllowlist(true))
+        .to.emit(voting, "CreatorAllowlistChanged")
+        .withArgs(true);
+
+      await expect(
+        voting.connect(voter1).createPoll(sampleQuestion, sampleOptions, duration)
+      ).to.be.revertedWithCustomError(voting, "NotPollCreator")
+        .withArgs(voter1.address);
+
+      await voting.grantRole(creatorRole, voter1.address);
+      await voting.connect(voter1).createPollWithSettings(sampleQuestion, sampleOptions, duration, pollSettings());
+      expect(await voting.pollCount()).to.equal(2);
+
+      await voting.setCreatorAllowlist(false);
+      await voting.connect(voter2).createPoll(sampleQuestion, sampleOptions, duration);
+      expect(await voting.pollCount()).to.equal(3);
+    });
+  });
+
+  describe("Creation Deposits", function () {
+    const deposit = ethers.parseEther("1");
+
+    // voter3 collects forfeited deposits; polls need 2 votes for a refund
+    beforeEach(async function () {
+      voting = await deployProxy(owner.address);
+      await voting.setDepositSettings(deposit, 2, voter3.address);
+    });
+
+    it("Should require the exact deposit to create a poll", async function () {
+      await expect(
+        voting.connect(voter1).setDepositSettings(0, 0, voter1.address)
+      ).to.be.revertedWith(`AccessControl: account ${voter1.address.toLowerCase()} is missing role ${ethers.ZeroHash}`);
+      await expect(
+        voting.setDepositSettings(0, 0, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(voting, "InvalidTreasury");
+
+      await expect(
+        voting.connect(voter1).createPoll(sampleQuestion, sampleOptions, duration)
+      ).to.be.revertedWithCustomError(voting, "WrongDeposit")
+        .withArgs(0, deposit);
+      await expect(
+        voting.connect(voter1).createPoll(sampleQuestion, sampleOptions, duration, { value: deposit * 2n })
+      ).to.be.revertedWithCustomError(voting, "WrongDeposit");
+
+      await expect(
+        voting.connect(voter1).createPoll(sampleQuestion, sampleOptions, duration, { value: deposit })
+      ).to.changeEtherBalances([voter1, voting], [-deposit, deposit]);
+      const [summary] = await voting.getPolls([1]);
+      expect(summary.deposit).to.equal(deposit);
+      expect(summary.refundVotes).to.equal(2);
+    });
+
+    it("Should refund the creator once the poll gets enough votes", async function () {
+      await voting.connect(voter1).createPoll(sampleQuestion, sampleOptions, duration, { value: deposit });
+      await voting.connect(voter2).vote(1, 0);
+      await voting.connect(voter3).vote(1, 1);
+
+      await expect(voting.settleDeposit(1))
+        .to.be.revertedWithCustomError(voting, "VotingStillOpen");
+      await time.increase(duration * 60 + 1);
+      await expect(voting.connect(voter2).settleDeposit(1))
+        .to.emit(voting, "DepositSettled")
+        .withArgs(1, voter1.address, deposit, true);
+      await expect(voting.settleDeposit(1))
+        .to.be.revertedWithCustomError(voting, "NoDeposit")
+        .withArgs(1);
+      expect(await voting.pendingWithdrawals(voter1.address)).to.equal(deposit);
+
+      const withdrawal = voting.connect(voter1).withdraw();
+      await expect(withdrawal).to.changeEtherBalances([voter1, voting], [deposit, -deposit]);
+      await expect(withdrawal)
+        .to.emit(voting, "Withdrawal")
+        .withArgs(voter1.address, deposit);
+      await expect(voting.connect(voter1).withdraw())
+        .to.be.revertedWithCustomError(voting, "NothingToWithdraw")
+        .withArgs(voter1.address);
+    });
+
+    it("Should forfeit the deposit of quiet or cancelled polls to the treasury", async function () {
+      await voting.connect(voter1).createPoll(sampleQuestion, sampleOptions, duration, { value: deposit });
+      await voting.connect(voter1).createPoll(sampleQuestion, sampleOptions, duration, { value: deposit });
+      await voting.connect(voter2).vote(1, 0);
+      await voting.connect(voter2).vote(2, 0);
+      await voting.connect(voter3).vote(2, 0);
+      await voting.moderatePoll(2, 2, "Abusive");
+
+      await voting.connect(voter1).endPoll(1);
+      await expect(voting.settleDeposit(1))
+        .to.emit(voting, "DepositSettled")
+        .withArgs(1, voter3.address, deposit, false);
+      await expect(voting.settleDeposit(2))
+        .to.emit(voting, "DepositSettled")
+        .withArgs(2, voter3.address, deposit, false);
+
+      await expect(voting.connect(voter3).withdraw())
+        .to.changeEtherBalance(voter3, deposit * 2n);
+    });
+
+    it("Should keep the terms a poll was created with", async function () {
+      await voting.connect(voter1).createPoll(sampleQuestion, sampleOptions, duration, { value: deposit });
+      await voting.connect(voter2).vote(1, 0);
+      await voting.setDepositSettings(0, 0, voter2.address);
+
+      await voting.connect(voter2).createPoll(sampleQuestion, sampleOptions, duration);
+      const [first, second] = await voting.getPolls([1, 2]);
+      expect(first.refundVotes).to.equal(2);
+      expect(second.deposit).to.equal(0);
+      await time.increase(duration * 60 + 1);
+      await expect(voting.settleDeposit(2))
+        .to.be.revertedWithCustomError(voting, "NoDeposit");
+
+      // One vote is short of the poll's own threshold; forfeits go to the
+      // current treasury
+      await expect(voting.settleDeposit(1))
+        .to.emit(voting, "DepositSettled")
+        .withArgs(1, voter2.address, deposit, false);
+    });
+  });
+
   // Helper function to get expected end time
   async function getExpectedEndTime(durationMinutes) {
     const latestBlock = await ethers.provider.getBlock("latest");
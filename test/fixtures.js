@@ -0,0 +1,31 @@
+const { ethers } = require("hardhat");
+
+// Enums and poll settings shared by the test files
+
+const Strategy = { Equal: 0, TokenWeighted: 1, Quadratic: 2 };
+const Ballot = { SingleChoice: 0, Ranked: 1, Approval: 2 };
+const TieBreak = { None: 0, ListedFirst: 1, CreatorCasts: 2 };
+
+// Settings for createPollWithSettings with every option off, plus overrides
+function pollSettings(overrides = {}) {
+  return {
+    startTime: 0,
+    metadataHash: ethers.ZeroHash,
+    allowlist: [],
+    merkleRoot: ethers.ZeroHash,
+    secret: false,
+    revealDurationInMinutes: 0,
+    strategy: Strategy.Equal,
+    token: ethers.ZeroAddress,
+    credits: 0,
+    ballot: Ballot.SingleChoice,
+    quorum: 0,
+    tieBreak: TieBreak.None,
+    allowVoteChange: false,
+    minSelections: 0,
+    maxSelections: 0,
+    ...overrides
+  };
+}
+
+module.exports = { Strategy, Ballot, TieBreak, pollSettings };